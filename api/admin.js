@@ -0,0 +1,127 @@
+const { ethers } = require('ethers');
+const { apiError } = require('./errors');
+
+// Contracts with an emergency pause, and what pausing stops
+const PAUSABLE = {
+  playGame: 'match creation, staking and tournament entry',
+  tokenStore: 'GT purchases'
+};
+
+/**
+ * Owner-only contract controls for incident response: pause/unpause,
+ * rotating PlayGame's backend operator and withdrawing USDT from the
+ * TokenStore reserve. Calls are dry-run with `simulate`, then go through
+ * the tx manager from the operator wallet, which must own the contract;
+ * the request is audited by the admin-scope middleware and the mined (or
+ * failed) outcome is appended to the audit log as well.
+ */
+function createAdminService({ wallet, contracts, usdt, txManager, auditLog, simulate }) {
+  const { playGame, tokenStore } = contracts;
+
+  async function requireOwner(name) {
+    const owner = await contracts[name].owner();
+    if (owner !== wallet.address) {
+      throw apiError('OPERATOR_NOT_AUTHORIZED', `The operator wallet ${wallet.address} is not the owner of ${name} (${owner})`);
+    }
+  }
+
+  async function submit({ action, contract, method, args = [], apiKey, details = {} }) {
+    await simulate(contracts[contract], method, args);
+
+    const job = txManager.enqueue({ contract, method, args, meta: { admin: action, apiKey, ...details } });
+
+    txManager.wait(job.id).then(done => {
+      auditLog.record({
+        event: 'admin-action',
+        action: action,
+        contract: contract,
+        keyId: apiKey,
+        ...details,
+        jobId: done.id,
+        outcome: done.status,
+        transactionHash: done.hash,
+        reason: done.revertReason || done.error || null
+      });
+    });
+
+    return job;
+  }
+
+  async function status() {
+    const [paused, owners, backendOperator, reserve] = await Promise.all([
+      Promise.all(Object.keys(PAUSABLE).map(name => contracts[name].paused())),
+      Promise.all(Object.keys(PAUSABLE).map(name => contracts[name].owner())),
+      playGame.backendOperator(),
+      usdt.balanceOf(await tokenStore.getAddress())
+    ]);
+
+    return {
+      operatorWallet: wallet.address,
+      backendOperator: backendOperator,
+      contracts: Object.fromEntries(Object.entries(PAUSABLE).map(([name, pauses], i) => [name, {
+        address: contracts[name].target,
+        owner: owners[i],
+        ownedByOperatorWallet: owners[i] === wallet.address,
+        paused: paused[i],
+        pauses: pauses
+      }])),
+      reserve: reserve
+    };
+  }
+
+  async function setPaused(name, paused, apiKey) {
+    if (!PAUSABLE[name]) {
+      throw apiError('VALIDATION_FAILED', `Unknown contract (expected one of ${Object.keys(PAUSABLE).join(', ')})`);
+    }
+    await requireOwner(name);
+
+    if ((await contracts[name].paused()) === paused) {
+      throw apiError(paused ? 'ALREADY_PAUSED' : 'NOT_PAUSED', `${name} is already ${paused ? 'paused' : 'unpaused'}`);
+    }
+
+    const method = paused ? 'pause' : 'unpause';
+    return submit({ action: method, contract: name, method, apiKey });
+  }
+
+  // Hands result submission to another address: once mined, this API's
+  // wallet can no longer commit results unless it is the new operator
+  async function rotateOperator(operator, apiKey) {
+    await requireOwner('playGame');
+
+    const current = await playGame.backendOperator();
+    if (current === operator) {
+      throw apiError('OPERATOR_UNCHANGED', 'Address is already the backend operator');
+    }
+
+    return submit({
+      action: 'rotate-operator',
+      contract: 'playGame',
+      method: 'setBackendOperator',
+      args: [operator],
+      apiKey,
+      details: { previousOperator: current, operator }
+    });
+  }
+
+  async function withdraw(to, amount, apiKey) {
+    await requireOwner('tokenStore');
+
+    const reserve = await usdt.balanceOf(await tokenStore.getAddress());
+    if (amount > reserve) {
+      throw apiError('INSUFFICIENT_RESERVE', `Amount exceeds the store reserve of ${ethers.formatUnits(reserve, 6)} USDT`);
+    }
+
+    return submit({
+      action: 'withdraw',
+      contract: 'tokenStore',
+      method: 'withdrawUSDT',
+      args: [to, amount],
+      apiKey,
+      details: { to, amount: amount.toString() }
+    });
+  }
+
+  return { status, setPaused, rotateOperator, withdraw };
+}
+
+module.exports = { createAdminService, PAUSABLE };
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+
+/**
+ * Append-only audit log for privileged API calls, one JSON object per
+ * line so it can be tailed or shipped to a log pipeline as-is.
+ */
+function createAuditLog(filePath = path.join(DATA_DIR, 'audit.log')) {
+  function record(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }, (key, value) =>
+      typeof value === 'bigint' ? value.toString() : value
+    );
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, `${line}\n`);
+    } catch (error) {
+      console.error('Audit log write error:', error.message);
+    }
+  }
+
+  // Most recent entries first
+  function tail(limit = 100) {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    return fs.readFileSync(filePath, 'utf8')
+      .trim()
+      .split('\n')
+      .filter(Boolean)
+      .slice(-limit)
+      .map(line => JSON.parse(line))
+      .reverse();
+  }
+
+  return { record, tail, filePath };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { apiError, sendError } = require('./errors');
+
+const SCOPES = ['create-match', 'commit-result', 'admin'];
+// Longest path or key id written to the audit log for a denied request
+const MAX_LOGGED_LENGTH = 256;
+
+// String the client signs: timestamp, method, path (with query) and raw body
+function signingPayload(timestamp, method, url, body) {
+  return `${timestamp}\n${method.toUpperCase()}\n${url}\n${body || ''}`;
+}
+
+function sign(secret, timestamp, method, url, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(signingPayload(timestamp, method, url, body))
+    .digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * HMAC authentication for operator routes. Clients send:
+ *
+ *   X-Api-Key:   key id from the keys file
+ *   X-Timestamp: unix seconds
+ *   X-Signature: hex HMAC-SHA256(secret, "<ts>\n<METHOD>\n<url>\n<raw body>")
+ *
+ * Keys live in a JSON file (`{ "keys": [{ id, secret, scopes, disabled }] }`)
+ * that is re-read whenever it changes, so keys can be rotated without a
+ * restart. Requests outside the clock-skew window, or replaying a
+ * signature already seen inside it, are rejected.
+ */
+function createAuth({ keysFile, auditLog, maxSkewSeconds = 300 }) {
+  const seenSignatures = new Map(); // signature => expiry (ms)
+  let keys = new Map();
+  let keysMtime = null;
+
+  function loadKeys() {
+    let stat;
+    try {
+      stat = fs.statSync(keysFile);
+    } catch (error) {
+      if (keysMtime !== null) {
+        console.warn(`⚠️  API keys file ${keysFile} is missing; all operator routes are locked`);
+      }
+      keys = new Map();
+      keysMtime = null;
+      return;
+    }
+
+    if (stat.mtimeMs === keysMtime) {
+      return;
+    }
+
+    try {
+      const { keys: entries = [] } = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+      keys = new Map(
+        entries
+          .filter(entry => entry.id && entry.secret && !entry.disabled)
+          .map(entry => [entry.id, { id: entry.id, secret: entry.secret, scopes: entry.scopes || [] }])
+      );
+      keysMtime = stat.mtimeMs;
+      console.log(`🔑 Loaded ${keys.size} API key(s) from ${keysFile}`);
+    } catch (error) {
+      // Keep serving with the previous keys rather than locking everyone out
+      console.error('API keys file parse error:', error.message);
+    }
+  }
+
+  function pruneSeen(now) {
+    for (const [signature, expiry] of seenSignatures) {
+      if (expiry <= now) {
+        seenSignatures.delete(signature);
+      }
+    }
+  }
+
+  function authenticate(req) {
+    const keyId = req.get('X-Api-Key');
+    const timestamp = req.get('X-Timestamp');
+    const signature = req.get('X-Signature');
+
+    if (!keyId || !timestamp || !signature) {
+      return { status: 401, reason: 'Missing X-Api-Key, X-Timestamp or X-Signature header' };
+    }
+
+    loadKeys();
+    const key = keys.get(keyId);
+    if (!key) {
+      return { status: 401, reason: 'Unknown API key', keyId };
+    }
+
+    const now = Date.now();
+    const seconds = Number(timestamp);
+    if (!Number.isInteger(seconds) || Math.abs(now / 1000 - seconds) > maxSkewSeconds) {
+      return { status: 401, reason: 'Timestamp outside allowed window', keyId };
+    }
+
+    const expected = sign(key.secret, timestamp, req.method, req.originalUrl, req.rawBody);
+    if (!/^[0-9a-f]+$/i.test(signature) || !safeEqual(signature, expected)) {
+      return { status: 401, reason: 'Invalid signature', keyId };
+    }
+
+    pruneSeen(now);
+    if (seenSignatures.has(signature)) {
+      return { status: 401, reason: 'Replayed request', keyId };
+    }
+    seenSignatures.set(signature, now + maxSkewSeconds * 2000);
+
+    return { key };
+  }
+
+  // Express middleware: authenticate, check scope, and audit the call
+  function requireScope(scope) {
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Unknown scope ${scope}`);
+    }
+
+    return (req, res, next) => {
+      const result = authenticate(req);
+      const entry = {
+        method: req.method,
+        path: req.originalUrl,
+        scope: scope,
+        ip: req.ip
+      };
+
+      // Anyone can be denied, so a denial records the body's size and hash
+      // rather than the body, and caps the client-chosen path and key id
+      function deny(keyId, reason) {
+        const body = req.rawBody || '';
+        auditLog.record({
+          ...entry,
+          path: entry.path.slice(0, MAX_LOGGED_LENGTH),
+          keyId: keyId && keyId.slice(0, MAX_LOGGED_LENGTH),
+          outcome: 'denied',
+          reason: reason,
+          bodyBytes: Buffer.byteLength(body),
+          bodySha256: body ? crypto.createHash('sha256').update(body).digest('hex') : null
+        });
+      }
+
+      if (!result.key) {
+        deny(result.keyId || null, result.reason);
+        return sendError(res, apiError('UNAUTHORIZED', result.reason), 'Unauthorized');
+      }
+
+      const { key } = result;
+      if (!key.scopes.includes(scope) && !key.scopes.includes('admin')) {
+        deny(key.id, 'Missing scope');
+        return sendError(res, apiError('FORBIDDEN', `API key lacks the ${scope} scope`), 'Forbidden');
+      }
+
+      req.apiKey = { id: key.id, scopes: key.scopes };
+      res.on('finish', () => {
+        auditLog.record({
+          ...entry,
+          body: req.body,
+          keyId: key.id,
+          outcome: res.statusCode < 400 ? 'allowed' : 'error',
+          status: res.statusCode,
+          jobId: res.locals.jobId || null,
+          // Batch routes queue several transactions
+          jobIds: res.locals.jobIds || undefined
+        });
+      });
+      next();
+    };
+  }
+
+  loadKeys();
+
+  return { requireScope };
+}
+
+module.exports = { createAuth, sign, SCOPES };
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { createStore } = require('./store');
+const { apiError } = require('./errors');
+
+// Budgeted gas per item (measured ~102k per created match, ~31k per
+// settled match plus signature checks), with headroom
+const BASE_GAS = 60000n;
+const CREATE_ITEM_GAS = 120000n;
+const RESULT_ITEM_GAS = 50000n;
+const SIGNATURE_GAS = 10000n;
+const MAX_REQUEST_ITEMS = 1000;
+
+// Split items into consecutive chunks whose budgeted gas stays under the
+// limit and whose length stays within the contract's MAX_BATCH_SIZE
+function chunk(items, itemGas, gasLimit, maxSize) {
+  const chunks = [];
+  let current = [];
+  let gas = BASE_GAS;
+
+  for (const item of items) {
+    const cost = itemGas(item);
+    if (current.length > 0 && (gas + cost > gasLimit || current.length >= maxSize)) {
+      chunks.push(current);
+      current = [];
+      gas = BASE_GAS;
+    }
+    current.push(item);
+    gas += cost;
+  }
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Batched match creation and settlement. Requests are checked item by
+ * item (bad items are reported without being sent), split into
+ * gas-bounded `createMatches` / `commitResults` transactions on the tx
+ * manager, and followed to the receipt: each match ends up created,
+ * settled or drawn, or rejected with the reason from `BatchItemFailed`.
+ */
+function createBatchService({ provider, playGame, txManager, results, gasLimit = 8000000n, dataDir }) {
+  const store = createStore('match-batches', { batches: {} }, dataDir);
+  let maxBatchSize = null;
+
+  async function getMaxBatchSize() {
+    if (maxBatchSize === null) {
+      maxBatchSize = Number(await playGame.MAX_BATCH_SIZE());
+    }
+    return maxBatchSize;
+  }
+
+  function save() {
+    store.save();
+  }
+
+  function checkSize(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw apiError('VALIDATION_FAILED', 'Expected a non-empty array of matches');
+    }
+    if (items.length > MAX_REQUEST_ITEMS) {
+      throw apiError('VALIDATION_FAILED', `At most ${MAX_REQUEST_ITEMS} matches per request`);
+    }
+  }
+
+  function newBatch(kind, items, meta) {
+    const batch = {
+      id: crypto.randomUUID(),
+      kind: kind,
+      status: 'pending',
+      items: items,
+      jobs: [],
+      meta: meta,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    store.data.batches[batch.id] = batch;
+    return batch;
+  }
+
+  // Queue one transaction per chunk of valid items
+  async function send(batch, itemGas, method, argsFor) {
+    const valid = batch.items.filter(item => item.status === 'queued');
+    const chunks = chunk(valid, itemGas, gasLimit, await getMaxBatchSize());
+
+    for (const items of chunks) {
+      const job = txManager.enqueue({
+        contract: 'playGame',
+        method: method,
+        args: argsFor(items),
+        meta: { batchId: batch.id, matches: items.length, ...batch.meta }
+      });
+      items.forEach((item, position) => Object.assign(item, { jobId: job.id, position }));
+      batch.jobs.push(job.id);
+    }
+
+    if (chunks.length === 0) {
+      batch.status = 'done';
+    }
+    save();
+    batch.jobs.forEach(jobId => track(batch, jobId));
+    return batch;
+  }
+
+  async function startMatches(matches, meta = {}) {
+    checkSize(matches);
+
+    const seen = new Set();
+    const items = matches.map((match, index) => {
+      const item = { index, matchId: match && match.matchId, status: 'queued', reason: null, jobId: null };
+      const { matchId, p1, p2, stake } = match || {};
+      let stakeWei = null;
+      try {
+        stakeWei = ethers.parseUnits(String(stake), 18);
+      } catch (error) {
+        stakeWei = null;
+      }
+
+      if (!ethers.isHexString(matchId, 32)) {
+        return { ...item, status: 'invalid', reason: 'Invalid match ID (expected bytes32 hex)' };
+      }
+      if (seen.has(matchId.toLowerCase())) {
+        return { ...item, status: 'invalid', reason: 'Duplicate match ID in this request' };
+      }
+      seen.add(matchId.toLowerCase());
+      if (!ethers.isAddress(p1) || !ethers.isAddress(p2)) {
+        return { ...item, status: 'invalid', reason: 'Invalid addresses' };
+      }
+      if (stakeWei === null || stakeWei <= 0n) {
+        return { ...item, status: 'invalid', reason: 'Invalid stake (expected a positive GT amount)' };
+      }
+
+      return { ...item, p1: ethers.getAddress(p1), p2: ethers.getAddress(p2), stake: stakeWei.toString() };
+    });
+
+    const batch = newBatch('start', items, meta);
+    return send(batch, () => CREATE_ITEM_GAS, 'createMatches', chunkItems => [
+      chunkItems.map(item => item.matchId),
+      chunkItems.map(item => item.p1),
+      chunkItems.map(item => item.p2),
+      chunkItems.map(item => item.stake)
+    ]);
+  }
+
+  // Each result is { matchId, outcome: 'win' | 'draw', winner, signatures };
+  // signatures are checked against the signer set before anything is sent
+  async function commitResults(entries, meta = {}) {
+    checkSize(entries);
+
+    const seen = new Set();
+    const items = [];
+    for (const [index, entry] of entries.entries()) {
+      const { matchId, winner, signatures, outcome = 'win' } = entry || {};
+      const item = { index, matchId, status: 'queued', reason: null, jobId: null };
+
+      if (!ethers.isHexString(matchId, 32)) {
+        items.push({ ...item, status: 'invalid', reason: 'Invalid match ID (expected bytes32 hex)' });
+        continue;
+      }
+      if (seen.has(matchId.toLowerCase())) {
+        items.push({ ...item, status: 'invalid', reason: 'Duplicate match ID in this request' });
+        continue;
+      }
+      seen.add(matchId.toLowerCase());
+      if (outcome !== 'win' && outcome !== 'draw') {
+        items.push({ ...item, status: 'invalid', reason: 'Invalid outcome (expected win or draw)' });
+        continue;
+      }
+      if (outcome === 'draw' ? Boolean(winner) : !ethers.isAddress(winner)) {
+        items.push({ ...item, status: 'invalid', reason: outcome === 'draw' ? 'A draw has no winner' : 'Invalid winner address' });
+        continue;
+      }
+      if (!Array.isArray(signatures) || signatures.length === 0 || !signatures.every(sig => ethers.isHexString(sig, 65))) {
+        items.push({ ...item, status: 'invalid', reason: 'signatures must be a non-empty array of 65-byte hex signatures' });
+        continue;
+      }
+
+      const signedWinner = outcome === 'draw' ? ethers.ZeroAddress : ethers.getAddress(winner);
+      try {
+        const verified = await results.verify(matchId, signedWinner, signatures);
+        items.push({ ...item, outcome, winner: outcome === 'draw' ? null : signedWinner, signatures: verified.signatures, signers: verified.signers });
+      } catch (error) {
+        if (!error.status || error.status >= 500) throw error;
+        items.push({ ...item, status: 'invalid', reason: error.message });
+      }
+    }
+
+    const batch = newBatch('result', items, meta);
+    return send(batch, item => RESULT_ITEM_GAS + SIGNATURE_GAS * BigInt(item.signatures.length), 'commitResults', chunkItems => [
+      chunkItems.map(item => item.matchId),
+      chunkItems.map(item => item.winner || ethers.ZeroAddress),
+      chunkItems.map(item => item.signatures)
+    ]);
+  }
+
+  // Resolve a chunk's items from its receipt once the job finishes
+  function track(batch, jobId) {
+    txManager.wait(jobId).then(async job => {
+      const items = batch.items.filter(item => item.jobId === jobId);
+
+      if (job.status !== 'mined') {
+        items.forEach(item => Object.assign(item, { status: 'failed', reason: job.revertReason || job.error }));
+      } else {
+        const receipt = await provider.getTransactionReceipt(job.hash);
+        const playGameAddress = await playGame.getAddress();
+        const failures = new Map();
+        const outcomes = new Map();
+
+        for (const log of receipt.logs) {
+          if (log.address !== playGameAddress) continue;
+          const parsed = playGame.interface.parseLog(log);
+          if (!parsed) continue;
+
+          if (parsed.name === 'BatchItemFailed') {
+            failures.set(Number(parsed.args.index), parsed.args.reason);
+          } else if (['MatchCreated', 'Settled', 'Drawn'].includes(parsed.name)) {
+            outcomes.set(parsed.args.matchId, parsed.name);
+          }
+        }
+
+        for (const item of items) {
+          if (failures.has(item.position)) {
+            Object.assign(item, { status: 'rejected', reason: failures.get(item.position) });
+          } else {
+            const event = outcomes.get(item.matchId.toLowerCase());
+            item.status = { MatchCreated: 'created', Settled: 'settled', Drawn: 'drawn' }[event] || 'unknown';
+          }
+          item.transactionHash = job.hash;
+          item.blockNumber = job.blockNumber;
+        }
+      }
+
+      if (batch.items.every(item => item.status !== 'queued')) {
+        batch.status = 'done';
+      }
+      batch.updatedAt = new Date().toISOString();
+      save();
+    }).catch(error => {
+      console.error(`Batch ${batch.id} tracking error:`, error.message);
+    });
+  }
+
+  function get(batchId) {
+    return store.data.batches[batchId] || null;
+  }
+
+  // Follow chunks that were still in flight when the API stopped
+  function resume() {
+    for (const batch of Object.values(store.data.batches)) {
+      if (batch.status !== 'pending') continue;
+
+      const jobs = new Set(batch.items.filter(item => item.status === 'queued' && item.jobId).map(item => item.jobId));
+      jobs.forEach(jobId => track(batch, jobId));
+    }
+  }
+
+  return { startMatches, commitResults, get, resume };
+}
+
+module.exports = { createBatchService };
@@ -0,0 +1,294 @@
+// Generated by api/scripts/generate-client.js from the OpenAPI document
+// (GET /openapi.json, version 1.0.0). Do not edit by hand;
+// run `npm run generate:client` in api/ after changing routes.
+//
+// Works as a CommonJS module (require('./api/client')) and as a browser
+// script served at GET /client.js, which defines the WeseeApi global.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.WeseeApi = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  class ApiError extends Error {
+    constructor(status, body) {
+      super((body && (body.details || body.error)) || `Request failed with status ${status}`);
+      this.name = 'ApiError';
+      this.status = status;
+      this.code = body && body.code;
+      this.details = body && body.details;
+      this.fields = body && body.fields;
+      this.body = body;
+    }
+  }
+
+  function subtle() {
+    const webcrypto = globalThis.crypto || require('crypto').webcrypto;
+    return webcrypto.subtle;
+  }
+
+  // Hex HMAC-SHA256 of "<ts>\n<METHOD>\n<path with query>\n<raw body>",
+  // as checked by the API for operator keys
+  async function hmac(secret, payload) {
+    const encoder = new TextEncoder();
+    const key = await subtle().importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await subtle().sign('HMAC', key, encoder.encode(payload));
+    return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  function queryString(query) {
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(query || {})) {
+      if (value === undefined || value === null) continue;
+      [].concat(value).forEach(item => params.append(name, String(item)));
+    }
+    const search = params.toString();
+    return search ? `?${search}` : '';
+  }
+
+  /**
+   * `baseUrl` is where the API is served. `token` returns the session
+   * token from signIn (or null), `operatorKey` returns { id, secret } of
+   * an operator API key (or null); both may also be plain values. Every
+   * method resolves to the parsed JSON response and rejects with an
+   * ApiError carrying the response `status`, `code`, `details` and
+   * `fields` otherwise.
+   */
+  function createClient({ baseUrl = 'http://localhost:3001', fetch = globalThis.fetch, token = null, operatorKey = null } = {}) {
+    const base = baseUrl.replace(/\/$/, '');
+    const resolve = value => (typeof value === 'function' ? value() : value);
+
+    function url(path, query) {
+      return base + path + queryString(query);
+    }
+
+    async function call(method, path, { query, body, auth } = {}) {
+      const target = url(path, query);
+      const rawBody = body === undefined ? '' : JSON.stringify(body);
+      const headers = body === undefined ? {} : { 'Content-Type': 'application/json' };
+
+      const session = auth && auth.startsWith('session') ? resolve(token) : null;
+      if (session) {
+        headers.Authorization = `Bearer ${session}`;
+      }
+
+      if (auth === 'operator') {
+        const key = resolve(operatorKey);
+        if (!key) {
+          throw new ApiError(401, { error: 'Operator API key required', code: 'UNAUTHORIZED', details: `${method} ${path} needs an operator API key` });
+        }
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const { pathname, search } = new URL(target);
+        headers['X-Api-Key'] = key.id;
+        headers['X-Timestamp'] = timestamp;
+        headers['X-Signature'] = await hmac(key.secret, `${timestamp}\n${method}\n${pathname}${search}\n${rawBody}`);
+      }
+
+      const response = await fetch(target, {
+        method: method,
+        headers: headers,
+        body: body === undefined ? undefined : rawBody,
+        credentials: 'include'
+      });
+      const text = await response.text();
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch (error) {
+        data = { error: text };
+      }
+
+      if (!response.ok) {
+        throw new ApiError(response.status, data);
+      }
+      return data;
+    }
+
+    return {
+      // GET /auth/nonce: Single-use SIWE nonce
+      getNonce: (query) => call('GET', '/auth/nonce', { query }),
+
+      // POST /auth/verify: Exchange a signed SIWE message for a session
+      signIn: (body) => call('POST', '/auth/verify', { body }),
+
+      // GET /auth/session: Current session
+      getSession: () => call('GET', '/auth/session', { auth: 'session' }),
+
+      // POST /auth/logout: End the session
+      signOut: () => call('POST', '/auth/logout', { auth: 'session-optional' }),
+
+      // GET /me: Balances and allowances of the signed-in player
+      getProfile: () => call('GET', '/me', { auth: 'session' }),
+
+      // GET /me/matches: Matches of the signed-in player
+      getMyMatches: (query) => call('GET', '/me/matches', { query, auth: 'session' }),
+
+      // GET /me/purchases: Purchases of the signed-in player
+      getMyPurchases: (query) => call('GET', '/me/purchases', { query, auth: 'session' }),
+
+      // GET /me/limits: Self-imposed stake limits
+      getLimits: () => call('GET', '/me/limits', { auth: 'session' }),
+
+      // PUT /me/limits: Set or clear stake limits
+      setLimits: (body) => call('PUT', '/me/limits', { body, auth: 'session' }),
+
+      // GET /me/stake/{matchId}: Unsigned approve and stake transactions
+      prepareStake: (matchId) => call('GET', `/me/stake/${encodeURIComponent(matchId)}`, { auth: 'session' }),
+
+      // GET /me/stake/{matchId}/permit: EIP-2612 permit to sign for a gasless stake
+      getStakePermit: (matchId) => call('GET', `/me/stake/${encodeURIComponent(matchId)}/permit`, { auth: 'session' }),
+
+      // POST /relay/stake: Stake with a signed permit; the operator pays gas
+      relayStake: (body) => call('POST', '/relay/stake', { body, auth: 'session' }),
+
+      // GET /me/relay: Remaining relay gas budget and requests
+      getRelayUsage: () => call('GET', '/me/relay', { auth: 'session' }),
+
+      // POST /queue/join: Join the matchmaking queue
+      joinQueue: (body) => call('POST', '/queue/join', { body, auth: 'session' }),
+
+      // POST /queue/leave: Leave the matchmaking queue
+      leaveQueue: () => call('POST', '/queue/leave', { auth: 'session' }),
+
+      // GET /queue/status: Latest queue entry of the signed-in player
+      getQueueStatus: () => call('GET', '/queue/status', { auth: 'session' }),
+
+      // GET /me/tournaments/{tournamentId}/join: Unsigned approve and join transactions
+      prepareTournamentJoin: (tournamentId) => call('GET', `/me/tournaments/${encodeURIComponent(tournamentId)}/join`, { auth: 'session' }),
+
+      // GET /purchase: Quote a USDT → GT purchase (with transactions when signed in)
+      getPurchaseQuote: (query) => call('GET', '/purchase', { query, auth: 'session-optional' }),
+
+      // POST /purchase/submit: Broadcast the signed purchase transactions
+      submitPurchase: (body) => call('POST', '/purchase/submit', { body, auth: 'session' }),
+
+      // GET /purchase/{id}: Purchase order status
+      getPurchase: (id) => call('GET', `/purchase/${encodeURIComponent(id)}`),
+
+      // GET /redeem: Quote a GT → USDT redemption (with the transaction when signed in)
+      getRedeemQuote: (query) => call('GET', '/redeem', { query, auth: 'session-optional' }),
+
+      // GET /store: Store reserve and rates
+      getStore: () => call('GET', '/store'),
+
+      // POST /match/start: Queue match creation
+      startMatch: (body) => call('POST', '/match/start', { body, auth: 'operator' }),
+
+      // GET /match/{matchId}/result-payload: EIP-712 result typed data for game servers to sign
+      getResultPayload: (matchId, query) => call('GET', `/match/${encodeURIComponent(matchId)}/result-payload`, { query }),
+
+      // POST /match/result: Queue a signed match result
+      commitResult: (body) => call('POST', '/match/result', { body, auth: 'operator' }),
+
+      // POST /match/batch/start: Queue a batch of match creations
+      startMatches: (body) => call('POST', '/match/batch/start', { body, auth: 'operator' }),
+
+      // POST /match/batch/result: Queue a batch of signed results
+      commitResults: (body) => call('POST', '/match/batch/result', { body, auth: 'operator' }),
+
+      // GET /match/batch/{batchId}: Per-match outcome of a batch
+      getBatch: (batchId) => call('GET', `/match/batch/${encodeURIComponent(batchId)}`),
+
+      // POST /match/{matchId}/refund: Refund a timed-out staked match
+      refundMatch: (matchId) => call('POST', `/match/${encodeURIComponent(matchId)}/refund`, { auth: 'operator' }),
+
+      // POST /match/{matchId}/cancel: Cancel a match whose stake window passed
+      cancelMatch: (matchId) => call('POST', `/match/${encodeURIComponent(matchId)}/cancel`, { auth: 'operator' }),
+
+      // GET /admin/status: Pause state, owners, operator and reserve
+      getAdminStatus: () => call('GET', '/admin/status', { auth: 'operator' }),
+
+      // POST /admin/pause: Pause a contract
+      pauseContract: (body) => call('POST', '/admin/pause', { body, auth: 'operator' }),
+
+      // POST /admin/unpause: Unpause a contract
+      unpauseContract: (body) => call('POST', '/admin/unpause', { body, auth: 'operator' }),
+
+      // POST /admin/operator: Rotate the backend operator
+      rotateOperator: (body) => call('POST', '/admin/operator', { body, auth: 'operator' }),
+
+      // POST /admin/withdraw: Withdraw USDT from the store reserve
+      withdrawReserve: (body) => call('POST', '/admin/withdraw', { body, auth: 'operator' }),
+
+      // GET /admin/audit: Latest audit log entries
+      getAuditLog: (query) => call('GET', '/admin/audit', { query, auth: 'operator' }),
+
+      // GET /tx/{id}: Operator transaction job status
+      getTxJob: (id) => call('GET', `/tx/${encodeURIComponent(id)}`),
+
+      // GET /tx: Operator wallet queue summary
+      getTxStatus: () => call('GET', '/tx'),
+
+      // POST /tournaments: Queue a new tournament
+      createTournament: (body) => call('POST', '/tournaments', { body, auth: 'operator' }),
+
+      // GET /tournaments: Tournaments, newest first
+      listTournaments: (query) => call('GET', '/tournaments', { query }),
+
+      // GET /tournaments/{tournamentId}: Tournament settings, entrants and bracket
+      getTournament: (tournamentId) => call('GET', `/tournaments/${encodeURIComponent(tournamentId)}`),
+
+      // GET /tournaments/{tournamentId}/result-payload: EIP-712 typed data for a bracket match result
+      getTournamentResultPayload: (tournamentId, query) => call('GET', `/tournaments/${encodeURIComponent(tournamentId)}/result-payload`, { query }),
+
+      // POST /tournaments/{tournamentId}/result: Queue a signed bracket match result
+      commitTournamentResult: (tournamentId, body) => call('POST', `/tournaments/${encodeURIComponent(tournamentId)}/result`, { body, auth: 'operator' }),
+
+      // POST /tournaments/{tournamentId}/cancel: Cancel and refund a tournament still in registration
+      cancelTournament: (tournamentId) => call('POST', `/tournaments/${encodeURIComponent(tournamentId)}/cancel`, { auth: 'operator' }),
+
+      // GET /keeper/status: Timeout keeper state
+      getKeeperStatus: () => call('GET', '/keeper/status'),
+
+      // GET /players/{address}: Public player profile
+      getPlayer: (address, query) => call('GET', `/players/${encodeURIComponent(address)}`, { query }),
+
+      // GET /ratings: Players ranked by skill rating
+      getRatings: (query) => call('GET', '/ratings', { query }),
+
+      // GET /ratings/match/{matchId}: Rating change from one match
+      getMatchRatingChange: (matchId) => call('GET', `/ratings/match/${encodeURIComponent(matchId)}`),
+
+      // GET /ratings/{address}: Rating history of one player
+      getPlayerRating: (address, query) => call('GET', `/ratings/${encodeURIComponent(address)}`, { query }),
+
+      // GET /balance/{address}: GT balance
+      getBalance: (address) => call('GET', `/balance/${encodeURIComponent(address)}`),
+
+      // GET /match/{matchId}: On-chain match state
+      getMatch: (matchId) => call('GET', `/match/${encodeURIComponent(matchId)}`),
+
+      // GET /matches: Indexed matches
+      listMatches: (query) => call('GET', '/matches', { query }),
+
+      // GET /purchases: Indexed purchases
+      listPurchases: (query) => call('GET', '/purchases', { query }),
+
+      // GET /treasury: Rake collected over time
+      getTreasury: (query) => call('GET', '/treasury', { query }),
+
+      // GET /stream: Server-Sent Events for matches, balances and the leaderboard
+      streamUrl: (query) => url('/stream', query),
+
+      // GET /indexer/status: Event indexer progress
+      getIndexerStatus: () => call('GET', '/indexer/status'),
+
+      // POST /revert/decode: Readable reason and error code for revert data
+      decodeRevert: (body) => call('POST', '/revert/decode', { body }),
+
+      // GET /deployment: Deployment manifest, re-verified against the chain
+      getDeployment: () => call('GET', '/deployment'),
+
+      // GET /health: Liveness check
+      getHealth: () => call('GET', '/health'),
+
+      // GET /openapi.json: This document
+      getOpenApi: () => call('GET', '/openapi.json')
+    };
+  }
+
+  return { createClient, ApiError, VERSION: '1.0.0' };
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'contracts', 'deployments');
+
+// Manifest written by contracts/scripts/deploy.js for a chain
+function deploymentFile(chainId) {
+  return path.join(DEPLOYMENTS_DIR, `${chainId}.json`);
+}
+
+function loadDeployment(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Deployment manifest ${file} not found; run contracts/scripts/deploy.js for this chain first`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!manifest.chainId || !manifest.contracts || !Array.isArray(manifest.wiring)) {
+    throw new Error(`Deployment manifest ${file} is malformed`);
+  }
+  return manifest;
+}
+
+function contractFor(manifest, key, runner) {
+  const entry = manifest.contracts[key];
+  if (!entry) {
+    throw new Error(`Deployment manifest has no ${key} contract`);
+  }
+  return new ethers.Contract(entry.address, entry.abi, runner);
+}
+
+// Revert data → readable reason, using the custom errors of every contract
+// in the manifest plus the built-in Error(string) and Panic(uint256)
+function decodeRevert(manifest, data) {
+  const fragments = Object.values(manifest.contracts)
+    .flatMap(({ abi }) => abi.filter(item => item.type === 'error'));
+  const errors = new ethers.Interface(fragments);
+
+  let parsed;
+  try {
+    parsed = errors.parseError(data);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed) {
+    return null;
+  }
+
+  const args = parsed.args.map(arg => (typeof arg === 'bigint' ? arg.toString() : arg));
+  let reason;
+  if (parsed.name === 'Error') {
+    reason = args[0];
+  } else if (parsed.name === 'Panic') {
+    reason = `Panic 0x${BigInt(args[0]).toString(16)}`;
+  } else {
+    reason = `${parsed.name}(${args.join(', ')})`;
+  }
+
+  return { name: parsed.name, args, reason };
+}
+
+/**
+ * Check the chain against a deployment manifest: same chain id, the
+ * runtime code at each address hashes to what deploy.js recorded, and
+ * every wiring getter (e.g. GameToken.tokenStore) still returns the
+ * expected address. Returns the list of problems instead of throwing so
+ * callers can both refuse to start and report it over HTTP.
+ */
+async function verifyDeployment(manifest, provider) {
+  const problems = [];
+
+  const { chainId } = await provider.getNetwork();
+  if (Number(chainId) !== Number(manifest.chainId)) {
+    problems.push(`Connected to chain ${chainId} but the manifest is for chain ${manifest.chainId}`);
+    return { ok: false, problems, checkedAt: new Date().toISOString() };
+  }
+
+  for (const [key, entry] of Object.entries(manifest.contracts)) {
+    const code = await provider.getCode(entry.address);
+    if (code === '0x') {
+      problems.push(`${key}: no contract at ${entry.address}`);
+    } else if (ethers.keccak256(code) !== entry.codeHash) {
+      problems.push(`${key}: bytecode at ${entry.address} does not match the manifest`);
+    }
+  }
+
+  for (const { contract, getter, expected } of manifest.wiring) {
+    try {
+      const actual = await contractFor(manifest, contract, provider)[getter]();
+      if (ethers.getAddress(actual) !== ethers.getAddress(expected)) {
+        problems.push(`${contract}.${getter}() is ${actual}, expected ${expected}`);
+      }
+    } catch (error) {
+      problems.push(`${contract}.${getter}() failed: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  return { ok: problems.length === 0, problems, checkedAt: new Date().toISOString() };
+}
+
+module.exports = { DEPLOYMENTS_DIR, deploymentFile, loadDeployment, contractFor, decodeRevert, verifyDeployment };
@@ -0,0 +1,98 @@
+const path = require('path');
+const { ethers } = require('ethers');
+
+const CONTRACTS_DIR = path.join(__dirname, '..', 'contracts');
+
+const USDT_PER_PLAYER = 10_000n * 10n ** 6n;
+const GT_USDT_PER_PLAYER = 1_000n * 10n ** 6n;
+
+// Hardhat from contracts/, configured by contracts/hardhat.config.js
+// whatever the working directory is. Hardhat only takes its config and
+// network from the environment, and only when first required, so they are
+// set for the require and put back afterwards.
+function loadHardhat() {
+  const saved = { HARDHAT_CONFIG: process.env.HARDHAT_CONFIG, HARDHAT_NETWORK: process.env.HARDHAT_NETWORK };
+  process.env.HARDHAT_CONFIG = path.join(CONTRACTS_DIR, 'hardhat.config.js');
+  process.env.HARDHAT_NETWORK = 'hardhat';
+  try {
+    return require(require.resolve('hardhat', { paths: [CONTRACTS_DIR] }));
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+// Private key of the i-th account of the Hardhat network's HD wallet
+function accountKey(accounts, index) {
+  const wallet = ethers.HDNodeWallet.fromPhrase(
+    accounts.mnemonic,
+    accounts.passphrase,
+    `${accounts.path}/${accounts.initialIndex + index}`
+  );
+  return wallet.privateKey;
+}
+
+/**
+ * In-process Hardhat chain for dev mode and API tests. Compiles if needed,
+ * serves the network over JSON-RPC on 127.0.0.1:`port` (0 picks a free
+ * port), deploys and wires the contracts with contracts/scripts/deploy.js
+ * and funds `players` accounts with USDT and GT. The manifest is kept in
+ * memory; contracts/deployments/ is left alone.
+ *
+ * Account 0 deploys and is the backend operator and result signer;
+ * accounts 1..players are the players.
+ */
+async function startDevChain({ port = 0, players = 4, log = () => {} } = {}) {
+  const hre = loadHardhat();
+  const { TASK_NODE_CREATE_SERVER } = require(require.resolve('hardhat/builtin-tasks/task-names', { paths: [CONTRACTS_DIR] }));
+  const { deploy } = require(path.join(CONTRACTS_DIR, 'scripts', 'deploy.js'));
+
+  await hre.run('compile', { quiet: true });
+
+  const server = await hre.run(TASK_NODE_CREATE_SERVER, {
+    hostname: '127.0.0.1',
+    port: port,
+    provider: hre.network.provider
+  });
+  const address = await server.listen();
+
+  try {
+    const deployment = await deploy({ log });
+    const accounts = hre.network.config.accounts;
+    const signers = await hre.ethers.getSigners();
+    if (players > signers.length - 1) {
+      throw new Error(`The Hardhat network has ${signers.length - 1} player accounts, ${players} requested`);
+    }
+
+    const usdt = await hre.ethers.getContractAt('MockUSDT', deployment.contracts.usdt.address);
+    const tokenStore = await hre.ethers.getContractAt('TokenStore', deployment.contracts.tokenStore.address);
+    const funded = [];
+    for (let i = 1; i <= players; i++) {
+      const player = signers[i];
+      await (await usdt.mint(player.address, USDT_PER_PLAYER)).wait();
+      await (await usdt.connect(player).approve(tokenStore.target, GT_USDT_PER_PLAYER)).wait();
+      await (await tokenStore.connect(player).buy(GT_USDT_PER_PLAYER)).wait();
+      funded.push({ address: player.address, privateKey: accountKey(accounts, i) });
+      log(`Funded player ${player.address}`);
+    }
+    deployment.accounts = { players: funded.map(player => player.address) };
+
+    return {
+      rpcUrl: `http://${address.address}:${address.port}`,
+      operatorKey: accountKey(accounts, 0),
+      deployment: deployment,
+      players: funded,
+      close: () => server.close()
+    };
+  } catch (error) {
+    await server.close();
+    throw error;
+  }
+}
+
+module.exports = { startDevChain };
@@ -0,0 +1,254 @@
+// Stable error codes returned as `code` in every error response, and the
+// HTTP status each one maps to. Clients should branch on the code; the
+// message in `details` is for humans and may change.
+const ERROR_CODES = {
+  BAD_REQUEST: 400,
+  VALIDATION_FAILED: 400,
+  INVALID_JSON: 400,
+  INVALID_PERMIT: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_A_PLAYER: 403,
+  STAKE_LIMIT_EXCEEDED: 403,
+  NOT_FOUND: 404,
+  ROUTE_NOT_FOUND: 404,
+  MATCH_NOT_FOUND: 404,
+  TOURNAMENT_NOT_FOUND: 404,
+  NOT_QUEUED: 404,
+  PAYLOAD_TOO_LARGE: 413,
+  CONFLICT: 409,
+  MATCH_EXISTS: 409,
+  MATCH_NOT_PENDING: 409,
+  MATCH_NOT_STAKED: 409,
+  ALREADY_STAKED: 409,
+  RESULT_ALREADY_COMMITTED: 409,
+  DEADLINE_PASSED: 409,
+  DEADLINE_NOT_REACHED: 409,
+  TOURNAMENT_EXISTS: 409,
+  REGISTRATION_CLOSED: 409,
+  ALREADY_JOINED: 409,
+  TOURNAMENT_NOT_RUNNING: 409,
+  TOURNAMENT_CLOSED: 409,
+  ALREADY_QUEUED: 409,
+  ALREADY_MATCHED: 409,
+  TX_IN_FLIGHT: 409,
+  INSUFFICIENT_RESERVE: 409,
+  PRICE_MOVED: 409,
+  ALREADY_PAUSED: 409,
+  NOT_PAUSED: 409,
+  OPERATOR_UNCHANGED: 409,
+  UNPROCESSABLE: 422,
+  INVALID_MATCH: 422,
+  INVALID_WINNER: 422,
+  INVALID_SIGNATURE: 422,
+  INVALID_TOURNAMENT: 422,
+  INVALID_BATCH: 422,
+  INVALID_ARGUMENT: 422,
+  INSUFFICIENT_BALANCE: 422,
+  INSUFFICIENT_ALLOWANCE: 422,
+  TRANSFER_FAILED: 422,
+  CONTRACT_REVERT: 422,
+  RATE_LIMITED: 429,
+  GAS_BUDGET_EXHAUSTED: 429,
+  INTERNAL_ERROR: 500,
+  TX_FAILED: 502,
+  SERVICE_UNAVAILABLE: 503,
+  CHAIN_UNAVAILABLE: 503,
+  PAUSED: 503,
+  SIGNERS_NOT_CONFIGURED: 503,
+  OPERATOR_NOT_AUTHORIZED: 503
+};
+
+// Fallback code for errors that only carry a status
+const CODE_FOR_STATUS = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'TX_FAILED',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// require() messages from GameToken, TokenStore, PlayGame and Tournament
+const REVERT_CODES = {
+  'Match does not exist': 'MATCH_NOT_FOUND',
+  'Match already exists': 'MATCH_EXISTS',
+  'Match not staked': 'MATCH_NOT_STAKED',
+  'Match not pending': 'MATCH_NOT_PENDING',
+  'Match not in pending status': 'MATCH_NOT_PENDING',
+  'Already staked': 'ALREADY_STAKED',
+  'Not a player': 'NOT_A_PLAYER',
+  'Stake deadline passed': 'DEADLINE_PASSED',
+  'Registration deadline passed': 'DEADLINE_PASSED',
+  'Stake deadline not reached': 'DEADLINE_NOT_REACHED',
+  'Timeout not reached': 'DEADLINE_NOT_REACHED',
+  'Registration still open': 'DEADLINE_NOT_REACHED',
+  'Invalid winner': 'INVALID_WINNER',
+  'Hosted match cannot draw': 'INVALID_WINNER',
+  'Invalid addresses': 'INVALID_MATCH',
+  'Players must be different': 'INVALID_MATCH',
+  'Stake must be greater than 0': 'INVALID_MATCH',
+  'Invalid signature': 'INVALID_SIGNATURE',
+  'Unauthorized result signer': 'INVALID_SIGNATURE',
+  'Not enough signatures': 'INVALID_SIGNATURE',
+  'Signers not sorted or duplicated': 'INVALID_SIGNATURE',
+  'Result signers not configured': 'SIGNERS_NOT_CONFIGURED',
+  'Result already committed': 'RESULT_ALREADY_COMMITTED',
+  'Only backend can commit result': 'OPERATOR_NOT_AUTHORIZED',
+  'Not player or relayer': 'OPERATOR_NOT_AUTHORIZED',
+  'Tournament does not exist': 'TOURNAMENT_NOT_FOUND',
+  'Tournament already exists': 'TOURNAMENT_EXISTS',
+  'Registration closed': 'REGISTRATION_CLOSED',
+  'Already joined': 'ALREADY_JOINED',
+  'Invalid size': 'INVALID_TOURNAMENT',
+  'Entry fee must be greater than 0': 'INVALID_TOURNAMENT',
+  'Deadline must be in the future': 'INVALID_TOURNAMENT',
+  'Payouts must total 10000 bps': 'INVALID_TOURNAMENT',
+  'Payouts must not increase by place': 'INVALID_TOURNAMENT',
+  'Length mismatch': 'INVALID_BATCH',
+  'Invalid batch size': 'INVALID_BATCH',
+  'Insufficient reserve': 'INSUFFICIENT_RESERVE',
+  'Price moved': 'PRICE_MOVED',
+  'GT transfer failed': 'TRANSFER_FAILED',
+  'USDT transfer failed': 'TRANSFER_FAILED',
+  'Amount must be greater than 0': 'INVALID_ARGUMENT',
+  'Invalid conversion': 'INVALID_ARGUMENT',
+  'Invalid address': 'INVALID_ARGUMENT',
+  'Invalid operator': 'INVALID_ARGUMENT',
+  'Invalid treasury': 'INVALID_ARGUMENT',
+  'Invalid host': 'INVALID_ARGUMENT',
+  'Invalid price': 'INVALID_ARGUMENT',
+  'Redeem rate below buy rate': 'INVALID_ARGUMENT',
+  'Rake above maximum': 'INVALID_ARGUMENT',
+  'Invalid signer': 'INVALID_ARGUMENT',
+  'Invalid threshold': 'INVALID_ARGUMENT',
+  'Signer unchanged': 'INVALID_ARGUMENT',
+  'Threshold exceeds signers': 'INVALID_ARGUMENT'
+};
+
+// OpenZeppelin custom errors
+const CUSTOM_ERROR_CODES = {
+  EnforcedPause: 'PAUSED',
+  ExpectedPause: 'NOT_PAUSED',
+  OwnableUnauthorizedAccount: 'OPERATOR_NOT_AUTHORIZED',
+  ERC20InsufficientBalance: 'INSUFFICIENT_BALANCE',
+  ERC20InsufficientAllowance: 'INSUFFICIENT_ALLOWANCE',
+  ERC2612ExpiredSignature: 'INVALID_PERMIT',
+  ERC2612InvalidSigner: 'INVALID_PERMIT'
+};
+
+// ethers error codes meaning the RPC node couldn't be reached
+const UNAVAILABLE_CODES = ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT', 'ECONNREFUSED'];
+
+// An error with a stable code; the status comes from ERROR_CODES
+function apiError(code, message, extra = {}) {
+  return Object.assign(new Error(message), { status: ERROR_CODES[code], code, ...extra });
+}
+
+function httpError(message, status, code = CODE_FOR_STATUS[status]) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+// Error response written by every route and middleware:
+// { error, code, details, fields? }, where `message` says what failed and
+// the typed error's own message is the reason
+function sendError(res, error, message) {
+  res.status(error.status).json({
+    error: message,
+    code: error.code,
+    details: error.message,
+    ...(error.fields ? { fields: error.fields } : {})
+  });
+}
+
+// Code for a revert reason as recorded on tx jobs: a require() message or
+// a custom error such as "EnforcedPause" / "ERC20InsufficientBalance(...)"
+function codeForReason(reason) {
+  if (!reason) {
+    return null;
+  }
+  return REVERT_CODES[reason] || CUSTOM_ERROR_CODES[reason.split('(')[0]] || 'CONTRACT_REVERT';
+}
+
+/**
+ * Maps anything thrown while handling a request to a typed error with a
+ * stable `code` and matching `status`: errors the modules raise on
+ * purpose keep theirs, contract reverts are decoded (with `decode`, the
+ * manifest-wide decoder from deployment.js) and looked up by revert
+ * string or custom error name, and an unreachable RPC node becomes 503.
+ * Routes simulate operator transactions with `simulate` before queueing
+ * them, so an expected revert is answered right away instead of as a
+ * failed job.
+ */
+function createErrorModel({ decode }) {
+  function revertOf(error) {
+    if (error.revert && error.revert.name) {
+      const args = [...error.revert.args].map(arg => (typeof arg === 'bigint' ? arg.toString() : arg));
+      return {
+        name: error.revert.name,
+        reason: error.revert.name === 'Error' ? args[0] : `${error.revert.name}(${args.join(', ')})`
+      };
+    }
+
+    const data = error.data || (error.info && error.info.error && error.info.error.data);
+    if (typeof data === 'string' && data.length >= 10) {
+      const decoded = decode(data);
+      if (decoded) {
+        return { name: decoded.name, reason: decoded.reason };
+      }
+    }
+
+    if (error.code === 'CALL_EXCEPTION' && error.reason) {
+      return { name: 'Error', reason: error.reason };
+    }
+    return null;
+  }
+
+  function toApiError(error) {
+    if (typeof error.status === 'number') {
+      return Object.assign(error, { code: error.code && ERROR_CODES[error.code] ? error.code : CODE_FOR_STATUS[error.status] || 'INTERNAL_ERROR' });
+    }
+
+    const revert = revertOf(error);
+    if (revert) {
+      const code = revert.name === 'Error' ? REVERT_CODES[revert.reason] || 'CONTRACT_REVERT' : CUSTOM_ERROR_CODES[revert.name] || 'CONTRACT_REVERT';
+      return apiError(code, revert.reason, { reason: revert.reason });
+    }
+
+    if (UNAVAILABLE_CODES.includes(error.code) || (error.cause && UNAVAILABLE_CODES.includes(error.cause.code))) {
+      return apiError('CHAIN_UNAVAILABLE', 'Blockchain node unavailable');
+    }
+
+    return apiError('INTERNAL_ERROR', error.message || 'Internal error');
+  }
+
+  // Dry-run an operator call; returns the gas estimate or throws the
+  // decoded revert as a typed error
+  async function simulate(contract, method, args) {
+    try {
+      await contract[method].staticCall(...args);
+      return await contract[method].estimateGas(...args);
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }
+
+  // sendError for anything a route throws, reverts included
+  function send(res, error, message) {
+    const typed = toApiError(error);
+    if (typed.code === 'INTERNAL_ERROR' || typed.code === 'CHAIN_UNAVAILABLE') {
+      console.error(`${message}:`, error);
+    }
+
+    sendError(res, typed, message);
+  }
+
+  return { toApiError, simulate, send };
+}
+
+module.exports = { ERROR_CODES, REVERT_CODES, CUSTOM_ERROR_CODES, apiError, httpError, sendError, codeForReason, createErrorModel };
@@ -0,0 +1,332 @@
+const { ethers } = require('ethers');
+const { createStore, createLog } = require('./store');
+
+const MAX_BLOCK_RANGE = 5000;
+const REORG_DEPTH = 64;
+
+// Turn an ethers EventLog into a plain, JSON-safe record
+function toRecord(contractName, event, timestamp) {
+  const args = {};
+  event.fragment.inputs.forEach((input, i) => {
+    const value = event.args[i];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+
+  return {
+    id: `${event.blockNumber}-${event.index}`,
+    contract: contractName,
+    name: event.fragment.name,
+    args: args,
+    blockNumber: event.blockNumber,
+    blockHash: event.blockHash,
+    transactionHash: event.transactionHash,
+    logIndex: event.index,
+    timestamp: timestamp
+  };
+}
+
+// Fold a single event into the match/purchase projections
+function applyEvent(state, event) {
+  const { args } = event;
+
+  switch (event.name) {
+    case 'MatchCreated':
+      state.matches.set(args.matchId, {
+        matchId: args.matchId,
+        p1: args.p1,
+        p2: args.p2,
+        stake: args.stake,
+        status: 'PENDING',
+        p1Staked: false,
+        p2Staked: false,
+        winner: null,
+        payout: null,
+        fee: null,
+        createdAt: event.timestamp,
+        createdBlock: event.blockNumber,
+        createdTx: event.transactionHash,
+        startTime: null,
+        updatedAt: event.timestamp
+      });
+      break;
+    case 'Staked': {
+      const match = state.matches.get(args.matchId);
+      if (!match) break;
+      if (args.player === match.p1) match.p1Staked = true;
+      if (args.player === match.p2) match.p2Staked = true;
+      if (match.p1Staked && match.p2Staked) {
+        match.status = 'STAKED';
+        match.startTime = event.timestamp;
+      }
+      match.updatedAt = event.timestamp;
+      break;
+    }
+    case 'Settled': {
+      const match = state.matches.get(args.matchId);
+      if (!match) break;
+      match.status = 'SETTLED';
+      match.winner = args.winner;
+      match.payout = args.amount;
+      match.fee = args.fee;
+      match.updatedAt = event.timestamp;
+      break;
+    }
+    case 'Refunded': {
+      const match = state.matches.get(args.matchId);
+      if (!match) break;
+      match.status = 'REFUNDED';
+      match.updatedAt = event.timestamp;
+      break;
+    }
+    case 'Cancelled': {
+      const match = state.matches.get(args.matchId);
+      if (!match) break;
+      match.status = 'CANCELLED';
+      match.updatedAt = event.timestamp;
+      break;
+    }
+    case 'Drawn': {
+      const match = state.matches.get(args.matchId);
+      if (!match) break;
+      match.status = 'DRAWN';
+      match.updatedAt = event.timestamp;
+      break;
+    }
+    case 'Purchase':
+      state.purchases.push({
+        buyer: args.buyer,
+        usdtAmount: args.usdtAmount,
+        gtOut: args.gtOut,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        timestamp: event.timestamp
+      });
+      break;
+  }
+}
+
+/**
+ * Persistent indexer for PlayGame and TokenStore events. Backfills from
+ * `startBlock`, then polls for new blocks. Events are appended to
+ * indexer-events.jsonl; indexer.json checkpoints the last synced block (and
+ * recent block hashes, for reorg detection), so a synced block costs one
+ * append and a small checkpoint write however long the history is.
+ */
+function createIndexer({ provider, playGame, tokenStore, startBlock = 0, pollIntervalMs = 2000, dataDir }) {
+  const store = createStore('indexer', {
+    lastBlock: startBlock - 1,
+    blockHashes: {}
+  }, dataDir);
+  const log = createLog('indexer-events', dataDir);
+  let events = log.read();
+
+  // Events appended after the last checkpoint (a crash between the two
+  // writes) are fetched again by the next sync
+  if (events.some(event => event.blockNumber > store.data.lastBlock)) {
+    events = events.filter(event => event.blockNumber <= store.data.lastBlock);
+    log.rewrite(events);
+  }
+
+  const sources = [
+    { name: 'PlayGame', contract: playGame },
+    { name: 'TokenStore', contract: tokenStore }
+  ];
+
+  let state = { matches: new Map(), purchases: [] };
+  const listeners = new Set();
+  let timer = null;
+  let stopped = false;
+  let syncing = false;
+  let lastError = null;
+
+  function rebuild() {
+    state = { matches: new Map(), purchases: [] };
+    events.forEach(event => applyEvent(state, event));
+  }
+
+  function rememberBlockHash(blockNumber, hash) {
+    const { blockHashes } = store.data;
+    blockHashes[blockNumber] = hash;
+
+    for (const key of Object.keys(blockHashes)) {
+      if (Number(key) <= blockNumber - REORG_DEPTH) {
+        delete blockHashes[key];
+      }
+    }
+  }
+
+  // Walk back through remembered hashes to the newest block still on chain
+  async function findCommonAncestor() {
+    const tracked = Object.keys(store.data.blockHashes)
+      .map(Number)
+      .sort((a, b) => b - a);
+
+    for (const blockNumber of tracked) {
+      const block = await provider.getBlock(blockNumber);
+      if (block && block.hash === store.data.blockHashes[blockNumber]) {
+        return blockNumber;
+      }
+    }
+
+    return tracked.length > 0 ? tracked[tracked.length - 1] - 1 : store.data.lastBlock;
+  }
+
+  async function handleReorg() {
+    const ancestor = await findCommonAncestor();
+    if (ancestor >= store.data.lastBlock) {
+      return;
+    }
+
+    console.warn(`⚠️  Reorg detected: rolling indexer back from block ${store.data.lastBlock} to ${ancestor}`);
+
+    events = events.filter(event => event.blockNumber <= ancestor);
+    log.rewrite(events);
+    for (const key of Object.keys(store.data.blockHashes)) {
+      if (Number(key) > ancestor) {
+        delete store.data.blockHashes[key];
+      }
+    }
+    store.data.lastBlock = ancestor;
+    rebuild();
+    store.save();
+  }
+
+  async function fetchRange(fromBlock, toBlock) {
+    const batches = await Promise.all(sources.map(async ({ name, contract }) => {
+      const events = await contract.queryFilter('*', fromBlock, toBlock);
+      return events.filter(event => event.fragment).map(event => ({ name, event }));
+    }));
+
+    const logs = batches
+      .flat()
+      .sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.index - b.event.index);
+
+    const timestamps = new Map();
+    for (const { event } of logs) {
+      if (!timestamps.has(event.blockNumber)) {
+        const block = await provider.getBlock(event.blockNumber);
+        timestamps.set(event.blockNumber, block.timestamp);
+        rememberBlockHash(event.blockNumber, block.hash);
+      }
+    }
+
+    return logs.map(({ name, event }) => toRecord(name, event, timestamps.get(event.blockNumber)));
+  }
+
+  function notify(records) {
+    for (const listener of listeners) {
+      try {
+        listener(records);
+      } catch (error) {
+        console.error('Indexer listener error:', error.message);
+      }
+    }
+  }
+
+  // Call `listener(records)` with each batch of newly indexed events, after
+  // they are applied to the projections. Returns an unsubscribe function.
+  function onEvents(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  async function sync() {
+    if (syncing) {
+      return;
+    }
+    syncing = true;
+
+    try {
+      await handleReorg();
+
+      const head = await provider.getBlockNumber();
+
+      while (store.data.lastBlock < head) {
+        const fromBlock = store.data.lastBlock + 1;
+        const toBlock = Math.min(fromBlock + MAX_BLOCK_RANGE - 1, head);
+
+        const records = await fetchRange(fromBlock, toBlock);
+        const endBlock = await provider.getBlock(toBlock);
+
+        log.append(records);
+        records.forEach(record => {
+          events.push(record);
+          applyEvent(state, record);
+        });
+        rememberBlockHash(toBlock, endBlock.hash);
+        store.data.lastBlock = toBlock;
+        store.save();
+
+        if (records.length > 0) {
+          notify(records);
+        }
+      }
+
+      lastError = null;
+    } catch (error) {
+      lastError = error.message;
+      console.error('Indexer sync error:', error.message);
+    } finally {
+      syncing = false;
+    }
+  }
+
+  async function start() {
+    stopped = false;
+    rebuild();
+    await sync();
+    // stop() may have been called during the first sync
+    if (!stopped) {
+      timer = setInterval(sync, pollIntervalMs);
+    }
+  }
+
+  function stop() {
+    stopped = true;
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function getMatch(matchId) {
+    return state.matches.get(matchId) || null;
+  }
+
+  function getMatches({ player, status, from, to } = {}) {
+    const address = player ? ethers.getAddress(player) : null;
+
+    return [...state.matches.values()]
+      .filter(match => !address || match.p1 === address || match.p2 === address)
+      .filter(match => !status || match.status === status)
+      .filter(match => from === undefined || match.createdAt >= from)
+      .filter(match => to === undefined || match.createdAt <= to)
+      .sort((a, b) => b.createdBlock - a.createdBlock);
+  }
+
+  function getPurchases({ buyer } = {}) {
+    const address = buyer ? ethers.getAddress(buyer) : null;
+
+    return state.purchases
+      .filter(purchase => !address || purchase.buyer === address)
+      .slice()
+      .reverse();
+  }
+
+  function getEvents() {
+    return events;
+  }
+
+  function status() {
+    return {
+      lastBlock: store.data.lastBlock,
+      events: events.length,
+      matches: state.matches.size,
+      purchases: state.purchases.length,
+      syncing: syncing,
+      lastError: lastError
+    };
+  }
+
+  return { start, stop, sync, onEvents, getMatch, getMatches, getPurchases, getEvents, status };
+}
+
+module.exports = { createIndexer };
@@ -0,0 +1,265 @@
+const { ethers } = require('ethers');
+const { createStore } = require('./store');
+const { apiError } = require('./errors');
+
+const STATUS_PENDING = 0n;
+const STATUS_STAKED = 1n;
+const RETRY_BASE_MS = 30000;
+const HISTORY_LIMIT = 100;
+
+/**
+ * Background keeper that refunds STAKED matches once PlayGame's
+ * TIMEOUT_DURATION has passed, and cancels PENDING matches (returning any
+ * single-sided stake) once STAKE_TIMEOUT_DURATION has passed. Candidates
+ * come from the indexer; each is re-checked on chain before the
+ * transaction is queued on the tx manager. Failures are retried with
+ * exponential backoff up to `maxAttempts`. Each run also re-checks stuck
+ * purchase orders when given `purchases`.
+ */
+function createRefundKeeper({ provider, playGame, indexer, txManager, purchases = null, intervalMs = 60000, maxAttempts = 5, dataDir }) {
+  const store = createStore('keeper', { refunded: [], cancelled: [], failures: {} }, dataDir);
+  const inFlight = new Set();
+  let timer = null;
+  let running = false;
+  let lastRunAt = null;
+  let lastRunError = null;
+  let timeoutDuration = null;
+  let stakeTimeoutDuration = null;
+
+  async function getTimeoutDuration() {
+    if (timeoutDuration === null) {
+      timeoutDuration = Number(await playGame.TIMEOUT_DURATION());
+    }
+    return timeoutDuration;
+  }
+
+  async function getStakeTimeoutDuration() {
+    if (stakeTimeoutDuration === null) {
+      stakeTimeoutDuration = Number(await playGame.STAKE_TIMEOUT_DURATION());
+    }
+    return stakeTimeoutDuration;
+  }
+
+  function recordFailure(matchId, action, error) {
+    const failure = store.data.failures[matchId] || { matchId, action, attempts: 0 };
+    failure.attempts += 1;
+    failure.lastError = error.shortMessage || error.reason || error.message;
+    failure.lastAttemptAt = new Date().toISOString();
+    failure.nextAttemptAt = failure.attempts >= maxAttempts
+      ? null
+      : new Date(Date.now() + RETRY_BASE_MS * 2 ** (failure.attempts - 1)).toISOString();
+    store.data.failures[matchId] = failure;
+    store.save();
+  }
+
+  function recordSuccess(list, matchId, job, trigger) {
+    delete store.data.failures[matchId];
+    store.data[list].unshift({
+      matchId: matchId,
+      jobId: job.id,
+      transactionHash: job.hash,
+      blockNumber: job.blockNumber,
+      trigger: trigger,
+      at: new Date().toISOString()
+    });
+    store.data[list] = store.data[list].slice(0, HISTORY_LIMIT);
+    store.save();
+  }
+
+  // Queue the transaction and record the outcome once it is mined
+  function send(matchId, action, list, trigger) {
+    const job = txManager.enqueue({
+      contract: 'playGame',
+      method: action,
+      args: [matchId],
+      meta: { matchId, trigger }
+    });
+    inFlight.add(matchId);
+
+    const done = txManager.wait(job.id).then(result => {
+      inFlight.delete(matchId);
+      if (result.status === 'mined') {
+        recordSuccess(list, matchId, result, trigger);
+      } else {
+        recordFailure(matchId, action, new Error(result.revertReason || result.error));
+      }
+      return result;
+    });
+
+    return { job, done };
+  }
+
+  function assertNotInFlight(matchId) {
+    if (inFlight.has(matchId)) {
+      throw apiError('TX_IN_FLIGHT', 'A keeper transaction for this match is already in flight');
+    }
+  }
+
+  // Refund one match, verifying its on-chain state first
+  async function refund(matchId, trigger = 'manual') {
+    assertNotInFlight(matchId);
+
+    const [match, latest, timeout] = await Promise.all([
+      playGame.matches(matchId),
+      provider.getBlock('latest'),
+      getTimeoutDuration()
+    ]);
+
+    if (match.p1 === ethers.ZeroAddress) {
+      throw apiError('MATCH_NOT_FOUND', 'Match does not exist');
+    }
+
+    if (match.status !== STATUS_STAKED) {
+      throw apiError('MATCH_NOT_STAKED', 'Match not staked');
+    }
+
+    const deadline = Number(match.startTime) + timeout;
+    if (latest.timestamp < deadline) {
+      throw apiError('DEADLINE_NOT_REACHED', `Timeout not reached (refundable after ${new Date(deadline * 1000).toISOString()})`);
+    }
+
+    return send(matchId, 'refund', 'refunded', trigger);
+  }
+
+  // Cancel one PENDING match, returning any single-sided stake
+  async function cancel(matchId, trigger = 'manual') {
+    assertNotInFlight(matchId);
+
+    const [match, latest, timeout] = await Promise.all([
+      playGame.matches(matchId),
+      provider.getBlock('latest'),
+      getStakeTimeoutDuration()
+    ]);
+
+    if (match.p1 === ethers.ZeroAddress) {
+      throw apiError('MATCH_NOT_FOUND', 'Match does not exist');
+    }
+
+    if (match.status !== STATUS_PENDING) {
+      throw apiError('MATCH_NOT_PENDING', 'Match not pending');
+    }
+
+    const deadline = Number(match.createdAt) + timeout;
+    if (latest.timestamp < deadline) {
+      throw apiError('DEADLINE_NOT_REACHED', `Stake deadline not reached (cancellable after ${new Date(deadline * 1000).toISOString()})`);
+    }
+
+    return send(matchId, 'cancel', 'cancelled', trigger);
+  }
+
+  function isDue(matchId) {
+    const failure = store.data.failures[matchId];
+    if (!failure) return true;
+    if (failure.nextAttemptAt === null) return false;
+    return Date.parse(failure.nextAttemptAt) <= Date.now();
+  }
+
+  // One keeper attempt at a refund or cancel. Failures before the
+  // transaction is queued (match state, RPC errors) count towards the
+  // backoff just like reverted transactions do.
+  async function attempt(matchId, action) {
+    let sent;
+    try {
+      sent = await (action === 'refund' ? refund : cancel)(matchId, 'keeper');
+    } catch (error) {
+      if (error.code !== 'TX_IN_FLIGHT') {
+        recordFailure(matchId, action, error);
+      }
+      throw error;
+    }
+
+    const result = await sent.done;
+    if (result.status !== 'mined') throw new Error(result.revertReason || result.error);
+  }
+
+  async function run() {
+    if (running) {
+      return;
+    }
+    running = true;
+
+    try {
+      if (purchases) {
+        purchases.checkStuck();
+      }
+
+      const [latest, timeout, stakeTimeout] = await Promise.all([
+        provider.getBlock('latest'),
+        getTimeoutDuration(),
+        getStakeTimeoutDuration()
+      ]);
+
+      const expired = indexer
+        .getMatches({ status: 'STAKED' })
+        .filter(match => match.startTime !== null && match.startTime + timeout <= latest.timestamp)
+        .filter(match => isDue(match.matchId));
+
+      for (const match of expired) {
+        try {
+          await attempt(match.matchId, 'refund');
+          console.log(`♻️  Keeper refunded match ${match.matchId}`);
+        } catch (error) {
+          console.error(`Keeper failed to refund ${match.matchId}:`, error.message);
+        }
+      }
+
+      // Only pending matches holding a stake need a transaction
+      const abandoned = indexer
+        .getMatches({ status: 'PENDING' })
+        .filter(match => match.p1Staked || match.p2Staked)
+        .filter(match => match.createdAt + stakeTimeout <= latest.timestamp)
+        .filter(match => isDue(match.matchId));
+
+      for (const match of abandoned) {
+        try {
+          await attempt(match.matchId, 'cancel');
+          console.log(`♻️  Keeper cancelled match ${match.matchId}`);
+        } catch (error) {
+          console.error(`Keeper failed to cancel ${match.matchId}:`, error.message);
+        }
+      }
+
+      lastRunError = null;
+    } catch (error) {
+      lastRunError = error.message;
+      console.error('Keeper run error:', error.message);
+    } finally {
+      lastRunAt = new Date().toISOString();
+      running = false;
+    }
+  }
+
+  function start() {
+    timer = setInterval(run, intervalMs);
+    return run();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function status() {
+    const failures = Object.values(store.data.failures);
+
+    return {
+      enabled: timer !== null,
+      intervalMs: intervalMs,
+      maxAttempts: maxAttempts,
+      timeoutDuration: timeoutDuration,
+      stakeTimeoutDuration: stakeTimeoutDuration,
+      running: running,
+      lastRunAt: lastRunAt,
+      lastRunError: lastRunError,
+      inFlight: [...inFlight],
+      refunded: store.data.refunded,
+      cancelled: store.data.cancelled,
+      retrying: failures.filter(failure => failure.nextAttemptAt !== null),
+      failed: failures.filter(failure => failure.nextAttemptAt === null)
+    };
+  }
+
+  return { start, stop, run, refund, cancel, status };
+}
+
+module.exports = { createRefundKeeper };
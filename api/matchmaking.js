@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { createStore } = require('./store');
+const { apiError } = require('./errors');
+
+const HISTORY_LIMIT = 500;
+const ACTIVE_STATUSES = ['waiting', 'matching'];
+// createMatch transactions a pair of entries may fail before both give up
+const MAX_MATCH_ATTEMPTS = 3;
+
+// Same stake, and the same skill band unless either player left it open
+function compatible(a, b) {
+  return a.address !== b.address &&
+    a.stake === b.stake &&
+    (a.skillBand === null || b.skillBand === null || a.skillBand === b.skillBand);
+}
+
+/**
+ * Matchmaking queue. Signed-in players join with a stake and may ask to
+ * be matched within their skill band, which comes from the ratings
+ * engine; the first compatible waiting player is paired with them and
+ * `createMatch` is queued on the tx manager with a match ID derived from
+ * both queue entries. If that transaction fails both players go back to
+ * the queue and are paired again on the next sweep; after
+ * MAX_MATCH_ATTEMPTS failures an entry is marked failed instead. Entries
+ * that wait longer than `queueTimeoutMs` expire. `notify(address, entry)`
+ * is called on every change to a player's entry.
+ */
+function createMatchmaker({ txManager, gameToken, staking, ratings, notify = () => {}, queueTimeoutMs = 600000, intervalMs = 5000, dataDir }) {
+  const store = createStore('matchmaking', { entries: {} }, dataDir);
+  let timer = null;
+
+  function entries() {
+    return Object.values(store.data.entries);
+  }
+
+  function waiting() {
+    return entries()
+      .filter(entry => entry.status === 'waiting')
+      .sort((a, b) => Date.parse(a.joinedAt) - Date.parse(b.joinedAt));
+  }
+
+  function activeEntry(address) {
+    return entries().find(entry => entry.address === address && ACTIVE_STATUSES.includes(entry.status)) || null;
+  }
+
+  function latestEntry(address) {
+    return entries()
+      .filter(entry => entry.address === address)
+      .sort((a, b) => Date.parse(b.joinedAt) - Date.parse(a.joinedAt))[0] || null;
+  }
+
+  function update(entry, changes) {
+    Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+  }
+
+  function announce(...changed) {
+    store.save();
+    changed.forEach(entry => notify(entry.address, entry));
+  }
+
+  function createMatch(first, second) {
+    // The player who waited longest is p1; the attempt count keeps a retry
+    // by the same pair from reusing the ID of a transaction that failed
+    const attempt = Math.max(first.attempts || 0, second.attempts || 0);
+    const matchId = ethers.keccak256(ethers.toUtf8Bytes(`matchmaking:${first.id}:${second.id}:${attempt}`));
+    const job = txManager.enqueue({
+      contract: 'playGame',
+      method: 'createMatch',
+      args: [matchId, first.address, second.address, BigInt(first.stake)],
+      meta: { matchId, source: 'matchmaking' }
+    });
+
+    update(first, { status: 'matching', matchId, jobId: job.id, opponent: second.address, error: null });
+    update(second, { status: 'matching', matchId, jobId: job.id, opponent: first.address, error: null });
+    announce(first, second);
+    track(job.id, [first, second]);
+  }
+
+  function pair(entry) {
+    const opponent = waiting().find(candidate => compatible(candidate, entry));
+    if (opponent) {
+      const opponentFirst = Date.parse(opponent.joinedAt) <= Date.parse(entry.joinedAt);
+      createMatch(...(opponentFirst ? [opponent, entry] : [entry, opponent]));
+    }
+  }
+
+  function track(jobId, pairEntries) {
+    txManager.wait(jobId).then(job => {
+      if (job.status === 'mined') {
+        pairEntries.forEach(entry => update(entry, { status: 'matched', matchedAt: new Date().toISOString() }));
+        announce(...pairEntries);
+        return;
+      }
+
+      // Back in the queue, keeping their place; the next sweep pairs them
+      // again rather than retrying straight away. An entry that keeps
+      // failing leaves the queue so it cannot loop forever.
+      const error = job.revertReason || job.error || 'createMatch failed';
+      pairEntries.forEach(entry => {
+        const attempts = (entry.attempts || 0) + 1;
+        update(entry, {
+          status: attempts >= MAX_MATCH_ATTEMPTS ? 'failed' : 'waiting',
+          attempts: attempts,
+          matchId: null,
+          jobId: null,
+          opponent: null,
+          error: attempts >= MAX_MATCH_ATTEMPTS ? `Gave up after ${attempts} failed match attempts: ${error}` : error
+        });
+      });
+      announce(...pairEntries);
+    }).catch(error => {
+      console.error(`Matchmaking job ${jobId} tracking error:`, error.message);
+    });
+  }
+
+  // With `matchSkill` the player is only paired within their skill band
+  async function join(address, stakeWei, { matchSkill = false } = {}) {
+    if (activeEntry(address)) {
+      throw apiError('ALREADY_QUEUED', 'Already in the matchmaking queue');
+    }
+
+    staking.checkLimits(address, stakeWei);
+
+    const balance = await gameToken.balanceOf(address);
+    if (balance < stakeWei) {
+      throw apiError('INSUFFICIENT_BALANCE', `Insufficient GT balance (need ${ethers.formatUnits(stakeWei, 18)} GT)`);
+    }
+
+    // Re-check: another join for this address may have landed meanwhile
+    if (activeEntry(address)) {
+      throw apiError('ALREADY_QUEUED', 'Already in the matchmaking queue');
+    }
+
+    const now = Date.now();
+    const entry = {
+      id: crypto.randomUUID(),
+      address: address,
+      stake: stakeWei.toString(),
+      skillBand: matchSkill ? ratings.skillBand(address) : null,
+      status: 'waiting',
+      attempts: 0,
+      matchId: null,
+      jobId: null,
+      opponent: null,
+      error: null,
+      joinedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + queueTimeoutMs).toISOString(),
+      matchedAt: null,
+      updatedAt: new Date(now).toISOString()
+    };
+    store.data.entries[entry.id] = entry;
+    announce(entry);
+
+    pair(entry);
+    return entry;
+  }
+
+  function leave(address) {
+    const entry = activeEntry(address);
+    if (!entry) {
+      throw apiError('NOT_QUEUED', 'Not in the matchmaking queue');
+    }
+    if (entry.status !== 'waiting') {
+      throw apiError('ALREADY_MATCHED', 'Already matched; the match is being created');
+    }
+
+    update(entry, { status: 'left' });
+    announce(entry);
+    return entry;
+  }
+
+  // Players waiting at the same stake and band (the entry itself included)
+  function queueDepth(entry) {
+    return waiting().filter(other => other.stake === entry.stake && other.skillBand === entry.skillBand).length;
+  }
+
+  function getStatus(address) {
+    const entry = latestEntry(address);
+    return { entry, waitingAtStake: entry && entry.status === 'waiting' ? queueDepth(entry) : null };
+  }
+
+  // Waiting players grouped by stake and skill band
+  function summary() {
+    const groups = new Map();
+    for (const entry of waiting()) {
+      const key = `${entry.stake}:${entry.skillBand}`;
+      const group = groups.get(key) || { stake: entry.stake, skillBand: entry.skillBand, waiting: 0, oldestJoinedAt: entry.joinedAt };
+      group.waiting += 1;
+      groups.set(key, group);
+    }
+    return [...groups.values()];
+  }
+
+  function sweep() {
+    const now = Date.now();
+    const expired = waiting().filter(entry => Date.parse(entry.expiresAt) <= now);
+
+    expired.forEach(entry => update(entry, { status: 'expired', error: 'No opponent found before the queue timeout' }));
+
+    // Keep the most recent finished entries for status lookups
+    const finished = entries()
+      .filter(entry => !ACTIVE_STATUSES.includes(entry.status))
+      .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+    finished.slice(HISTORY_LIMIT).forEach(entry => delete store.data.entries[entry.id]);
+
+    if (expired.length > 0 || finished.length > HISTORY_LIMIT) {
+      announce(...expired);
+    }
+
+    // Pair anyone left waiting after a failed createMatch or a restart
+    for (const entry of waiting()) {
+      if (entry.status === 'waiting') pair(entry);
+    }
+  }
+
+  function start() {
+    // Follow createMatch jobs that were in flight when the API stopped
+    const inFlight = new Map();
+    entries()
+      .filter(entry => entry.status === 'matching')
+      .forEach(entry => inFlight.set(entry.jobId, [...(inFlight.get(entry.jobId) || []), entry]));
+    inFlight.forEach((pairEntries, jobId) => track(jobId, pairEntries));
+
+    timer = setInterval(sweep, intervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { join, leave, getStatus, summary, start, stop };
+}
+
+module.exports = { createMatchmaker };
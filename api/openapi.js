@@ -0,0 +1,423 @@
+const { SCHEMAS, BYTES32, ADDRESS } = require('./schemas');
+const { ERROR_CODES } = require('./errors');
+const { version } = require('./package.json');
+
+// Path parameters, by name
+const PATH_PARAMS = {
+  matchId: BYTES32,
+  tournamentId: BYTES32,
+  address: ADDRESS,
+  id: { type: 'string' },
+  batchId: { type: 'string', format: 'uuid' }
+};
+
+const PAGE = { type: 'integer', minimum: 1 };
+const LIMIT = { type: 'integer', minimum: 1, maximum: 100 };
+const MATCH_STATUS = { type: 'string', enum: ['PENDING', 'STAKED', 'SETTLED', 'REFUNDED', 'CANCELLED', 'DRAWN'] };
+const DECIMAL = { type: 'string', description: 'Decimal token amount' };
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+// Response schemas. Only what clients rely on is required; responses may
+// carry more properties than listed.
+const RESPONSES = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'What failed' },
+      code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Stable error code to branch on' },
+      details: { type: 'string', description: 'Human-readable reason; may change' },
+      fields: {
+        type: 'array',
+        items: { type: 'object', required: ['field', 'message'], properties: { field: { type: 'string' }, message: { type: 'string' } } }
+      }
+    }
+  },
+  Health: {
+    type: 'object',
+    required: ['status', 'timestamp'],
+    properties: { status: { type: 'string', enum: ['OK'] }, timestamp: { type: 'string' } }
+  },
+  Pagination: {
+    type: 'object',
+    required: ['page', 'limit', 'total', 'totalPages'],
+    properties: { page: { type: 'integer' }, limit: { type: 'integer' }, total: { type: 'integer' }, totalPages: { type: 'integer' } }
+  },
+  UnsignedTransaction: {
+    type: 'object',
+    required: ['type', 'tx'],
+    properties: {
+      type: { type: 'string' },
+      description: { type: 'string' },
+      tx: { type: 'object', required: ['to', 'data'], properties: { to: ADDRESS, data: { type: 'string', format: 'hex' } } }
+    }
+  },
+  JobAccepted: {
+    type: 'object',
+    required: ['success', 'jobId', 'status', 'message'],
+    properties: {
+      success: { type: 'boolean' },
+      jobId: { type: 'string' },
+      status: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  TxJob: {
+    type: 'object',
+    required: ['jobId', 'kind', 'status', 'createdAt'],
+    properties: {
+      jobId: { type: 'string' },
+      kind: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'sent', 'mined', 'failed'] },
+      transactionHash: { type: ['string', 'null'] },
+      nonce: { type: ['integer', 'null'] },
+      blockNumber: { type: ['integer', 'null'] },
+      revertReason: { type: ['string', 'null'] },
+      errorCode: { type: ['string', 'null'], description: 'Error code for the revert reason' },
+      error: { type: ['string', 'null'] },
+      meta: { type: 'object' },
+      createdAt: { type: 'string' },
+      updatedAt: { type: 'string' }
+    }
+  },
+  Balance: {
+    type: 'object',
+    required: ['address', 'balance', 'balanceWei'],
+    properties: { address: ADDRESS, balance: DECIMAL, balanceWei: { type: 'string', format: 'uint' } }
+  },
+  Match: {
+    type: 'object',
+    required: ['matchId', 'p1', 'p2', 'stake', 'status', 'p1Staked', 'p2Staked'],
+    properties: {
+      matchId: BYTES32,
+      p1: ADDRESS,
+      p2: ADDRESS,
+      stake: DECIMAL,
+      startTime: { type: 'string', format: 'uint' },
+      createdAt: { type: 'string', format: 'uint' },
+      status: MATCH_STATUS,
+      p1Staked: { type: 'boolean' },
+      p2Staked: { type: 'boolean' },
+      rakeBps: { type: 'integer' },
+      pot: DECIMAL,
+      fee: DECIMAL,
+      netPayout: DECIMAL
+    }
+  },
+  IndexedMatch: {
+    type: 'object',
+    required: ['matchId', 'p1', 'p2', 'stake', 'status'],
+    properties: {
+      matchId: BYTES32,
+      p1: ADDRESS,
+      p2: ADDRESS,
+      stake: DECIMAL,
+      status: MATCH_STATUS,
+      winner: { type: ['string', 'null'] },
+      payout: { type: ['string', 'null'] },
+      fee: { type: ['string', 'null'] }
+    }
+  },
+  MatchList: {
+    type: 'object',
+    required: ['matches', 'pagination', 'indexedBlock'],
+    properties: { matches: { type: 'array', items: ref('IndexedMatch') }, pagination: ref('Pagination'), indexedBlock: { type: 'integer' } }
+  },
+  MatchAccepted: {
+    type: 'object',
+    required: ['success', 'matchId', 'jobId', 'status'],
+    properties: { success: { type: 'boolean' }, matchId: BYTES32, jobId: { type: 'string' }, status: { type: 'string' }, message: { type: 'string' } }
+  },
+  ResultAccepted: {
+    type: 'object',
+    required: ['success', 'matchId', 'outcome', 'jobId', 'status'],
+    properties: {
+      success: { type: 'boolean' },
+      matchId: BYTES32,
+      outcome: { type: 'string', enum: ['win', 'draw'] },
+      winner: { type: ['string', 'null'] },
+      jobId: { type: 'string' },
+      status: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  ResultPayload: {
+    type: 'object',
+    required: ['matchId', 'threshold', 'typedData'],
+    properties: {
+      matchId: BYTES32,
+      winner: { type: ['string', 'null'] },
+      threshold: { type: 'integer' },
+      typedData: { type: 'object', required: ['domain', 'types', 'message'] }
+    }
+  },
+  Batch: {
+    type: 'object',
+    required: ['batchId', 'kind', 'status', 'jobIds', 'items'],
+    properties: {
+      batchId: { type: 'string' },
+      kind: { type: 'string', enum: ['start', 'result'] },
+      status: { type: 'string', enum: ['pending', 'done'] },
+      jobIds: { type: 'array', items: { type: 'string' } },
+      counts: { type: 'object' },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['index', 'status'],
+          properties: { index: { type: 'integer' }, status: { type: 'string' }, reason: { type: ['string', 'null'] } }
+        }
+      }
+    }
+  },
+  PurchaseQuote: {
+    type: 'object',
+    required: ['success', 'usdtAmount', 'gtOut', 'message'],
+    properties: {
+      success: { type: 'boolean' },
+      address: ADDRESS,
+      usdtAmount: DECIMAL,
+      gtOut: DECIMAL,
+      transactions: { type: 'array', items: ref('UnsignedTransaction'), description: 'Only for a signed-in player' },
+      message: { type: 'string' }
+    }
+  },
+  PurchaseOrder: {
+    type: 'object',
+    required: ['purchaseId', 'buyer', 'status', 'usdtAmount'],
+    properties: {
+      purchaseId: { type: 'string' },
+      buyer: ADDRESS,
+      status: { type: 'string', enum: ['pending', 'completed', 'failed', 'stuck'] },
+      usdtAmount: DECIMAL,
+      gtOut: { type: ['string', 'null'] },
+      error: { type: ['string', 'null'] },
+      transactions: { type: 'array' }
+    }
+  },
+  RedeemQuote: {
+    type: 'object',
+    required: ['success', 'gtAmount', 'usdtOut', 'message'],
+    properties: {
+      success: { type: 'boolean' },
+      gtAmount: DECIMAL,
+      usdtOut: DECIMAL,
+      reserve: DECIMAL,
+      sufficientReserve: { type: 'boolean' },
+      minUsdtOut: DECIMAL,
+      transactions: { type: 'array', items: ref('UnsignedTransaction') },
+      message: { type: 'string' }
+    }
+  },
+  Store: {
+    type: 'object',
+    required: ['tokenStore', 'buyRate', 'redeemRate', 'reserve'],
+    properties: {
+      tokenStore: ADDRESS,
+      usdt: ADDRESS,
+      gameToken: ADDRESS,
+      buyRate: { type: 'object', required: ['gtPerUsdt'], properties: { gtPerUsdt: DECIMAL } },
+      redeemRate: { type: 'object', required: ['gtPerUsdt'], properties: { gtPerUsdt: DECIMAL } },
+      reserve: DECIMAL
+    }
+  },
+  PreparedTransactions: {
+    type: 'object',
+    required: ['success', 'address', 'transactions', 'message'],
+    properties: {
+      success: { type: 'boolean' },
+      address: ADDRESS,
+      transactions: { type: 'array', items: ref('UnsignedTransaction') },
+      message: { type: 'string' }
+    }
+  },
+  Session: {
+    type: 'object',
+    required: ['address', 'expiresAt'],
+    properties: { address: ADDRESS, token: { type: 'string' }, expiresAt: { type: 'string' } }
+  },
+  Nonce: {
+    type: 'object',
+    required: ['nonce', 'chainId'],
+    properties: { nonce: { type: 'string' }, chainId: { type: 'string' }, address: ADDRESS }
+  },
+  Tournament: {
+    type: 'object',
+    required: ['tournamentId', 'status', 'size', 'entryFee'],
+    properties: {
+      tournamentId: BYTES32,
+      status: { type: 'string', enum: ['NONE', 'REGISTERING', 'RUNNING', 'FINISHED', 'CANCELLED'] },
+      size: { type: 'integer' },
+      entryFee: DECIMAL,
+      registrationDeadline: { type: 'integer' },
+      champion: { type: ['string', 'null'] }
+    }
+  },
+  TournamentList: {
+    type: 'object',
+    required: ['tournaments', 'pagination'],
+    properties: { tournaments: { type: 'array', items: ref('Tournament') }, pagination: ref('Pagination') }
+  },
+  Deployment: {
+    type: 'object',
+    required: ['chainId', 'contracts', 'verification'],
+    properties: {
+      chainId: { type: ['string', 'integer'] },
+      contracts: { type: 'object', required: ['gameToken', 'tokenStore', 'playGame'] },
+      verification: { type: 'object', required: ['ok', 'problems'], properties: { ok: { type: 'boolean' }, problems: { type: 'array' } } }
+    }
+  },
+  Object: { type: 'object' }
+};
+
+/**
+ * Every route the API serves, in server.js order. `auth` is the API key
+ * scope for operator routes (HMAC-signed, see auth.js), 'session' for
+ * routes needing a SIWE session, or 'session-optional' for routes that
+ * return more to a signed-in player. `body` names a request schema from
+ * schemas.js and `response` a schema above. The OpenAPI document and the
+ * generated client (scripts/generate-client.js) are both built from this.
+ */
+const OPERATIONS = [
+  { method: 'get', path: '/auth/nonce', operationId: 'getNonce', tag: 'auth', summary: 'Single-use SIWE nonce', query: { address: ADDRESS }, response: 'Nonce' },
+  { method: 'post', path: '/auth/verify', operationId: 'signIn', tag: 'auth', summary: 'Exchange a signed SIWE message for a session', body: 'AuthVerifyRequest', response: 'Session' },
+  { method: 'get', path: '/auth/session', operationId: 'getSession', tag: 'auth', summary: 'Current session', auth: 'session', response: 'Session' },
+  { method: 'post', path: '/auth/logout', operationId: 'signOut', tag: 'auth', summary: 'End the session', auth: 'session-optional', response: 'Object' },
+
+  { method: 'get', path: '/me', operationId: 'getProfile', tag: 'player', summary: 'Balances and allowances of the signed-in player', auth: 'session', response: 'Object' },
+  { method: 'get', path: '/me/matches', operationId: 'getMyMatches', tag: 'player', summary: 'Matches of the signed-in player', auth: 'session', query: { status: MATCH_STATUS, page: PAGE, limit: LIMIT }, response: 'MatchList' },
+  { method: 'get', path: '/me/purchases', operationId: 'getMyPurchases', tag: 'player', summary: 'Purchases of the signed-in player', auth: 'session', query: { page: PAGE, limit: LIMIT }, response: 'Object' },
+  { method: 'get', path: '/me/limits', operationId: 'getLimits', tag: 'player', summary: 'Self-imposed stake limits', auth: 'session', response: 'Object' },
+  { method: 'put', path: '/me/limits', operationId: 'setLimits', tag: 'player', summary: 'Set or clear stake limits', auth: 'session', body: 'LimitsRequest', response: 'Object' },
+  { method: 'get', path: '/me/stake/{matchId}', operationId: 'prepareStake', tag: 'player', summary: 'Unsigned approve and stake transactions', auth: 'session', response: 'PreparedTransactions' },
+  { method: 'get', path: '/me/stake/{matchId}/permit', operationId: 'getStakePermit', tag: 'player', summary: 'EIP-2612 permit to sign for a gasless stake', auth: 'session', response: 'Object' },
+  { method: 'post', path: '/relay/stake', operationId: 'relayStake', tag: 'player', summary: 'Stake with a signed permit; the operator pays gas', auth: 'session', body: 'RelayStakeRequest', status: 202, response: 'JobAccepted' },
+  { method: 'get', path: '/me/relay', operationId: 'getRelayUsage', tag: 'player', summary: 'Remaining relay gas budget and requests', auth: 'session', response: 'Object' },
+  { method: 'post', path: '/queue/join', operationId: 'joinQueue', tag: 'matchmaking', summary: 'Join the matchmaking queue', auth: 'session', body: 'QueueJoinRequest', status: 201, response: 'Object' },
+  { method: 'post', path: '/queue/leave', operationId: 'leaveQueue', tag: 'matchmaking', summary: 'Leave the matchmaking queue', auth: 'session', response: 'Object' },
+  { method: 'get', path: '/queue/status', operationId: 'getQueueStatus', tag: 'matchmaking', summary: 'Latest queue entry of the signed-in player', auth: 'session', response: 'Object' },
+  { method: 'get', path: '/me/tournaments/{tournamentId}/join', operationId: 'prepareTournamentJoin', tag: 'tournaments', summary: 'Unsigned approve and join transactions', auth: 'session', response: 'PreparedTransactions' },
+
+  { method: 'get', path: '/purchase', operationId: 'getPurchaseQuote', tag: 'store', summary: 'Quote a USDT → GT purchase (with transactions when signed in)', auth: 'session-optional', query: { amount: { type: 'string', format: 'amount' } }, required: ['amount'], response: 'PurchaseQuote' },
+  { method: 'post', path: '/purchase/submit', operationId: 'submitPurchase', tag: 'store', summary: 'Broadcast the signed purchase transactions', auth: 'session', body: 'PurchaseSubmitRequest', status: 202, response: 'PurchaseOrder' },
+  { method: 'get', path: '/purchase/{id}', operationId: 'getPurchase', tag: 'store', summary: 'Purchase order status', response: 'PurchaseOrder' },
+  { method: 'get', path: '/redeem', operationId: 'getRedeemQuote', tag: 'store', summary: 'Quote a GT → USDT redemption (with the transaction when signed in)', auth: 'session-optional', query: { amount: { type: 'string', format: 'amount' }, slippageBps: { type: 'integer', minimum: 0 } }, required: ['amount'], response: 'RedeemQuote' },
+  { method: 'get', path: '/store', operationId: 'getStore', tag: 'store', summary: 'Store reserve and rates', response: 'Store' },
+
+  { method: 'post', path: '/match/start', operationId: 'startMatch', tag: 'matches', summary: 'Queue match creation', auth: 'create-match', body: 'MatchStartRequest', status: 202, response: 'MatchAccepted' },
+  { method: 'get', path: '/match/{matchId}/result-payload', operationId: 'getResultPayload', tag: 'matches', summary: 'EIP-712 result typed data for game servers to sign', query: { winner: ADDRESS, outcome: { type: 'string', enum: ['win', 'draw'] } }, response: 'ResultPayload' },
+  { method: 'post', path: '/match/result', operationId: 'commitResult', tag: 'matches', summary: 'Queue a signed match result', auth: 'commit-result', body: 'MatchResultRequest', status: 202, response: 'ResultAccepted' },
+  { method: 'post', path: '/match/batch/start', operationId: 'startMatches', tag: 'matches', summary: 'Queue a batch of match creations', auth: 'create-match', body: 'MatchBatchStartRequest', status: 202, response: 'Batch' },
+  { method: 'post', path: '/match/batch/result', operationId: 'commitResults', tag: 'matches', summary: 'Queue a batch of signed results', auth: 'commit-result', body: 'MatchBatchResultRequest', status: 202, response: 'Batch' },
+  { method: 'get', path: '/match/batch/{batchId}', operationId: 'getBatch', tag: 'matches', summary: 'Per-match outcome of a batch', response: 'Batch' },
+  { method: 'post', path: '/match/{matchId}/refund', operationId: 'refundMatch', tag: 'matches', summary: 'Refund a timed-out staked match', auth: 'admin', status: 202, response: 'MatchAccepted' },
+  { method: 'post', path: '/match/{matchId}/cancel', operationId: 'cancelMatch', tag: 'matches', summary: 'Cancel a match whose stake window passed', auth: 'admin', status: 202, response: 'MatchAccepted' },
+
+  { method: 'get', path: '/admin/status', operationId: 'getAdminStatus', tag: 'admin', summary: 'Pause state, owners, operator and reserve', auth: 'admin', response: 'Object' },
+  { method: 'post', path: '/admin/pause', operationId: 'pauseContract', tag: 'admin', summary: 'Pause a contract', auth: 'admin', body: 'AdminContractRequest', status: 202, response: 'JobAccepted' },
+  { method: 'post', path: '/admin/unpause', operationId: 'unpauseContract', tag: 'admin', summary: 'Unpause a contract', auth: 'admin', body: 'AdminContractRequest', status: 202, response: 'JobAccepted' },
+  { method: 'post', path: '/admin/operator', operationId: 'rotateOperator', tag: 'admin', summary: 'Rotate the backend operator', auth: 'admin', body: 'AdminOperatorRequest', status: 202, response: 'JobAccepted' },
+  { method: 'post', path: '/admin/withdraw', operationId: 'withdrawReserve', tag: 'admin', summary: 'Withdraw USDT from the store reserve', auth: 'admin', body: 'AdminWithdrawRequest', status: 202, response: 'JobAccepted' },
+  { method: 'get', path: '/admin/audit', operationId: 'getAuditLog', tag: 'admin', summary: 'Latest audit log entries', auth: 'admin', query: { limit: { type: 'integer', minimum: 1, maximum: 1000 } }, response: 'Object' },
+
+  { method: 'get', path: '/tx/{id}', operationId: 'getTxJob', tag: 'transactions', summary: 'Operator transaction job status', response: 'TxJob' },
+  { method: 'get', path: '/tx', operationId: 'getTxStatus', tag: 'transactions', summary: 'Operator wallet queue summary', response: 'Object' },
+
+  { method: 'post', path: '/tournaments', operationId: 'createTournament', tag: 'tournaments', summary: 'Queue a new tournament', auth: 'create-match', body: 'TournamentCreateRequest', status: 202, response: 'JobAccepted' },
+  { method: 'get', path: '/tournaments', operationId: 'listTournaments', tag: 'tournaments', summary: 'Tournaments, newest first', query: { page: PAGE, limit: LIMIT }, response: 'TournamentList' },
+  { method: 'get', path: '/tournaments/{tournamentId}', operationId: 'getTournament', tag: 'tournaments', summary: 'Tournament settings, entrants and bracket', response: 'Tournament' },
+  { method: 'get', path: '/tournaments/{tournamentId}/result-payload', operationId: 'getTournamentResultPayload', tag: 'tournaments', summary: 'EIP-712 typed data for a bracket match result', query: { matchId: BYTES32, winner: ADDRESS }, required: ['matchId', 'winner'], response: 'ResultPayload' },
+  { method: 'post', path: '/tournaments/{tournamentId}/result', operationId: 'commitTournamentResult', tag: 'tournaments', summary: 'Queue a signed bracket match result', auth: 'commit-result', body: 'TournamentResultRequest', status: 202, response: 'JobAccepted' },
+  { method: 'post', path: '/tournaments/{tournamentId}/cancel', operationId: 'cancelTournament', tag: 'tournaments', summary: 'Cancel and refund a tournament still in registration', auth: 'admin', status: 202, response: 'JobAccepted' },
+
+  { method: 'get', path: '/keeper/status', operationId: 'getKeeperStatus', tag: 'system', summary: 'Timeout keeper state', response: 'Object' },
+  { method: 'get', path: '/players/{address}', operationId: 'getPlayer', tag: 'players', summary: 'Public player profile', query: { status: MATCH_STATUS, page: PAGE, limit: LIMIT }, response: 'Object' },
+  { method: 'get', path: '/ratings', operationId: 'getRatings', tag: 'players', summary: 'Players ranked by skill rating', query: { top: { type: 'integer', minimum: 1, maximum: 100 } }, response: 'Object' },
+  { method: 'get', path: '/ratings/match/{matchId}', operationId: 'getMatchRatingChange', tag: 'players', summary: 'Rating change from one match', response: 'Object' },
+  { method: 'get', path: '/ratings/{address}', operationId: 'getPlayerRating', tag: 'players', summary: 'Rating history of one player', query: { page: PAGE, limit: LIMIT }, response: 'Object' },
+  { method: 'get', path: '/balance/{address}', operationId: 'getBalance', tag: 'players', summary: 'GT balance', response: 'Balance' },
+  { method: 'get', path: '/match/{matchId}', operationId: 'getMatch', tag: 'matches', summary: 'On-chain match state', response: 'Match' },
+  { method: 'get', path: '/matches', operationId: 'listMatches', tag: 'matches', summary: 'Indexed matches', query: { player: ADDRESS, status: MATCH_STATUS, from: { type: 'integer' }, to: { type: 'integer' }, page: PAGE, limit: LIMIT }, response: 'MatchList' },
+  { method: 'get', path: '/purchases', operationId: 'listPurchases', tag: 'store', summary: 'Indexed purchases', query: { buyer: ADDRESS, page: PAGE, limit: LIMIT }, response: 'Object' },
+  { method: 'get', path: '/treasury', operationId: 'getTreasury', tag: 'system', summary: 'Rake collected over time', query: { interval: { type: 'string', enum: ['day', 'week'] } }, response: 'Object' },
+  { method: 'get', path: '/stream', operationId: 'stream', tag: 'system', summary: 'Server-Sent Events for matches, balances and the leaderboard', query: { match: BYTES32, address: ADDRESS, leaderboard: { type: 'boolean' } }, contentType: 'text/event-stream' },
+  { method: 'get', path: '/indexer/status', operationId: 'getIndexerStatus', tag: 'system', summary: 'Event indexer progress', response: 'Object' },
+  { method: 'post', path: '/revert/decode', operationId: 'decodeRevert', tag: 'system', summary: 'Readable reason and error code for revert data', body: 'RevertDecodeRequest', response: 'Object' },
+  { method: 'get', path: '/deployment', operationId: 'getDeployment', tag: 'system', summary: 'Deployment manifest, re-verified against the chain', response: 'Deployment' },
+  { method: 'get', path: '/health', operationId: 'getHealth', tag: 'system', summary: 'Liveness check', response: 'Health' },
+  { method: 'get', path: '/openapi.json', operationId: 'getOpenApi', tag: 'system', summary: 'This document', response: 'Object' },
+  { method: 'get', path: '/client.js', operationId: 'getClient', tag: 'system', summary: 'Generated JavaScript client (browser script or CommonJS module)', contentType: 'application/javascript' }
+];
+
+function security(auth) {
+  if (!auth) return undefined;
+  if (auth === 'session') return [{ Session: [] }];
+  if (auth === 'session-optional') return [{}, { Session: [] }];
+  return [{ OperatorKey: [] }];
+}
+
+function operation(op) {
+  const pathParams = [...op.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name, in: 'path', required: true, schema: PATH_PARAMS[name]
+  }));
+  const queryParams = Object.entries(op.query || {}).map(([name, schema]) => ({
+    name, in: 'query', required: (op.required || []).includes(name), schema
+  }));
+
+  const success = op.contentType
+    ? { description: 'OK', content: { [op.contentType]: { schema: { type: 'string' } } } }
+    : { description: 'OK', content: { 'application/json': { schema: ref(op.response) } } };
+
+  return {
+    operationId: op.operationId,
+    summary: op.summary,
+    tags: [op.tag],
+    ...(security(op.auth) ? { security: security(op.auth) } : {}),
+    ...(op.auth && !op.auth.startsWith('session') ? { 'x-scope': op.auth } : {}),
+    ...(pathParams.length + queryParams.length > 0 ? { parameters: [...pathParams, ...queryParams] } : {}),
+    ...(op.body ? { requestBody: { required: true, content: { 'application/json': { schema: ref(op.body) } } } } : {}),
+    responses: {
+      [op.status || 200]: success,
+      default: { description: 'Error', content: { 'application/json': { schema: ref('Error') } } }
+    }
+  };
+}
+
+// The OpenAPI 3.1 document served at GET /openapi.json
+function buildSpec({ serverUrl } = {}) {
+  const paths = {};
+  for (const op of OPERATIONS) {
+    paths[op.path] = { ...paths[op.path], [op.method]: operation(op) };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Wesee Game API',
+      version: version,
+      description: 'Match creation and settlement, player staking, the GT store and tournaments. ' +
+        'Errors carry a stable `code` (see the Error schema) and, for invalid bodies, field-level `fields`.'
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    paths: paths,
+    components: {
+      schemas: { ...SCHEMAS, ...RESPONSES },
+      securitySchemes: {
+        OperatorKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Api-Key',
+          description: 'Operator API key. Also send X-Timestamp (unix seconds) and X-Signature: hex HMAC-SHA256 of ' +
+            '"timestamp\\nMETHOD\\npath-with-query\\nraw-body" with the key secret. `x-scope` names the scope required.'
+        },
+        Session: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Session token from POST /auth/verify (also accepted as the wesee_session cookie)'
+        }
+      }
+    }
+  };
+}
+
+module.exports = { OPERATIONS, buildSpec };
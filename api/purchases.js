@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { createStore } = require('./store');
+const { apiError } = require('./errors');
+const { feeFields } = require('./txManager');
+
+const APPROVE_GAS_FALLBACK = 80000n;
+const BUY_GAS_FALLBACK = 200000n;
+
+// Parse a decimal string like "12.5" into base units, or null if invalid
+function parseAmount(value, decimals) {
+  if (typeof value === 'number') {
+    value = value.toString();
+  }
+  if (typeof value !== 'string' || !/^\d+(\.\d+)?$/.test(value.trim())) {
+    return null;
+  }
+
+  try {
+    const amount = ethers.parseUnits(value.trim(), decimals);
+    return amount > 0n ? amount : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * USDT → GT purchase flow. The API never holds player keys: it prepares
+ * unsigned `approve` + `buy` transactions, accepts them back signed, then
+ * broadcasts and tracks them until mined. An order whose transactions are
+ * not mined within `confirmTimeoutMs` is marked `failed` if the node has
+ * dropped them and `stuck` if they are still pending; `checkStuck()` looks
+ * at stuck orders again (the refund keeper calls it every run).
+ */
+function createPurchaseService({ provider, usdt, tokenStore, confirmTimeoutMs = 600000, dataDir }) {
+  const store = createStore('purchase-orders', { orders: {} }, dataDir);
+  const watching = new Set();
+
+  async function quote(usdtAmountWei) {
+    const gtPerUsdt = await tokenStore.gtPerUsdt();
+    return (usdtAmountWei * gtPerUsdt) / ethers.parseUnits('1', 6);
+  }
+
+  async function estimateGas(tx, fallback) {
+    try {
+      return await provider.estimateGas(tx);
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  async function prepare(address, usdtAmountWei) {
+    if (await tokenStore.paused()) {
+      throw apiError('PAUSED', 'Buying is paused');
+    }
+
+    const [network, nonce, feeData] = await Promise.all([
+      provider.getNetwork(),
+      provider.getTransactionCount(address, 'pending'),
+      provider.getFeeData()
+    ]);
+    const storeAddress = await tokenStore.getAddress();
+    const usdtAddress = await usdt.getAddress();
+    const allowance = await usdt.allowance(address, storeAddress);
+
+    const base = {
+      from: address,
+      chainId: network.chainId.toString(),
+      value: '0',
+      ...feeFields(feeData)
+    };
+
+    const transactions = [];
+    let nextNonce = nonce;
+
+    if (allowance < usdtAmountWei) {
+      const data = usdt.interface.encodeFunctionData('approve', [storeAddress, usdtAmountWei]);
+      const gasLimit = await estimateGas({ from: address, to: usdtAddress, data }, APPROVE_GAS_FALLBACK);
+      transactions.push({
+        type: 'approve',
+        description: `Approve TokenStore to spend ${ethers.formatUnits(usdtAmountWei, 6)} USDT`,
+        tx: { ...base, to: usdtAddress, data, nonce: nextNonce++, gasLimit: gasLimit.toString() }
+      });
+    }
+
+    const buyData = tokenStore.interface.encodeFunctionData('buy', [usdtAmountWei]);
+    // buy can only be simulated once the allowance is in place
+    const buyGas = transactions.length === 0
+      ? await estimateGas({ from: address, to: storeAddress, data: buyData }, BUY_GAS_FALLBACK)
+      : BUY_GAS_FALLBACK;
+    transactions.push({
+      type: 'buy',
+      description: `Buy GT with ${ethers.formatUnits(usdtAmountWei, 6)} USDT`,
+      tx: { ...base, to: storeAddress, data: buyData, nonce: nextNonce++, gasLimit: buyGas.toString() }
+    });
+
+    return transactions;
+  }
+
+  // Check a signed transaction is an approve to TokenStore or a buy
+  async function classify(tx) {
+    const storeAddress = await tokenStore.getAddress();
+    const usdtAddress = await usdt.getAddress();
+
+    if (tx.to === usdtAddress) {
+      const parsed = usdt.interface.parseTransaction({ data: tx.data });
+      if (parsed && parsed.name === 'approve' && parsed.args[0] === storeAddress) {
+        return { type: 'approve', usdtAmount: parsed.args[1] };
+      }
+    }
+
+    if (tx.to === storeAddress) {
+      const parsed = tokenStore.interface.parseTransaction({ data: tx.data });
+      if (parsed && parsed.name === 'buy') {
+        return { type: 'buy', usdtAmount: parsed.args[0] };
+      }
+    }
+
+    return null;
+  }
+
+  // `buyer`, when given, is the only address allowed to have signed
+  async function submit(signedTransactions, { buyer: expectedBuyer } = {}) {
+    const parsed = [];
+
+    for (const raw of signedTransactions) {
+      let tx;
+      try {
+        tx = ethers.Transaction.from(raw);
+      } catch (error) {
+        throw apiError('VALIDATION_FAILED', 'Invalid signed transaction');
+      }
+
+      if (!tx.from) {
+        throw apiError('VALIDATION_FAILED', 'Transaction is not signed');
+      }
+
+      const kind = await classify(tx);
+      if (!kind) {
+        throw apiError('BAD_REQUEST', 'Only USDT.approve(TokenStore) and TokenStore.buy transactions are accepted');
+      }
+
+      parsed.push({ raw, tx, ...kind });
+    }
+
+    const buyers = new Set(parsed.map(({ tx }) => tx.from));
+    if (buyers.size !== 1) {
+      throw apiError('BAD_REQUEST', 'All transactions must be signed by the same address');
+    }
+
+    if (expectedBuyer && !buyers.has(expectedBuyer)) {
+      throw apiError('FORBIDDEN', 'Transactions must be signed by the signed-in address');
+    }
+
+    const buy = parsed.find(({ type }) => type === 'buy');
+    if (!buy) {
+      throw apiError('BAD_REQUEST', 'A TokenStore.buy transaction is required');
+    }
+
+    parsed.sort((a, b) => a.tx.nonce - b.tx.nonce);
+
+    const order = {
+      id: crypto.randomUUID(),
+      buyer: buy.tx.from,
+      usdtAmount: buy.usdtAmount.toString(),
+      gtOut: null,
+      status: 'pending',
+      error: null,
+      createdAt: new Date().toISOString(),
+      transactions: parsed.map(({ tx, type }) => ({
+        type: type,
+        hash: tx.hash,
+        nonce: tx.nonce,
+        status: 'pending',
+        blockNumber: null
+      }))
+    };
+    store.data.orders[order.id] = order;
+    store.save();
+
+    for (const { raw } of parsed) {
+      try {
+        await provider.broadcastTransaction(raw);
+      } catch (error) {
+        order.status = 'failed';
+        order.error = error.shortMessage || error.message;
+        store.save();
+        return order;
+      }
+    }
+
+    watch(order);
+    return order;
+  }
+
+  // The receipt, or null if the transaction is not mined by `deadline`
+  async function waitForReceipt(hash, deadline) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt || Date.now() >= deadline) {
+      return receipt;
+    }
+
+    try {
+      return await provider.waitForTransaction(hash, 1, deadline - Date.now());
+    } catch (error) {
+      if (error.code === 'TIMEOUT') return null;
+      throw error;
+    }
+  }
+
+  async function track(order) {
+    const deadline = Date.parse(order.createdAt) + confirmTimeoutMs;
+
+    for (const entry of order.transactions) {
+      if (entry.status !== 'pending') continue;
+
+      const receipt = await waitForReceipt(entry.hash, deadline);
+      if (!receipt) {
+        const seconds = Math.round(confirmTimeoutMs / 1000);
+        if (await provider.getTransaction(entry.hash)) {
+          order.status = 'stuck';
+          order.error = `${entry.type} transaction still pending after ${seconds}s`;
+        } else {
+          entry.status = 'dropped';
+          order.status = 'failed';
+          order.error = `${entry.type} transaction was dropped before it was mined`;
+        }
+        break;
+      }
+
+      entry.blockNumber = receipt.blockNumber;
+      entry.status = receipt.status === 1 ? 'mined' : 'reverted';
+
+      if (entry.status === 'reverted') {
+        order.status = 'failed';
+        order.error = `${entry.type} transaction reverted`;
+        break;
+      }
+
+      if (entry.type === 'buy') {
+        const purchase = receipt.logs
+          .map(log => {
+            try {
+              return tokenStore.interface.parseLog(log);
+            } catch (error) {
+              return null;
+            }
+          })
+          .find(log => log && log.name === 'Purchase');
+
+        order.gtOut = purchase ? purchase.args.gtOut.toString() : null;
+        order.status = 'completed';
+        order.error = null;
+      }
+    }
+
+    store.save();
+  }
+
+  function watch(order) {
+    if (watching.has(order.id)) return;
+    watching.add(order.id);
+
+    track(order)
+      .catch(error => {
+        console.error(`Purchase ${order.id} tracking error:`, error.message);
+      })
+      .finally(() => watching.delete(order.id));
+  }
+
+  // Resume tracking orders that were still pending when the API stopped;
+  // stuck orders get one more look for a receipt
+  function resume() {
+    Object.values(store.data.orders)
+      .filter(order => order.status === 'pending' || order.status === 'stuck')
+      .forEach(watch);
+  }
+
+  // Look for a receipt of stuck orders again: completed once mined, failed
+  // once the node has dropped the transaction
+  function checkStuck() {
+    Object.values(store.data.orders)
+      .filter(order => order.status === 'stuck')
+      .forEach(watch);
+  }
+
+  function get(id) {
+    return store.data.orders[id] || null;
+  }
+
+  return { quote, prepare, submit, get, resume, checkStuck };
+}
+
+module.exports = { createPurchaseService, parseAmount };
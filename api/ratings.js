@@ -0,0 +1,245 @@
+const { ethers } = require('ethers');
+
+const INITIAL_RATING = 1500;
+const INITIAL_DEVIATION = 350;
+const MIN_DEVIATION = 30;
+// Days for a settled deviation (50) to drift back to INITIAL_DEVIATION
+const DEVIATION_DECAY_DAYS = 180;
+// Above this the rating is still provisional
+const PROVISIONAL_DEVIATION = 110;
+// Width in rating points of a matchmaking skill band
+const SKILL_BAND_WIDTH = 200;
+
+const Q = Math.log(10) / 400;
+const C_SQUARED = (INITIAL_DEVIATION ** 2 - 50 ** 2) / DEVIATION_DECAY_DAYS;
+const DAY_SECONDS = 86400;
+
+const RATED_EVENTS = ['Settled', 'Drawn', 'Refunded'];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function g(deviation) {
+  return 1 / Math.sqrt(1 + (3 * Q * Q * deviation * deviation) / (Math.PI * Math.PI));
+}
+
+// Deviation grows with time away, so a returning player moves faster
+function inflate(player, timestamp) {
+  if (player.lastPlayedAt === null) {
+    return player.deviation;
+  }
+  const days = Math.max(0, timestamp - player.lastPlayedAt) / DAY_SECONDS;
+  return Math.min(Math.sqrt(player.deviation ** 2 + C_SQUARED * days), INITIAL_DEVIATION);
+}
+
+// Glicko-1 update for one game against one opponent (score 1, 0.5 or 0)
+function glicko(rating, deviation, opponentRating, opponentDeviation, score) {
+  const gj = g(opponentDeviation);
+  const expected = 1 / (1 + 10 ** ((-gj * (rating - opponentRating)) / 400));
+  const dSquared = 1 / (Q * Q * gj * gj * expected * (1 - expected));
+  const precision = 1 / (deviation * deviation) + 1 / dSquared;
+
+  return {
+    rating: rating + (Q / precision) * gj * (score - expected),
+    deviation: Math.max(Math.sqrt(1 / precision), MIN_DEVIATION),
+    expected: expected
+  };
+}
+
+function newPlayer(address) {
+  return {
+    address: address,
+    rating: INITIAL_RATING,
+    deviation: INITIAL_DEVIATION,
+    games: 0,
+    wins: 0,
+    losses: 0,
+    draws: 0,
+    refunds: 0,
+    lastPlayedAt: null,
+    changes: []
+  };
+}
+
+/**
+ * Glicko skill ratings replayed from the indexed PlayGame events. Every
+ * settled or drawn match is its own rating period: both players are
+ * updated from their pre-match ratings, with deviation first widened for
+ * the time since their last game. Refunded matches (no result reported)
+ * are recorded but leave ratings unchanged, and cancelled ones never
+ * started. The replay only depends on event order and block timestamps,
+ * so the same chain history always gives the same ratings; it is redone
+ * whenever the indexer's event log changes (including after a reorg).
+ */
+function createRatingEngine({ indexer }) {
+  let cache = null;
+
+  function replay(events) {
+    const players = new Map();
+    const matches = new Map();
+
+    function player(address) {
+      if (!players.has(address)) {
+        players.set(address, newPlayer(address));
+      }
+      return players.get(address);
+    }
+
+    for (const event of events) {
+      if (event.contract !== 'PlayGame' || !RATED_EVENTS.includes(event.name)) continue;
+
+      const match = indexer.getMatch(event.args.matchId);
+      if (!match) continue;
+
+      const a = player(match.p1);
+      const b = player(match.p2);
+      const entry = {
+        matchId: match.matchId,
+        event: event.name,
+        rated: event.name !== 'Refunded',
+        winner: event.name === 'Settled' ? event.args.winner : null,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        timestamp: event.timestamp,
+        players: []
+      };
+
+      if (!entry.rated) {
+        for (const side of [a, b]) {
+          side.refunds += 1;
+          entry.players.push({ address: side.address, score: null, expected: null, ratingBefore: side.rating, ratingAfter: side.rating, change: 0, deviationBefore: side.deviation, deviationAfter: side.deviation });
+        }
+      } else {
+        const scoreA = event.name === 'Drawn' ? 0.5 : (event.args.winner === a.address ? 1 : 0);
+        const before = [a, b].map(side => ({ rating: side.rating, deviation: inflate(side, event.timestamp) }));
+        const results = [
+          glicko(before[0].rating, before[0].deviation, before[1].rating, before[1].deviation, scoreA),
+          glicko(before[1].rating, before[1].deviation, before[0].rating, before[0].deviation, 1 - scoreA)
+        ];
+
+        [a, b].forEach((side, i) => {
+          const score = i === 0 ? scoreA : 1 - scoreA;
+          entry.players.push({
+            address: side.address,
+            score: score,
+            expected: results[i].expected,
+            ratingBefore: before[i].rating,
+            ratingAfter: results[i].rating,
+            change: results[i].rating - before[i].rating,
+            deviationBefore: before[i].deviation,
+            deviationAfter: results[i].deviation
+          });
+
+          side.rating = results[i].rating;
+          side.deviation = results[i].deviation;
+          side.games += 1;
+          side.lastPlayedAt = event.timestamp;
+          if (score === 1) side.wins += 1;
+          else if (score === 0) side.losses += 1;
+          else side.draws += 1;
+        });
+      }
+
+      [a, b].forEach(side => side.changes.push(entry));
+      matches.set(match.matchId, entry);
+    }
+
+    // Ranked by the conservative estimate so one lucky win doesn't top the table
+    const ranking = [...players.values()]
+      .filter(side => side.games > 0)
+      .sort((x, y) => (y.rating - 2 * y.deviation) - (x.rating - 2 * x.deviation) || (x.address < y.address ? -1 : 1));
+    ranking.forEach((side, i) => {
+      side.rank = i + 1;
+    });
+
+    return { players, matches, ranking };
+  }
+
+  function current() {
+    const events = indexer.getEvents();
+    const key = `${events.length}:${events.length > 0 ? events[events.length - 1].id : ''}`;
+
+    if (!cache || cache.key !== key) {
+      cache = { key, ...replay(events) };
+    }
+    return cache;
+  }
+
+  function formatPlayer(side) {
+    return {
+      address: side.address,
+      rank: side.rank || null,
+      rating: round(side.rating),
+      deviation: round(side.deviation),
+      conservativeRating: round(side.rating - 2 * side.deviation),
+      provisional: side.deviation > PROVISIONAL_DEVIATION,
+      games: side.games,
+      wins: side.wins,
+      losses: side.losses,
+      draws: side.draws,
+      refunds: side.refunds,
+      lastPlayedAt: side.lastPlayedAt
+    };
+  }
+
+  function formatChange(entry) {
+    return {
+      ...entry,
+      players: entry.players.map(side => ({
+        ...side,
+        expected: side.expected === null ? null : round(side.expected),
+        ratingBefore: round(side.ratingBefore),
+        ratingAfter: round(side.ratingAfter),
+        change: round(side.change),
+        deviationBefore: round(side.deviationBefore),
+        deviationAfter: round(side.deviationAfter)
+      }))
+    };
+  }
+
+  function lookup(address) {
+    const checksummed = ethers.getAddress(address);
+    return current().players.get(checksummed) || newPlayer(checksummed);
+  }
+
+  // Rating of one address (the starting rating if it has no games yet)
+  // and its rating changes, newest first
+  function getPlayer(address) {
+    const side = lookup(address);
+    return {
+      ...formatPlayer(side),
+      changes: side.changes.slice().reverse().map(formatChange)
+    };
+  }
+
+  // Matchmaking band of one address: its rating rounded down to
+  // SKILL_BAND_WIDTH ("1400-1599"), or "provisional" while the rating is
+  // too uncertain to place
+  function skillBand(address) {
+    const side = formatPlayer(lookup(address));
+    if (side.provisional) {
+      return 'provisional';
+    }
+    const low = Math.floor(side.rating / SKILL_BAND_WIDTH) * SKILL_BAND_WIDTH;
+    return `${low}-${low + SKILL_BAND_WIDTH - 1}`;
+  }
+
+  function getTop(limit) {
+    return current().ranking.slice(0, limit).map(formatPlayer);
+  }
+
+  function getMatchChange(matchId) {
+    const entry = current().matches.get(matchId);
+    return entry ? formatChange(entry) : null;
+  }
+
+  function stats() {
+    const { players, matches, ranking } = current();
+    return { players: players.size, rankedPlayers: ranking.length, ratedMatches: [...matches.values()].filter(entry => entry.rated).length };
+  }
+
+  return { getPlayer, getTop, getMatchChange, skillBand, stats };
+}
+
+module.exports = { createRatingEngine, INITIAL_RATING, INITIAL_DEVIATION };
@@ -0,0 +1,107 @@
+const { ethers } = require('ethers');
+const { apiError } = require('./errors');
+const { feeFields } = require('./txManager');
+
+const REDEEM_GAS_FALLBACK = 150000n;
+const MAX_SLIPPAGE_BPS = 1000n;
+
+/**
+ * GT → USDT redemption. TokenStore burns the GT and pays USDT from its
+ * reserve at the redeem rate, so no GT approval is needed: the API only
+ * prepares the unsigned `TokenStore.redeem` transaction, with a minimum
+ * USDT output so a price change after the quote makes it revert.
+ */
+function createRedemptionService({ provider, usdt, gameToken, tokenStore }) {
+  async function quote(gtAmountWei) {
+    const [redeemGtPerUsdt, reserve] = await Promise.all([
+      tokenStore.redeemGtPerUsdt(),
+      tokenStore.reserve()
+    ]);
+    const usdtOut = (gtAmountWei * ethers.parseUnits('1', 6)) / redeemGtPerUsdt;
+
+    return { usdtOut, reserve, sufficient: usdtOut <= reserve };
+  }
+
+  async function estimateGas(tx, fallback) {
+    try {
+      return await provider.estimateGas(tx);
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  async function prepare(address, gtAmountWei, slippageBps = 0n) {
+    if (slippageBps < 0n || slippageBps > MAX_SLIPPAGE_BPS) {
+      throw apiError('VALIDATION_FAILED', `slippageBps must be between 0 and ${MAX_SLIPPAGE_BPS}`);
+    }
+
+    const { usdtOut, reserve } = await quote(gtAmountWei);
+    if (usdtOut === 0n) {
+      throw apiError('INVALID_ARGUMENT', 'Amount is too small to redeem');
+    }
+    if (usdtOut > reserve) {
+      throw apiError('INSUFFICIENT_RESERVE', `Insufficient reserve (${ethers.formatUnits(reserve, 6)} USDT available)`);
+    }
+
+    const storeAddress = await tokenStore.getAddress();
+    const [network, nonce, feeData, balance] = await Promise.all([
+      provider.getNetwork(),
+      provider.getTransactionCount(address, 'pending'),
+      provider.getFeeData(),
+      gameToken.balanceOf(address)
+    ]);
+
+    if (balance < gtAmountWei) {
+      throw apiError('INSUFFICIENT_BALANCE', `Insufficient GT balance (have ${ethers.formatUnits(balance, 18)} GT)`);
+    }
+
+    const minUsdtOut = usdtOut - (usdtOut * slippageBps) / 10000n;
+    const data = tokenStore.interface.encodeFunctionData('redeem', [gtAmountWei, minUsdtOut]);
+    const gasLimit = await estimateGas({ from: address, to: storeAddress, data }, REDEEM_GAS_FALLBACK);
+
+    const transaction = {
+      type: 'redeem',
+      description: `Redeem ${ethers.formatUnits(gtAmountWei, 18)} GT for at least ${ethers.formatUnits(minUsdtOut, 6)} USDT`,
+      tx: {
+        from: address,
+        chainId: network.chainId.toString(),
+        value: '0',
+        ...feeFields(feeData),
+        to: storeAddress,
+        data: data,
+        nonce: nonce,
+        gasLimit: gasLimit.toString()
+      }
+    };
+
+    return { usdtOut, minUsdtOut, transactions: [transaction] };
+  }
+
+  // Store-wide figures: reserve, both rates, and how much GT it can absorb
+  async function info() {
+    const [gtPerUsdt, redeemGtPerUsdt, reserve, gtSupply] = await Promise.all([
+      tokenStore.gtPerUsdt(),
+      tokenStore.redeemGtPerUsdt(),
+      tokenStore.reserve(),
+      gameToken.totalSupply()
+    ]);
+    const oneUsdt = ethers.parseUnits('1', 6);
+
+    return {
+      tokenStore: await tokenStore.getAddress(),
+      usdt: await usdt.getAddress(),
+      gameToken: await gameToken.getAddress(),
+      gtPerUsdt,
+      redeemGtPerUsdt,
+      reserve,
+      gtSupply,
+      // GT the reserve can redeem, and the USDT the whole supply would need
+      redeemableGt: (reserve * redeemGtPerUsdt) / oneUsdt,
+      supplyRedemptionValue: (gtSupply * oneUsdt) / redeemGtPerUsdt
+    };
+  }
+
+  return { quote, prepare, info };
+}
+
+module.exports = { createRedemptionService };
@@ -0,0 +1,141 @@
+const { ethers } = require('ethers');
+const { createStore } = require('./store');
+const { PERMIT_TYPES } = require('./staking');
+const { apiError } = require('./errors');
+
+const DAY_MS = 86400000;
+
+/**
+ * Gasless staking relay. The signed-in player signs an EIP-2612 permit
+ * for the match stake (GET /me/stake/:matchId/permit) and the operator
+ * wallet submits `PlayGame.stakeWithPermit`, paying the gas. Each player
+ * gets a rate limit (requests per window) and a rolling 24h gas budget:
+ * a relay reserves its estimated gas up front and is charged the gas
+ * actually used once mined, so the operator wallet can't be drained.
+ * The call is simulated first (`simulate` from errors.js), so a stake
+ * that would revert is refused with its decoded reason instead of sent.
+ */
+function createRelay({ playGame, gameToken, txManager, staking, simulate, gasBudget = 600000n, maxRequests = 5, rateWindowMs = 60000, dataDir }) {
+  const store = createStore('relay', { players: {} }, dataDir);
+
+  function record(address) {
+    if (!store.data.players[address]) {
+      store.data.players[address] = { requests: [], spends: [] };
+    }
+
+    // Only keep what still counts against a limit
+    const entry = store.data.players[address];
+    const now = Date.now();
+    entry.requests = entry.requests.filter(at => at > now - rateWindowMs);
+    entry.spends = entry.spends.filter(spend => !spend.settled || Date.parse(spend.at) > now - DAY_MS);
+    return entry;
+  }
+
+  function usage(address) {
+    const entry = record(address);
+    const gasUsed = entry.spends.reduce((total, spend) => total + BigInt(spend.gas), 0n);
+    const oldest = entry.spends.length > 0 ? Math.min(...entry.spends.map(spend => Date.parse(spend.at))) : null;
+
+    return {
+      gasBudget: gasBudget.toString(),
+      gasUsed: gasUsed.toString(),
+      remainingGas: (gasBudget > gasUsed ? gasBudget - gasUsed : 0n).toString(),
+      budgetResetsAt: oldest === null ? null : new Date(oldest + DAY_MS).toISOString(),
+      requests: entry.requests.length,
+      maxRequests: maxRequests,
+      rateWindowMs: rateWindowMs
+    };
+  }
+
+  // Charge the gas actually used once the job is done (nothing if it
+  // never reached the chain). A job that can't be tracked keeps its
+  // estimate, or nothing if the tx manager no longer knows it, so the
+  // spend still ages out of the 24h window.
+  function settle(spend) {
+    txManager.wait(spend.jobId).then(job => {
+      if (job.status === 'mined') {
+        spend.gas = job.gasUsed;
+      } else if (!job.hash) {
+        spend.gas = '0';
+      }
+      spend.settled = true;
+      store.save();
+    }).catch(error => {
+      console.error(`Relay job ${spend.jobId} tracking error:`, error.message);
+      if (!txManager.get(spend.jobId)) {
+        spend.gas = '0';
+      }
+      spend.settled = true;
+      store.save();
+    });
+  }
+
+  async function relayStake(address, { matchId, deadline, signature }) {
+    const entry = record(address);
+    if (entry.requests.length >= maxRequests) {
+      throw apiError('RATE_LIMITED', `Relay rate limit reached (${maxRequests} requests per ${rateWindowMs / 1000}s)`);
+    }
+    entry.requests.push(Date.now());
+    store.save();
+
+    let permitDeadline, sig;
+    try {
+      permitDeadline = BigInt(deadline);
+      sig = ethers.Signature.from(signature);
+    } catch (error) {
+      throw apiError('INVALID_PERMIT', 'Invalid permit deadline or signature');
+    }
+
+    const { match, now } = await staking.checkStake(address, matchId);
+    if (permitDeadline <= now) {
+      throw apiError('INVALID_PERMIT', 'Permit expired');
+    }
+
+    // Check the permit here so a bad signature costs the operator nothing
+    const [, name, version, chainId, verifyingContract] = await gameToken.eip712Domain();
+    const message = {
+      owner: address,
+      spender: await playGame.getAddress(),
+      value: match.stake,
+      nonce: await gameToken.nonces(address),
+      deadline: permitDeadline
+    };
+    const signer = ethers.verifyTypedData({ name, version, chainId, verifyingContract }, PERMIT_TYPES, message, sig);
+    if (signer !== address) {
+      throw apiError('INVALID_PERMIT', 'Permit signature does not match this stake (sign the payload from GET /me/stake/:matchId/permit)');
+    }
+
+    const args = [matchId, address, permitDeadline, sig.v, sig.r, sig.s];
+    const gas = await simulate(playGame, 'stakeWithPermit', args);
+
+    const { remainingGas } = usage(address);
+    if (gas > BigInt(remainingGas)) {
+      throw apiError('GAS_BUDGET_EXHAUSTED', `Relay gas budget exhausted (${remainingGas} of ${gasBudget} gas left in the last 24h)`);
+    }
+
+    const job = txManager.enqueue({
+      contract: 'playGame',
+      method: 'stakeWithPermit',
+      args: args,
+      meta: { matchId, player: address, relayed: true }
+    });
+
+    const spend = { at: new Date().toISOString(), jobId: job.id, matchId: matchId, gas: gas.toString(), settled: false };
+    entry.spends.push(spend);
+    store.save();
+    settle(spend);
+
+    return { job, stake: match.stake, estimatedGas: gas, usage: usage(address) };
+  }
+
+  // Charge relays that were still in flight when the API stopped
+  function resume() {
+    for (const entry of Object.values(store.data.players)) {
+      entry.spends.filter(spend => !spend.settled).forEach(settle);
+    }
+  }
+
+  return { relayStake, usage, resume };
+}
+
+module.exports = { createRelay };
@@ -0,0 +1,85 @@
+const { ethers } = require('ethers');
+const { apiError } = require('./errors');
+
+const MATCH_RESULT_TYPES = {
+  MatchResult: [
+    { name: 'matchId', type: 'bytes32' },
+    { name: 'winner', type: 'address' }
+  ]
+};
+
+/**
+ * EIP-712 signed match results. Game servers sign
+ * `MatchResult(matchId, winner)` off-chain, with winner = zero address
+ * for a draw. Signatures are checked here against PlayGame's authorised
+ * signer set and threshold before the result is queued (and again by the
+ * contract), so the API host alone can't choose a winner.
+ */
+function createResultVerifier({ playGame }) {
+  let domain = null;
+
+  async function getDomain() {
+    if (!domain) {
+      const [, name, version, chainId, verifyingContract] = await playGame.eip712Domain();
+      domain = { name, version, chainId: chainId.toString(), verifyingContract };
+    }
+    return domain;
+  }
+
+  // Typed-data payload for eth_signTypedData_v4 / ethers signTypedData
+  async function payload(matchId, winner) {
+    return {
+      domain: await getDomain(),
+      types: MATCH_RESULT_TYPES,
+      primaryType: 'MatchResult',
+      message: { matchId, winner }
+    };
+  }
+
+  // Returns the signatures ordered by signer address, as PlayGame expects
+  async function verify(matchId, winner, signatures) {
+    const threshold = Number(await playGame.resultThreshold());
+    if (threshold === 0) {
+      throw apiError('SIGNERS_NOT_CONFIGURED', 'Result signers are not configured on PlayGame');
+    }
+
+    const typedDomain = await getDomain();
+    const signed = signatures.map(signature => {
+      try {
+        return {
+          signer: ethers.verifyTypedData(typedDomain, MATCH_RESULT_TYPES, { matchId, winner }, signature),
+          signature
+        };
+      } catch (error) {
+        throw apiError('VALIDATION_FAILED', 'Malformed result signature');
+      }
+    });
+
+    const signers = new Set(signed.map(({ signer }) => signer));
+    if (signers.size !== signed.length) {
+      throw apiError('INVALID_SIGNATURE', 'Each signer may only sign once');
+    }
+
+    for (const { signer } of signed) {
+      if (!(await playGame.isResultSigner(signer))) {
+        throw apiError('INVALID_SIGNATURE', `${signer} is not an authorised result signer for this result`);
+      }
+    }
+
+    if (signed.length < threshold) {
+      throw apiError('INVALID_SIGNATURE', `Need ${threshold} result signature(s), got ${signed.length}`);
+    }
+
+    signed.sort((a, b) => (BigInt(a.signer) < BigInt(b.signer) ? -1 : 1));
+
+    return {
+      signatures: signed.map(({ signature }) => signature),
+      signers: signed.map(({ signer }) => signer),
+      threshold: threshold
+    };
+  }
+
+  return { payload, verify };
+}
+
+module.exports = { createResultVerifier, MATCH_RESULT_TYPES };
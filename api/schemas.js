@@ -0,0 +1,163 @@
+const { PAUSABLE } = require('./admin');
+const { SIZES: TOURNAMENT_SIZES } = require('./tournaments');
+
+// Request body schemas (JSON Schema subset, see validation.js), keyed by
+// the name they are published under in the OpenAPI document
+
+const BYTES32 = { type: 'string', format: 'bytes32', example: '0x' + 'ab'.repeat(32) };
+const ADDRESS = { type: 'string', format: 'address', example: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8' };
+const SIGNATURES = { type: 'array', minItems: 1, maxItems: 32, items: { type: 'string', format: 'signature' } };
+
+function amount(unit) {
+  return { type: ['string', 'number'], format: 'amount', description: `Positive ${unit} amount in whole tokens, e.g. "12.5"` };
+}
+
+const SCHEMAS = {
+  AuthVerifyRequest: {
+    type: 'object',
+    required: ['message', 'signature'],
+    properties: {
+      message: { type: 'string', minLength: 1, maxLength: 4096, description: 'EIP-4361 message embedding a nonce from GET /auth/nonce' },
+      signature: { type: 'string', format: 'hex' }
+    }
+  },
+
+  LimitsRequest: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      maxStakePerMatch: { ...amount('GT'), type: ['string', 'number', 'null'] },
+      dailyStakeLimit: { ...amount('GT'), type: ['string', 'number', 'null'] }
+    }
+  },
+
+  RelayStakeRequest: {
+    type: 'object',
+    required: ['matchId', 'deadline', 'signature'],
+    properties: {
+      matchId: BYTES32,
+      deadline: { type: ['string', 'integer'], format: 'uint', minimum: 1, description: 'Permit deadline (unix seconds) from GET /me/stake/:matchId/permit' },
+      signature: { type: 'string', format: 'signature' }
+    }
+  },
+
+  QueueJoinRequest: {
+    type: 'object',
+    required: ['stake'],
+    properties: {
+      stake: amount('GT'),
+      matchSkill: { type: 'boolean' }
+    }
+  },
+
+  PurchaseSubmitRequest: {
+    type: 'object',
+    required: ['signedTransactions'],
+    properties: {
+      signedTransactions: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string', format: 'hex' } }
+    }
+  },
+
+  MatchStartRequest: {
+    type: 'object',
+    required: ['matchId', 'p1', 'p2', 'stake'],
+    properties: {
+      matchId: BYTES32,
+      p1: ADDRESS,
+      p2: ADDRESS,
+      stake: amount('GT')
+    }
+  },
+
+  MatchResultRequest: {
+    type: 'object',
+    required: ['matchId', 'signatures'],
+    properties: {
+      matchId: BYTES32,
+      outcome: { type: 'string', enum: ['win', 'draw'] },
+      winner: { ...ADDRESS, type: ['string', 'null'], description: 'Required for a win, omitted for a draw' },
+      signatures: SIGNATURES
+    }
+  },
+
+  // Items are checked one by one by the batch service, which reports bad
+  // ones per item instead of rejecting the whole batch
+  MatchBatchStartRequest: {
+    type: 'object',
+    required: ['matches'],
+    properties: {
+      matches: { type: 'array', minItems: 1, maxItems: 1000, items: { type: 'object' } }
+    }
+  },
+
+  MatchBatchResultRequest: {
+    type: 'object',
+    required: ['results'],
+    properties: {
+      results: { type: 'array', minItems: 1, maxItems: 1000, items: { type: 'object' } }
+    }
+  },
+
+  TournamentCreateRequest: {
+    type: 'object',
+    required: ['size', 'entryFee'],
+    properties: {
+      tournamentId: BYTES32,
+      size: { type: 'integer', enum: TOURNAMENT_SIZES },
+      entryFee: amount('GT'),
+      registrationMinutes: { type: 'integer', minimum: 1, maximum: 7 * 24 * 60 },
+      payoutBps: {
+        type: 'array',
+        minItems: 3,
+        maxItems: 3,
+        items: { type: 'integer', minimum: 0, maximum: 10000 },
+        description: '[1st, 2nd, each semifinal loser]; 1st + 2nd + 2 × 3rd = 10000'
+      }
+    }
+  },
+
+  TournamentResultRequest: {
+    type: 'object',
+    required: ['matchId', 'winner', 'signatures'],
+    properties: {
+      matchId: BYTES32,
+      winner: ADDRESS,
+      signatures: SIGNATURES
+    }
+  },
+
+  AdminContractRequest: {
+    type: 'object',
+    required: ['contract'],
+    properties: {
+      contract: { type: 'string', enum: Object.keys(PAUSABLE) }
+    }
+  },
+
+  AdminOperatorRequest: {
+    type: 'object',
+    required: ['address'],
+    properties: {
+      address: ADDRESS
+    }
+  },
+
+  AdminWithdrawRequest: {
+    type: 'object',
+    required: ['amount'],
+    properties: {
+      amount: amount('USDT'),
+      to: { ...ADDRESS, description: 'Defaults to the PlayGame treasury' }
+    }
+  },
+
+  RevertDecodeRequest: {
+    type: 'object',
+    required: ['data'],
+    properties: {
+      data: { type: 'string', format: 'hex', minLength: 10 }
+    }
+  }
+};
+
+module.exports = { SCHEMAS, BYTES32, ADDRESS };
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+// Renders api/client/index.js from the OpenAPI document in openapi.js.
+//
+//   node scripts/generate-client.js          write the client
+//   node scripts/generate-client.js --check  exit 1 if it is out of date
+
+const fs = require('fs');
+const path = require('path');
+const { buildSpec } = require('../openapi');
+
+const CLIENT_FILE = path.join(__dirname, '..', 'client', 'index.js');
+
+// Request helpers shared by every generated method
+const RUNTIME = `
+  class ApiError extends Error {
+    constructor(status, body) {
+      super((body && (body.details || body.error)) || \`Request failed with status \${status}\`);
+      this.name = 'ApiError';
+      this.status = status;
+      this.code = body && body.code;
+      this.details = body && body.details;
+      this.fields = body && body.fields;
+      this.body = body;
+    }
+  }
+
+  function subtle() {
+    const webcrypto = globalThis.crypto || require('crypto').webcrypto;
+    return webcrypto.subtle;
+  }
+
+  // Hex HMAC-SHA256 of "<ts>\\n<METHOD>\\n<path with query>\\n<raw body>",
+  // as checked by the API for operator keys
+  async function hmac(secret, payload) {
+    const encoder = new TextEncoder();
+    const key = await subtle().importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await subtle().sign('HMAC', key, encoder.encode(payload));
+    return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  function queryString(query) {
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(query || {})) {
+      if (value === undefined || value === null) continue;
+      [].concat(value).forEach(item => params.append(name, String(item)));
+    }
+    const search = params.toString();
+    return search ? \`?\${search}\` : '';
+  }
+
+  /**
+   * \`baseUrl\` is where the API is served. \`token\` returns the session
+   * token from signIn (or null), \`operatorKey\` returns { id, secret } of
+   * an operator API key (or null); both may also be plain values. Every
+   * method resolves to the parsed JSON response and rejects with an
+   * ApiError carrying the response \`status\`, \`code\`, \`details\` and
+   * \`fields\` otherwise.
+   */
+  function createClient({ baseUrl = 'http://localhost:3001', fetch = globalThis.fetch, token = null, operatorKey = null } = {}) {
+    const base = baseUrl.replace(/\\/$/, '');
+    const resolve = value => (typeof value === 'function' ? value() : value);
+
+    function url(path, query) {
+      return base + path + queryString(query);
+    }
+
+    async function call(method, path, { query, body, auth } = {}) {
+      const target = url(path, query);
+      const rawBody = body === undefined ? '' : JSON.stringify(body);
+      const headers = body === undefined ? {} : { 'Content-Type': 'application/json' };
+
+      const session = auth && auth.startsWith('session') ? resolve(token) : null;
+      if (session) {
+        headers.Authorization = \`Bearer \${session}\`;
+      }
+
+      if (auth === 'operator') {
+        const key = resolve(operatorKey);
+        if (!key) {
+          throw new ApiError(401, { error: 'Operator API key required', code: 'UNAUTHORIZED', details: \`\${method} \${path} needs an operator API key\` });
+        }
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const { pathname, search } = new URL(target);
+        headers['X-Api-Key'] = key.id;
+        headers['X-Timestamp'] = timestamp;
+        headers['X-Signature'] = await hmac(key.secret, \`\${timestamp}\\n\${method}\\n\${pathname}\${search}\\n\${rawBody}\`);
+      }
+
+      const response = await fetch(target, {
+        method: method,
+        headers: headers,
+        body: body === undefined ? undefined : rawBody,
+        credentials: 'include'
+      });
+      const text = await response.text();
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch (error) {
+        data = { error: text };
+      }
+
+      if (!response.ok) {
+        throw new ApiError(response.status, data);
+      }
+      return data;
+    }
+
+    return {
+__METHODS__
+    };
+  }
+`;
+
+function jsString(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function authOf(operation) {
+  if (!operation.security) return null;
+  if (operation['x-scope']) return 'operator';
+  return operation.security.some(requirement => Object.keys(requirement).length === 0) ? 'session-optional' : 'session';
+}
+
+// One method per operation: path parameters first, then the query object
+// (GET) or the request body
+function renderMethod(route, method, operation) {
+  const params = (operation.parameters || []).filter(param => param.in === 'path').map(param => param.name);
+  const hasQuery = (operation.parameters || []).some(param => param.in === 'query');
+  const template = route.replace(/\{(\w+)\}/g, (match, name) => `\${encodeURIComponent(${name})}`);
+  const pathArg = params.length > 0 ? `\`${template}\`` : jsString(route);
+  const lines = [`      // ${method.toUpperCase()} ${route}: ${operation.summary}`];
+
+  const content = Object.keys((operation.responses['200'] || {}).content || {});
+  if (content.length > 0 && content[0] !== 'application/json') {
+    // Not JSON: expose the URL (for EventSource, <script> and the like)
+    lines.push(`      ${operation.operationId}Url: (${[...params, 'query'].join(', ')}) => url(${pathArg}, query)`);
+    return lines.join('\n');
+  }
+
+  const options = [];
+  const args = [...params];
+  if (hasQuery) {
+    args.push('query');
+    options.push('query');
+  }
+  if (operation.requestBody) {
+    args.push('body');
+    options.push('body');
+  }
+  const auth = authOf(operation);
+  if (auth) {
+    options.push(`auth: '${auth}'`);
+  }
+
+  const optionsArg = options.length > 0 ? `, { ${options.join(', ')} }` : '';
+  lines.push(`      ${operation.operationId}: (${args.join(', ')}) => call('${method.toUpperCase()}', ${pathArg}${optionsArg})`);
+  return lines.join('\n');
+}
+
+function render(spec) {
+  const methods = [];
+  for (const [route, operations] of Object.entries(spec.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      if (operation.operationId === 'getClient') continue;
+      methods.push(renderMethod(route, method, operation));
+    }
+  }
+
+  return `// Generated by api/scripts/generate-client.js from the OpenAPI document
+// (GET /openapi.json, version ${spec.info.version}). Do not edit by hand;
+// run \`npm run generate:client\` in api/ after changing routes.
+//
+// Works as a CommonJS module (require('./api/client')) and as a browser
+// script served at GET /client.js, which defines the WeseeApi global.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.WeseeApi = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+${RUNTIME.replace('__METHODS__', methods.join(',\n\n'))}
+  return { createClient, ApiError, VERSION: ${jsString(spec.info.version)} };
+});
+`;
+}
+
+function main() {
+  const source = render(buildSpec());
+
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(CLIENT_FILE) ? fs.readFileSync(CLIENT_FILE, 'utf8') : '';
+    if (current !== source) {
+      console.error('api/client/index.js is out of date; run `npm run generate:client`');
+      process.exit(1);
+    }
+    console.log('api/client/index.js is up to date');
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(CLIENT_FILE), { recursive: true });
+  fs.writeFileSync(CLIENT_FILE, source);
+  console.log(`Wrote ${path.relative(process.cwd(), CLIENT_FILE)}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { render, CLIENT_FILE };
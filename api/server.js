@@ -1,195 +1,1935 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const { ethers } = require('ethers');
 require('dotenv').config();
+const { createIndexer } = require('./indexer');
+const { createPurchaseService, parseAmount } = require('./purchases');
+const { createRedemptionService } = require('./redemptions');
+const { createRefundKeeper } = require('./keeper');
+const { createTxManager } = require('./txManager');
+const { createAuditLog } = require('./audit');
+const { DATA_DIR } = require('./store');
+const { createAuth } = require('./auth');
+const { createSiweAuth } = require('./siwe');
+const { createStakingService } = require('./staking');
+const { createResultVerifier } = require('./results');
+const { createEventStream } = require('./stream');
+const { createMatchmaker } = require('./matchmaking');
+const { createRatingEngine } = require('./ratings');
+const { createTournamentService } = require('./tournaments');
+const { createBatchService } = require('./batches');
+const { createRelay } = require('./relay');
+const { createAdminService, PAUSABLE } = require('./admin');
+const { createErrorModel, apiError, codeForReason } = require('./errors');
+const { validateBody, fieldError } = require('./validation');
+const { SCHEMAS } = require('./schemas');
+const { buildSpec } = require('./openapi');
+const { deploymentFile, loadDeployment, contractFor, decodeRevert, verifyDeployment } = require('./deployment');
 
-const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Blockchain setup
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const wallet = new ethers.Wallet(process.env.BACKEND_PRIVATE_KEY, provider);
-
-// Contract ABIs (simplified for demo - in production, use full ABIs)
-const GAME_TOKEN_ABI = [
-  "function balanceOf(address owner) view returns (uint256)",
-  "function transfer(address to, uint256 amount) returns (bool)"
-];
-
-const TOKEN_STORE_ABI = [
-  "function buy(uint256 usdtAmount)",
-  "function gtPerUsdt() view returns (uint256)",
-  "function usdt() view returns (address)",
-  "function gameToken() view returns (address)"
-];
-
-const PLAY_GAME_ABI = [
-  "function createMatch(bytes32 matchId, address p1, address p2, uint256 stake)",
-  "function commitResult(bytes32 matchId, address winner)",
-  "function matches(bytes32) view returns (address p1, address p2, uint256 stake, uint256 startTime, uint8 status, bool p1Staked, bool p2Staked)",
-  "function backendOperator() view returns (address)"
-];
-
-// Contract instances
-const gameToken = new ethers.Contract(process.env.GAME_TOKEN_ADDRESS, GAME_TOKEN_ABI, wallet);
-const tokenStore = new ethers.Contract(process.env.TOKEN_STORE_ADDRESS, TOKEN_STORE_ABI, wallet);
-const playGame = new ethers.Contract(process.env.PLAY_GAME_ADDRESS, PLAY_GAME_ABI, wallet);
-
-// Routes
-
-// GET /purchase?amount=USDT
-app.get('/purchase', async (req, res) => {
-  try {
-    const { amount } = req.query;
-    const usdtAmount = parseInt(amount);
-    
-    if (!amount || isNaN(usdtAmount) || usdtAmount <= 0) {
-      return res.status(400).json({ error: 'Invalid USDT amount' });
-    }
-
-    // Convert USDT amount to wei (6 decimals)
-    const usdtAmountWei = ethers.parseUnits(usdtAmount.toString(), 6);
-    
-    // Call TokenStore.buy() - this would require USDT approval first
-    // For demo purposes, we'll just return the expected GT amount
-    const gtPerUsdt = await tokenStore.gtPerUsdt();
-    const gtOut = (usdtAmountWei * gtPerUsdt) / ethers.parseUnits("1", 6);
-    
+// Only the configured origins may call the API from a browser. "null"
+// (file:// pages, sandboxed iframes) is not allowed by default: serve
+// web/ over HTTP instead.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:8080,http://127.0.0.1:8080')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+/**
+ * Build the API around a provider, the operator wallet and a deployment
+ * manifest. `start(port)` listens and starts the background services
+ * (indexer, keeper, matchmaker, tx manager, event stream); `stop()` shuts
+ * them down again so tests can run the whole thing in-process. The stores,
+ * API keys and audit log default to DATA_DIR, API_KEYS_FILE and
+ * AUDIT_LOG_FILE; pass `dataDir`, `keysFile` and `auditLogFile` to keep
+ * several servers in one process apart.
+ */
+function createServer({
+  provider,
+  wallet,
+  deployment,
+  manifestFile = null,
+  dataDir = DATA_DIR,
+  keysFile = process.env.API_KEYS_FILE || path.join(__dirname, 'api-keys.json'),
+  auditLogFile = process.env.AUDIT_LOG_FILE || path.join(dataDir, 'audit.log')
+}) {
+  const app = express();
+
+  // Middleware
+  app.use(cors({
+    origin: (origin, callback) => callback(null, !origin || CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin)),
+    credentials: true
+  }));
+  app.use(express.json({
+    // Keep the exact bytes for HMAC verification
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    }
+  }));
+
+  // Operator route authentication (API keys + HMAC) and audit trail
+  const auditLog = createAuditLog(auditLogFile);
+  const auth = createAuth({
+    keysFile,
+    auditLog,
+    maxSkewSeconds: parseInt(process.env.AUTH_MAX_SKEW_SECONDS || '300')
+  });
+
+  // Typed error responses; reverts are decoded with the manifest's ABIs
+  const errors = createErrorModel({ decode: data => decodeRevert(deployment, data) });
+
+  // Contract instances
+  const gameToken = contractFor(deployment, 'gameToken', wallet);
+  const tokenStore = contractFor(deployment, 'tokenStore', wallet);
+  const playGame = contractFor(deployment, 'playGame', wallet);
+  const usdt = contractFor(deployment, 'usdt', provider);
+  const tournament = contractFor(deployment, 'tournament', wallet);
+
+  // Operator wallet transaction queue (nonces, gas bumping, status tracking)
+  const txManager = createTxManager({
+    wallet,
+    contracts: { playGame, tournament, tokenStore },
+    stuckAfterMs: parseInt(process.env.TX_STUCK_AFTER_MS || '60000'),
+    maxBumps: parseInt(process.env.TX_MAX_BUMPS || '5'),
+    retainMs: parseInt(process.env.TX_RETAIN_MS || '604800000'),
+    dataDir
+  });
+
+  // Owner-only controls (pause, operator rotation, reserve withdrawal)
+  const admin = createAdminService({ wallet, contracts: { playGame, tokenStore }, usdt, txManager, auditLog, simulate: errors.simulate });
+
+  // Player-signed USDT → GT purchases
+  const purchases = createPurchaseService({
+    provider,
+    usdt,
+    tokenStore,
+    confirmTimeoutMs: parseInt(process.env.PURCHASE_CONFIRM_TIMEOUT_MS || '600000'),
+    dataDir
+  });
+
+  // Player-signed GT → USDT redemptions against the store's reserve
+  const redemptions = createRedemptionService({ provider, usdt, gameToken, tokenStore });
+
+  // Event indexer (events in <dataDir>/indexer-events.jsonl, checkpoint in
+  // indexer.json)
+  const indexer = createIndexer({
+    provider,
+    playGame,
+    tokenStore,
+    startBlock: parseInt(process.env.INDEXER_START_BLOCK || String(deployment.deployBlock || 0)),
+    pollIntervalMs: parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '2000'),
+    dataDir
+  });
+
+  // Timeout keeper: refunds STAKED matches past TIMEOUT_DURATION, cancels
+  // PENDING matches past STAKE_TIMEOUT_DURATION and re-checks stuck purchases
+  const keeper = createRefundKeeper({
+    provider,
+    playGame,
+    indexer,
+    txManager,
+    purchases,
+    intervalMs: parseInt(process.env.KEEPER_INTERVAL_MS || '60000'),
+    maxAttempts: parseInt(process.env.KEEPER_MAX_ATTEMPTS || '5'),
+    dataDir
+  });
+
+  // Player sessions (Sign-In With Ethereum) and player-signed staking
+  const siwe = createSiweAuth({
+    provider,
+    domains: (process.env.SIWE_DOMAINS || 'localhost,127.0.0.1,localhost:8080,127.0.0.1:8080')
+      .split(',')
+      .map(domain => domain.trim())
+      .filter(Boolean),
+    sessionTtlSeconds: parseInt(process.env.SESSION_TTL_SECONDS || '86400'),
+    secureCookie: process.env.SESSION_COOKIE_SECURE === 'true',
+    dataDir
+  });
+  const staking = createStakingService({ provider, gameToken, playGame, indexer, dataDir });
+
+  // Gasless staking: the operator wallet relays the player's signed permit
+  const relay = createRelay({
+    playGame,
+    gameToken,
+    txManager,
+    staking,
+    simulate: errors.simulate,
+    gasBudget: BigInt(process.env.RELAY_GAS_BUDGET || '600000'),
+    maxRequests: parseInt(process.env.RELAY_MAX_REQUESTS || '5'),
+    rateWindowMs: parseInt(process.env.RELAY_RATE_WINDOW_MS || '60000'),
+    dataDir
+  });
+
+  // EIP-712 result signatures from the game servers (tournament bracket
+  // matches are PlayGame matches, so they use the same domain)
+  const results = createResultVerifier({ playGame });
+
+  // Batched match creation/settlement, split into gas-bounded transactions
+  const batches = createBatchService({
+    provider,
+    playGame,
+    txManager,
+    results,
+    gasLimit: BigInt(process.env.MATCH_BATCH_GAS_LIMIT || '8000000'),
+    dataDir
+  });
+
+  // Single-elimination tournaments with an escrowed entry-fee prize pool
+  const tournaments = createTournamentService({ provider, gameToken, tournament, staking });
+
+  // Live match/balance/leaderboard updates for browsers (Server-Sent Events)
+  const stream = createEventStream({
+    indexer,
+    gameToken: gameToken.connect(provider),
+    formatMatch: formatIndexedMatch,
+    heartbeatMs: parseInt(process.env.STREAM_HEARTBEAT_MS || '25000'),
+    maxClients: parseInt(process.env.STREAM_MAX_CLIENTS || '1000'),
+    maxClientsPerIp: parseInt(process.env.STREAM_MAX_CLIENTS_PER_IP || '10')
+  });
+
+  // Glicko skill ratings replayed from the indexed match results
+  const ratings = createRatingEngine({ indexer });
+
+  // Matchmaking queue: pairs players with equal stakes and creates the match
+  const matchmaker = createMatchmaker({
+    txManager,
+    gameToken,
+    staking,
+    ratings,
+    notify: (address, entry) => stream.notify(address, 'queue', formatQueueEntry(entry)),
+    queueTimeoutMs: parseInt(process.env.MATCHMAKING_QUEUE_TIMEOUT_MS || '600000'),
+    intervalMs: parseInt(process.env.MATCHMAKING_INTERVAL_MS || '5000'),
+    dataDir
+  });
+
+  const MATCH_STATUSES = ['PENDING', 'STAKED', 'SETTLED', 'REFUNDED', 'CANCELLED', 'DRAWN'];
+  const RESULT_OUTCOMES = ['win', 'draw'];
+  const DEFAULT_PAYOUT_BPS = [5000, 3000, 1000];
+  const TREASURY_INTERVALS = { day: 86400, week: 7 * 86400 };
+
+  // Parse ?page=&limit= into a 1-based page and a bounded page size
+  function parsePagination(query) {
+    const page = parseInt(query.page || '1');
+    const limit = parseInt(query.limit || '20');
+
+    if (isNaN(page) || page < 1 || isNaN(limit) || limit < 1 || limit > 100) {
+      return null;
+    }
+
+    return { page, limit };
+  }
+
+  function paginate(items, { page, limit }) {
+    return {
+      items: items.slice((page - 1) * limit, page * limit),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: items.length,
+        totalPages: Math.ceil(items.length / limit)
+      }
+    };
+  }
+
+  function formatTxJob(job) {
+    return {
+      jobId: job.id,
+      kind: job.kind,
+      status: job.status,
+      transactionHash: job.hash,
+      nonce: job.nonce,
+      blockNumber: job.blockNumber,
+      revertReason: job.revertReason,
+      errorCode: codeForReason(job.revertReason),
+      error: job.error,
+      replacements: job.bumps,
+      meta: job.meta,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+
+  function formatPurchaseOrder(order) {
+    return {
+      purchaseId: order.id,
+      buyer: order.buyer,
+      status: order.status,
+      usdtAmount: ethers.formatUnits(order.usdtAmount, 6),
+      gtOut: order.gtOut === null ? null : ethers.formatUnits(order.gtOut, 18),
+      error: order.error,
+      createdAt: order.createdAt,
+      transactions: order.transactions
+    };
+  }
+
+  function formatPurchase(purchase) {
+    return {
+      buyer: purchase.buyer,
+      usdtAmount: ethers.formatUnits(purchase.usdtAmount, 6),
+      gtOut: ethers.formatUnits(purchase.gtOut, 18),
+      blockNumber: purchase.blockNumber,
+      transactionHash: purchase.transactionHash,
+      timestamp: purchase.timestamp
+    };
+  }
+
+  function formatLimits(address, limits) {
+    const since = Math.floor(Date.now() / 1000) - 86400;
+    return {
+      address: address,
+      maxStakePerMatch: limits.maxStakePerMatch === null ? null : ethers.formatUnits(limits.maxStakePerMatch, 18),
+      dailyStakeLimit: limits.dailyStakeLimit === null ? null : ethers.formatUnits(limits.dailyStakeLimit, 18),
+      stakedLast24h: ethers.formatUnits(staking.stakedSince(address, since), 18),
+      updatedAt: limits.updatedAt
+    };
+  }
+
+  function formatQueueEntry(entry) {
+    return {
+      entryId: entry.id,
+      address: entry.address,
+      status: entry.status,
+      stake: ethers.formatUnits(entry.stake, 18),
+      skillBand: entry.skillBand,
+      matchId: entry.matchId,
+      opponent: entry.opponent,
+      jobId: entry.jobId,
+      error: entry.error,
+      joinedAt: entry.joinedAt,
+      expiresAt: entry.expiresAt,
+      matchedAt: entry.matchedAt
+    };
+  }
+
+  function formatTournament(details) {
+    return {
+      ...details,
+      entryFee: ethers.formatUnits(details.entryFee, 18),
+      pool: details.pool === undefined ? undefined : ethers.formatUnits(details.pool, 18)
+    };
+  }
+
+  // A batch with one entry per requested match (signatures left out)
+  function formatBatch(batch) {
+    return {
+      batchId: batch.id,
+      kind: batch.kind,
+      status: batch.status,
+      jobIds: batch.jobs,
+      counts: batch.items.reduce((counts, item) => ({ ...counts, [item.status]: (counts[item.status] || 0) + 1 }), {}),
+      items: batch.items.map(item => ({
+        index: item.index,
+        matchId: item.matchId,
+        status: item.status,
+        reason: item.reason,
+        p1: item.p1,
+        p2: item.p2,
+        stake: item.stake === undefined ? undefined : ethers.formatUnits(item.stake, 18),
+        outcome: item.outcome,
+        winner: item.winner,
+        jobId: item.jobId,
+        transactionHash: item.transactionHash || null,
+        blockNumber: item.blockNumber || null
+      })),
+      createdAt: batch.createdAt,
+      updatedAt: batch.updatedAt
+    };
+  }
+
+  function formatIndexedMatch(match) {
+    return {
+      matchId: match.matchId,
+      p1: match.p1,
+      p2: match.p2,
+      stake: ethers.formatUnits(match.stake, 18),
+      stakeWei: match.stake,
+      status: match.status,
+      p1Staked: match.p1Staked,
+      p2Staked: match.p2Staked,
+      winner: match.winner,
+      payout: match.payout === null ? null : ethers.formatUnits(match.payout, 18),
+      fee: match.fee === null ? null : ethers.formatUnits(match.fee, 18),
+      createdAt: match.createdAt,
+      createdBlock: match.createdBlock,
+      createdTx: match.createdTx,
+      startTime: match.startTime
+    };
+  }
+
+  // A match from one player's point of view: their role, whether they
+  // staked, the outcome, what they got back and their net GT result
+  function formatPlayerMatch(match, address) {
+    const role = match.p1 === address ? 'p1' : 'p2';
+    const staked = role === 'p1' ? match.p1Staked : match.p2Staked;
+    const stake = BigInt(match.stake);
+
+    let outcome;
+    let returned = null;
+    switch (match.status) {
+      case 'PENDING':
+        outcome = staked ? 'awaiting-opponent' : 'awaiting-stake';
+        break;
+      case 'STAKED':
+        outcome = 'in-progress';
+        break;
+      case 'SETTLED':
+        outcome = match.winner === address ? 'won' : 'lost';
+        returned = outcome === 'won' ? BigInt(match.payout) : 0n;
+        break;
+      case 'DRAWN':
+        outcome = 'draw';
+        returned = stake;
+        break;
+      case 'REFUNDED':
+        outcome = 'refunded';
+        returned = stake;
+        break;
+      case 'CANCELLED':
+        outcome = 'cancelled';
+        returned = staked ? stake : 0n;
+        break;
+    }
+
+    const net = returned === null ? null : returned - (staked ? stake : 0n);
+
+    return {
+      ...formatIndexedMatch(match),
+      role: role,
+      opponent: role === 'p1' ? match.p2 : match.p1,
+      staked: staked,
+      outcome: outcome,
+      returned: returned === null ? null : ethers.formatUnits(returned, 18),
+      net: net === null ? null : ethers.formatUnits(net, 18)
+    };
+  }
+
+  // Routes
+
+  // GET /auth/nonce?address=0x...
+  // Single-use nonce to embed in a SIWE (EIP-4361) message, plus the chain
+  // ID and (if given) the EIP-55 form of the address the message must use
+  app.get('/auth/nonce', async (req, res) => {
+    try {
+      const { address } = req.query;
+
+      if (address && !ethers.isAddress(address)) {
+        throw fieldError('address', 'must be an Ethereum address');
+      }
+
+      const { chainId } = await provider.getNetwork();
+
+      res.json({
+        nonce: siwe.createNonce(),
+        chainId: chainId.toString(),
+        address: address ? ethers.getAddress(address) : undefined
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to create nonce');
+    }
+  });
+
+  // POST /auth/verify { message, signature }
+  app.post('/auth/verify', validateBody(SCHEMAS.AuthVerifyRequest), async (req, res) => {
+    try {
+      const { message, signature } = req.body;
+
+      const { token, session } = await siwe.verify(message, signature);
+      siwe.setCookie(res, token, session.expiresAt);
+
+      res.json({
+        success: true,
+        address: session.address,
+        token: token,
+        expiresAt: session.expiresAt
+      });
+    } catch (error) {
+      errors.send(res, error, 'Sign-in failed');
+    }
+  });
+
+  // GET /auth/session
+  app.get('/auth/session', siwe.requireSession, (req, res) => {
+    res.json({ address: req.session.address, expiresAt: req.session.expiresAt });
+  });
+
+  // POST /auth/logout
+  app.post('/auth/logout', (req, res) => {
+    siwe.destroy(req);
+    siwe.clearCookie(res);
+    res.json({ success: true });
+  });
+
+  // GET /me
+  app.get('/me', siwe.requireSession, async (req, res) => {
+    try {
+      const { address } = req.session;
+      const [balance, usdtBalance, gtAllowance, usdtAllowance] = await Promise.all([
+        gameToken.balanceOf(address),
+        usdt.balanceOf(address),
+        gameToken.allowance(address, playGame.target),
+        usdt.allowance(address, tokenStore.target)
+      ]);
+
+      res.json({
+        address: address,
+        balance: ethers.formatUnits(balance, 18),
+        balanceWei: balance.toString(),
+        usdtBalance: ethers.formatUnits(usdtBalance, 6),
+        // What PlayGame may pull for stakes and TokenStore for purchases
+        allowances: {
+          playGame: ethers.formatUnits(gtAllowance, 18),
+          tokenStore: ethers.formatUnits(usdtAllowance, 6)
+        },
+        sessionExpiresAt: req.session.expiresAt
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to get profile');
+    }
+  });
+
+  // GET /me/matches?status=&page=&limit=
+  app.get('/me/matches', siwe.requireSession, (req, res) => {
+    const { status } = req.query;
+    const pagination = parsePagination(req.query);
+
+    if (!pagination) {
+      return errors.send(res, apiError('VALIDATION_FAILED', 'Invalid pagination (page >= 1, 1 <= limit <= 100)'), 'Failed to list matches');
+    }
+
+    if (status && !MATCH_STATUSES.includes(status.toUpperCase())) {
+      return errors.send(res, fieldError('status', `must be one of ${MATCH_STATUSES.join(', ')}`), 'Failed to list matches');
+    }
+
+    const matches = indexer.getMatches({ player: req.session.address, status: status && status.toUpperCase() });
+    const { items, pagination: pageInfo } = paginate(matches, pagination);
+
     res.json({
-      success: true,
-      usdtAmount: usdtAmount,
-      gtOut: ethers.formatUnits(gtOut, 18),
-      message: `Would mint ${ethers.formatUnits(gtOut, 18)} GT for ${usdtAmount} USDT`
+      address: req.session.address,
+      matches: items.map(formatIndexedMatch),
+      pagination: pageInfo,
+      indexedBlock: indexer.status().lastBlock
     });
-  } catch (error) {
-    console.error('Purchase error:', error);
-    res.status(500).json({ error: 'Purchase failed', details: error.message });
-  }
-});
+  });
+
+  // GET /me/purchases?page=&limit=
+  app.get('/me/purchases', siwe.requireSession, (req, res) => {
+    const pagination = parsePagination(req.query);
+
+    if (!pagination) {
+      return errors.send(res, apiError('VALIDATION_FAILED', 'Invalid pagination (page >= 1, 1 <= limit <= 100)'), 'Failed to list purchases');
+    }
+
+    const { items, pagination: pageInfo } = paginate(indexer.getPurchases({ buyer: req.session.address }), pagination);
 
-// POST /match/start
-app.post('/match/start', async (req, res) => {
-  try {
-    const { matchId, p1, p2, stake } = req.body;
-    
-    if (!matchId || !p1 || !p2 || !stake) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-    
-    // Validate addresses
-    if (!ethers.isAddress(p1) || !ethers.isAddress(p2)) {
-      return res.status(400).json({ error: 'Invalid addresses' });
-    }
-    
-    // Convert stake to wei (18 decimals)
-    const stakeWei = ethers.parseUnits(stake.toString(), 18);
-    
-    // Create match
-    const tx = await playGame.createMatch(matchId, p1, p2, stakeWei);
-    await tx.wait();
-    
     res.json({
-      success: true,
-      matchId: matchId,
-      transactionHash: tx.hash,
-      message: 'Match created successfully'
+      address: req.session.address,
+      purchases: items.map(formatPurchase),
+      pagination: pageInfo,
+      indexedBlock: indexer.status().lastBlock
     });
-  } catch (error) {
-    console.error('Create match error:', error);
-    res.status(500).json({ error: 'Failed to create match', details: error.message });
-  }
-});
+  });
+
+  // GET /me/limits
+  app.get('/me/limits', siwe.requireSession, (req, res) => {
+    res.json(formatLimits(req.session.address, staking.getLimits(req.session.address)));
+  });
+
+  // PUT /me/limits { maxStakePerMatch, dailyStakeLimit } (GT, null to clear)
+  app.put('/me/limits', siwe.requireSession, validateBody(SCHEMAS.LimitsRequest), (req, res) => {
+    const limits = {};
+
+    for (const field of ['maxStakePerMatch', 'dailyStakeLimit']) {
+      const value = req.body[field];
+      if (value === undefined || value === null) {
+        limits[field] = null;
+        continue;
+      }
+
+      limits[field] = parseAmount(value, 18);
+      if (limits[field] === null) {
+        return errors.send(res, fieldError(field, 'must be a positive GT amount or null'), 'Invalid request body');
+      }
+    }
+
+    const saved = staking.setLimits(req.session.address, limits);
+    res.json(formatLimits(req.session.address, saved));
+  });
+
+  // GET /me/stake/:matchId
+  // Unsigned GameToken.approve and PlayGame.stake transactions for the
+  // signed-in player, checked against the match and their stake limits
+  app.get('/me/stake/:matchId', siwe.requireSession, async (req, res) => {
+    try {
+      const { matchId } = req.params;
+
+      if (!ethers.isHexString(matchId, 32)) {
+        throw fieldError('matchId', 'must be a bytes32 hex string');
+      }
+
+      const { stake, transactions } = await staking.prepare(req.session.address, matchId);
+
+      res.json({
+        success: true,
+        address: req.session.address,
+        matchId: matchId,
+        stake: ethers.formatUnits(stake, 18),
+        transactions: transactions,
+        message: `Sign and send ${transactions.length} transaction(s) to stake ${ethers.formatUnits(stake, 18)} GT`
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to prepare stake');
+    }
+  });
+
+  // GET /me/stake/:matchId/permit
+  // EIP-2612 permit for the match stake; sign it and POST /relay/stake to
+  // stake without holding ETH for gas
+  app.get('/me/stake/:matchId/permit', siwe.requireSession, async (req, res) => {
+    try {
+      const { matchId } = req.params;
+
+      if (!ethers.isHexString(matchId, 32)) {
+        throw fieldError('matchId', 'must be a bytes32 hex string');
+      }
+
+      const { stake, typedData } = await staking.permitPayload(req.session.address, matchId);
+
+      res.json({
+        success: true,
+        address: req.session.address,
+        matchId: matchId,
+        stake: ethers.formatUnits(stake, 18),
+        typedData: typedData,
+        relay: relay.usage(req.session.address),
+        message: `Sign the permit to stake ${ethers.formatUnits(stake, 18)} GT, then POST it to /relay/stake`
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to prepare permit');
+    }
+  });
+
+  // POST /relay/stake { matchId, deadline, signature }
+  // Submit the signed permit from the operator wallet (rate limited, with a
+  // per-player 24h gas budget)
+  app.post('/relay/stake', siwe.requireSession, validateBody(SCHEMAS.RelayStakeRequest), async (req, res) => {
+    try {
+      const { matchId, deadline, signature } = req.body;
+      const { job, stake, estimatedGas, usage } = await relay.relayStake(req.session.address, { matchId, deadline, signature });
+
+      res.status(202).json({
+        success: true,
+        address: req.session.address,
+        matchId: matchId,
+        stake: ethers.formatUnits(stake, 18),
+        jobId: job.id,
+        status: job.status,
+        estimatedGas: estimatedGas.toString(),
+        relay: usage,
+        message: 'Relayed stake queued'
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to relay stake');
+    }
+  });
+
+  // GET /me/relay
+  // The player's remaining relay gas budget and request allowance
+  app.get('/me/relay', siwe.requireSession, (req, res) => {
+    res.json({ address: req.session.address, ...relay.usage(req.session.address) });
+  });
+
+  // POST /queue/join { stake, matchSkill? }
+  // Join the matchmaking queue; the match is created as soon as a player
+  // with the same stake (and skill band, if both ask for one) is waiting
+  app.post('/queue/join', siwe.requireSession, validateBody(SCHEMAS.QueueJoinRequest), async (req, res) => {
+    try {
+      const { stake, matchSkill } = req.body;
+      const stakeWei = parseAmount(stake, 18);
+
+      if (stakeWei === null) {
+        throw fieldError('stake', 'must be a positive GT amount');
+      }
+
+      const entry = await matchmaker.join(req.session.address, stakeWei, { matchSkill: matchSkill === true });
+
+      res.status(201).json({ success: true, ...formatQueueEntry(entry) });
+    } catch (error) {
+      errors.send(res, error, 'Failed to join queue');
+    }
+  });
+
+  // POST /queue/leave
+  app.post('/queue/leave', siwe.requireSession, (req, res) => {
+    try {
+      const entry = matchmaker.leave(req.session.address);
+
+      res.json({ success: true, ...formatQueueEntry(entry) });
+    } catch (error) {
+      errors.send(res, error, 'Failed to leave queue');
+    }
+  });
+
+  // GET /queue/status
+  // The signed-in player's latest queue entry (waiting, matching, matched,
+  // left, expired or failed) and how many players wait at the same stake
+  app.get('/queue/status', siwe.requireSession, (req, res) => {
+    const { entry, waitingAtStake } = matchmaker.getStatus(req.session.address);
 
-// POST /match/result
-app.post('/match/result', async (req, res) => {
-  try {
-    const { matchId, winner } = req.body;
-    
-    if (!matchId || !winner) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-    
-    if (!ethers.isAddress(winner)) {
-      return res.status(400).json({ error: 'Invalid winner address' });
-    }
-    
-    // Commit result
-    const tx = await playGame.commitResult(matchId, winner);
-    await tx.wait();
-    
     res.json({
-      success: true,
-      matchId: matchId,
-      winner: winner,
-      transactionHash: tx.hash,
-      message: 'Result committed successfully'
+      address: req.session.address,
+      entry: entry ? formatQueueEntry(entry) : null,
+      waitingAtStake: waitingAtStake,
+      queue: matchmaker.summary().map(group => ({ ...group, stake: ethers.formatUnits(group.stake, 18) }))
+    });
+  });
+
+  // GET /me/tournaments/:tournamentId/join
+  // Unsigned GameToken.approve and Tournament.join transactions paying the
+  // entry fee for the signed-in player
+  app.get('/me/tournaments/:tournamentId/join', siwe.requireSession, async (req, res) => {
+    try {
+      const { tournamentId } = req.params;
+
+      if (!ethers.isHexString(tournamentId, 32)) {
+        throw fieldError('tournamentId', 'must be a bytes32 hex string');
+      }
+
+      const { entryFee, transactions } = await tournaments.prepareJoin(req.session.address, tournamentId.toLowerCase());
+
+      res.json({
+        success: true,
+        address: req.session.address,
+        tournamentId: tournamentId,
+        entryFee: ethers.formatUnits(entryFee, 18),
+        transactions: transactions,
+        message: `Sign and send ${transactions.length} transaction(s) to join for ${ethers.formatUnits(entryFee, 18)} GT`
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to prepare tournament entry');
+    }
+  });
+
+  // GET /purchase?amount=USDT
+  // Quotes the GT output; for a signed-in player, also returns the unsigned
+  // USDT.approve and TokenStore.buy transactions for them to sign.
+  app.get('/purchase', async (req, res) => {
+    try {
+      const { amount } = req.query;
+      const usdtAmountWei = parseAmount(amount, 6);
+
+      if (usdtAmountWei === null) {
+        throw fieldError('amount', 'must be a positive USDT amount');
+      }
+
+      if (req.query.address) {
+        throw fieldError('address', 'is no longer supported; sign in and the session address is used');
+      }
+
+      const session = siwe.getSession(req);
+      const gtOut = await purchases.quote(usdtAmountWei);
+      const usdtAmount = ethers.formatUnits(usdtAmountWei, 6);
+
+      if (!session) {
+        return res.json({
+          success: true,
+          usdtAmount: usdtAmount,
+          gtOut: ethers.formatUnits(gtOut, 18),
+          message: `${usdtAmount} USDT buys ${ethers.formatUnits(gtOut, 18)} GT`
+        });
+      }
+
+      const transactions = await purchases.prepare(session.address, usdtAmountWei);
+
+      res.json({
+        success: true,
+        address: session.address,
+        usdtAmount: usdtAmount,
+        gtOut: ethers.formatUnits(gtOut, 18),
+        transactions: transactions,
+        message: `Sign ${transactions.length} transaction(s) and POST them to /purchase/submit to buy ${ethers.formatUnits(gtOut, 18)} GT`
+      });
+    } catch (error) {
+      errors.send(res, error, 'Purchase failed');
+    }
+  });
+
+  // POST /purchase/submit { signedTransactions: ["0x..."] }
+  app.post('/purchase/submit', siwe.requireSession, validateBody(SCHEMAS.PurchaseSubmitRequest), async (req, res) => {
+    try {
+      const { signedTransactions } = req.body;
+
+      const order = await purchases.submit(signedTransactions, { buyer: req.session.address });
+
+      res.status(order.status === 'failed' ? 502 : 202).json(formatPurchaseOrder(order));
+    } catch (error) {
+      errors.send(res, error, 'Failed to submit purchase');
+    }
+  });
+
+  // GET /purchase/:id
+  app.get('/purchase/:id', (req, res) => {
+    const order = purchases.get(req.params.id);
+
+    if (!order) {
+      return errors.send(res, apiError('NOT_FOUND', 'Purchase not found'), 'Failed to get purchase');
+    }
+
+    res.json(formatPurchaseOrder(order));
+  });
+
+  // GET /redeem?amount=GT&slippageBps=
+  // Quotes the USDT output at the redeem rate; for a signed-in player, also
+  // returns the unsigned TokenStore.redeem transaction for them to sign and
+  // send. slippageBps (default 0) lowers the minimum USDT accepted.
+  app.get('/redeem', async (req, res) => {
+    try {
+      const gtAmountWei = parseAmount(req.query.amount, 18);
+
+      if (gtAmountWei === null) {
+        throw fieldError('amount', 'must be a positive GT amount');
+      }
+
+      const slippage = req.query.slippageBps === undefined ? '0' : String(req.query.slippageBps);
+      if (!/^\d+$/.test(slippage)) {
+        throw fieldError('slippageBps', 'must be a whole number of basis points');
+      }
+
+      const session = siwe.getSession(req);
+      const gtAmount = ethers.formatUnits(gtAmountWei, 18);
+
+      if (!session) {
+        const { usdtOut, reserve, sufficient } = await redemptions.quote(gtAmountWei);
+        return res.json({
+          success: true,
+          gtAmount: gtAmount,
+          usdtOut: ethers.formatUnits(usdtOut, 6),
+          reserve: ethers.formatUnits(reserve, 6),
+          sufficientReserve: sufficient,
+          message: `${gtAmount} GT redeems for ${ethers.formatUnits(usdtOut, 6)} USDT`
+        });
+      }
+
+      const { usdtOut, minUsdtOut, transactions } = await redemptions.prepare(session.address, gtAmountWei, BigInt(slippage));
+
+      res.json({
+        success: true,
+        address: session.address,
+        gtAmount: gtAmount,
+        usdtOut: ethers.formatUnits(usdtOut, 6),
+        minUsdtOut: ethers.formatUnits(minUsdtOut, 6),
+        transactions: transactions,
+        message: `Sign and send the transaction to redeem ${gtAmount} GT for ${ethers.formatUnits(usdtOut, 6)} USDT`
+      });
+    } catch (error) {
+      errors.send(res, error, 'Redemption failed');
+    }
+  });
+
+  // GET /store
+  // TokenStore reserve and current buy/redeem rates
+  app.get('/store', async (req, res) => {
+    try {
+      const store = await redemptions.info();
+
+      res.json({
+        tokenStore: store.tokenStore,
+        usdt: store.usdt,
+        gameToken: store.gameToken,
+        buyRate: {
+          gtPerUsdt: ethers.formatUnits(store.gtPerUsdt, 18),
+          gtPerUsdtWei: store.gtPerUsdt.toString()
+        },
+        redeemRate: {
+          gtPerUsdt: ethers.formatUnits(store.redeemGtPerUsdt, 18),
+          gtPerUsdtWei: store.redeemGtPerUsdt.toString()
+        },
+        reserve: ethers.formatUnits(store.reserve, 6),
+        reserveWei: store.reserve.toString(),
+        gtSupply: ethers.formatUnits(store.gtSupply, 18),
+        redeemableGt: ethers.formatUnits(store.redeemableGt, 18),
+        supplyRedemptionValue: ethers.formatUnits(store.supplyRedemptionValue, 6)
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to get store info');
+    }
+  });
+
+  // POST /match/start
+  app.post('/match/start', auth.requireScope('create-match'), validateBody(SCHEMAS.MatchStartRequest), async (req, res) => {
+    try {
+      const { matchId, p1, p2, stake } = req.body;
+
+      // Convert stake to wei (18 decimals)
+      const stakeWei = parseAmount(stake, 18);
+      if (stakeWei === null) {
+        throw fieldError('stake', 'must be a positive GT amount');
+      }
+
+      // Dry-run first so a duplicate ID or bad players fail here, not as a job
+      const args = [matchId, p1, p2, stakeWei];
+      await errors.simulate(playGame, 'createMatch', args);
+
+      // Queue match creation; follow it with GET /tx/:jobId
+      const job = txManager.enqueue({
+        contract: 'playGame',
+        method: 'createMatch',
+        args: args,
+        meta: { matchId, apiKey: req.apiKey.id }
+      });
+      res.locals.jobId = job.id;
+
+      res.status(202).json({
+        success: true,
+        matchId: matchId,
+        jobId: job.id,
+        status: job.status,
+        message: 'Match creation queued'
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to create match');
+    }
+  });
+
+  // GET /match/:matchId/result-payload?winner=0x... | ?outcome=draw
+  // EIP-712 typed data a game server signs to attest the result
+  // (a draw is signed as winner = zero address)
+  app.get('/match/:matchId/result-payload', async (req, res) => {
+    try {
+      const { matchId } = req.params;
+      const { winner, outcome = 'win' } = req.query;
+
+      if (!ethers.isHexString(matchId, 32)) {
+        throw fieldError('matchId', 'must be a bytes32 hex string');
+      }
+
+      if (!RESULT_OUTCOMES.includes(outcome)) {
+        throw fieldError('outcome', `must be one of ${RESULT_OUTCOMES.join(', ')}`);
+      }
+
+      if (outcome === 'win' && (!winner || !ethers.isAddress(winner))) {
+        throw fieldError('winner', 'must be an Ethereum address');
+      }
+
+      const match = await playGame.matches(matchId);
+
+      if (match.p1 === ethers.ZeroAddress) {
+        throw apiError('MATCH_NOT_FOUND', 'Match not found');
+      }
+
+      const signedWinner = outcome === 'draw' ? ethers.ZeroAddress : ethers.getAddress(winner);
+
+      if (outcome === 'win' && signedWinner !== match.p1 && signedWinner !== match.p2) {
+        throw fieldError('winner', 'must be one of the match players');
+      }
+
+      res.json({
+        matchId: matchId,
+        outcome: outcome,
+        winner: outcome === 'draw' ? null : signedWinner,
+        threshold: Number(await playGame.resultThreshold()),
+        typedData: await results.payload(matchId, signedWinner)
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to build result payload');
+    }
+  });
+
+  // POST /match/result { matchId, winner, signatures: ["0x..."] }
+  //                    { matchId, outcome: "draw", signatures: ["0x..."] }
+  app.post('/match/result', auth.requireScope('commit-result'), validateBody(SCHEMAS.MatchResultRequest), async (req, res) => {
+    try {
+      const { matchId, winner, signatures, outcome = 'win' } = req.body;
+
+      if (outcome === 'draw' && winner) {
+        throw fieldError('winner', 'must be omitted for a draw');
+      }
+
+      if (outcome === 'win' && !winner) {
+        throw fieldError('winner', 'is required for a win');
+      }
+
+      // Check the game-server signatures before spending a nonce
+      const signedWinner = outcome === 'draw' ? ethers.ZeroAddress : ethers.getAddress(winner);
+      const verified = await results.verify(matchId, signedWinner, signatures);
+
+      // Dry-run so an unstaked or already settled match fails here
+      const method = outcome === 'draw' ? 'commitDraw' : 'commitResult';
+      const args = outcome === 'draw' ? [matchId, verified.signatures] : [matchId, signedWinner, verified.signatures];
+      await errors.simulate(playGame, method, args);
+
+      // Queue the result; follow it with GET /tx/:jobId
+      const job = txManager.enqueue({
+        contract: 'playGame',
+        method: method,
+        args: args,
+        meta: { matchId, outcome, winner: outcome === 'draw' ? undefined : signedWinner, signers: verified.signers, apiKey: req.apiKey.id }
+      });
+      res.locals.jobId = job.id;
+
+      res.status(202).json({
+        success: true,
+        matchId: matchId,
+        outcome: outcome,
+        winner: outcome === 'draw' ? null : signedWinner,
+        jobId: job.id,
+        status: job.status,
+        message: 'Result submission queued'
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to commit result');
+    }
+  });
+
+  // POST /match/batch/start
+  // { matches: [{ matchId, p1, p2, stake }] } -> one result per match
+  app.post('/match/batch/start', auth.requireScope('create-match'), validateBody(SCHEMAS.MatchBatchStartRequest), async (req, res) => {
+    try {
+      const batch = await batches.startMatches(req.body.matches, { apiKey: req.apiKey.id });
+      res.locals.jobIds = batch.jobs;
+
+      res.status(202).json({ success: true, ...formatBatch(batch), message: 'Match creation batch queued' });
+    } catch (error) {
+      errors.send(res, error, 'Failed to create matches');
+    }
+  });
+
+  // POST /match/batch/result
+  // { results: [{ matchId, outcome, winner, signatures }] } -> one result per match
+  app.post('/match/batch/result', auth.requireScope('commit-result'), validateBody(SCHEMAS.MatchBatchResultRequest), async (req, res) => {
+    try {
+      const batch = await batches.commitResults(req.body.results, { apiKey: req.apiKey.id });
+      res.locals.jobIds = batch.jobs;
+
+      res.status(202).json({ success: true, ...formatBatch(batch), message: 'Result batch queued' });
+    } catch (error) {
+      errors.send(res, error, 'Failed to commit results');
+    }
+  });
+
+  // GET /match/batch/:batchId
+  app.get('/match/batch/:batchId', (req, res) => {
+    const batch = batches.get(req.params.batchId);
+
+    if (!batch) {
+      return errors.send(res, apiError('NOT_FOUND', 'Batch not found'), 'Failed to get batch');
+    }
+
+    res.json(formatBatch(batch));
+  });
+
+  // POST /match/:matchId/refund
+  app.post('/match/:matchId/refund', auth.requireScope('admin'), async (req, res) => {
+    try {
+      const { matchId } = req.params;
+
+      if (!ethers.isHexString(matchId, 32)) {
+        throw fieldError('matchId', 'must be a bytes32 hex string');
+      }
+
+      const { job } = await keeper.refund(matchId, `api:${req.apiKey.id}`);
+      res.locals.jobId = job.id;
+
+      res.status(202).json({
+        success: true,
+        matchId: matchId,
+        jobId: job.id,
+        status: job.status,
+        message: 'Refund queued'
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to refund match');
+    }
+  });
+
+  // POST /match/:matchId/cancel
+  app.post('/match/:matchId/cancel', auth.requireScope('admin'), async (req, res) => {
+    try {
+      const { matchId } = req.params;
+
+      if (!ethers.isHexString(matchId, 32)) {
+        throw fieldError('matchId', 'must be a bytes32 hex string');
+      }
+
+      const { job } = await keeper.cancel(matchId, `api:${req.apiKey.id}`);
+      res.locals.jobId = job.id;
+
+      res.status(202).json({
+        success: true,
+        matchId: matchId,
+        jobId: job.id,
+        status: job.status,
+        message: 'Cancellation queued'
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to cancel match');
+    }
+  });
+
+  // GET /admin/status
+  // Pause state and owner of each pausable contract, the backend operator
+  // and the TokenStore USDT reserve
+  app.get('/admin/status', auth.requireScope('admin'), async (req, res) => {
+    try {
+      const status = await admin.status();
+      res.json({ ...status, reserve: ethers.formatUnits(status.reserve, 6) });
+    } catch (error) {
+      errors.send(res, error, 'Failed to get admin status');
+    }
+  });
+
+  // POST /admin/pause { contract } and POST /admin/unpause { contract }
+  // Refunds, cancellations, results and redemptions are never paused
+  for (const [action, paused] of [['pause', true], ['unpause', false]]) {
+    app.post(`/admin/${action}`, auth.requireScope('admin'), validateBody(SCHEMAS.AdminContractRequest), async (req, res) => {
+      try {
+        const { contract } = req.body;
+
+        const job = await admin.setPaused(contract, paused, req.apiKey.id);
+        res.locals.jobId = job.id;
+
+        res.status(202).json({
+          success: true,
+          contract: contract,
+          jobId: job.id,
+          status: job.status,
+          message: `${paused ? 'Pausing' : 'Unpausing'} ${PAUSABLE[contract]} queued`
+        });
+      } catch (error) {
+        errors.send(res, error, `Failed to ${action}`);
+      }
     });
-  } catch (error) {
-    console.error('Commit result error:', error);
-    res.status(500).json({ error: 'Failed to commit result', details: error.message });
   }
-});
 
-// GET /balance/:address
-app.get('/balance/:address', async (req, res) => {
-  try {
+  // POST /admin/operator { address }
+  // Rotate PlayGame's backend operator (also used by Tournament)
+  app.post('/admin/operator', auth.requireScope('admin'), validateBody(SCHEMAS.AdminOperatorRequest), async (req, res) => {
+    try {
+      const { address } = req.body;
+
+      if (address === ethers.ZeroAddress) {
+        throw fieldError('address', 'must not be the zero address');
+      }
+
+      const operator = ethers.getAddress(address);
+      const job = await admin.rotateOperator(operator, req.apiKey.id);
+      res.locals.jobId = job.id;
+
+      res.status(202).json({
+        success: true,
+        operator: operator,
+        jobId: job.id,
+        status: job.status,
+        message: operator === wallet.address
+          ? 'Operator rotation queued'
+          : 'Operator rotation queued; this API can no longer commit results once it is mined'
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to rotate operator');
+    }
+  });
+
+  // POST /admin/withdraw { amount, to? }
+  // Withdraw USDT from the TokenStore reserve (to the treasury by default)
+  app.post('/admin/withdraw', auth.requireScope('admin'), validateBody(SCHEMAS.AdminWithdrawRequest), async (req, res) => {
+    try {
+      const { amount, to } = req.body;
+      const amountWei = parseAmount(amount, 6);
+
+      if (amountWei === null) {
+        throw fieldError('amount', 'must be a positive USDT amount');
+      }
+
+      if (to === ethers.ZeroAddress) {
+        throw fieldError('to', 'must not be the zero address');
+      }
+
+      const recipient = to === undefined ? await playGame.treasury() : ethers.getAddress(to);
+      const job = await admin.withdraw(recipient, amountWei, req.apiKey.id);
+      res.locals.jobId = job.id;
+
+      res.status(202).json({
+        success: true,
+        to: recipient,
+        amount: ethers.formatUnits(amountWei, 6),
+        jobId: job.id,
+        status: job.status,
+        message: 'Withdrawal queued'
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to withdraw');
+    }
+  });
+
+  // GET /admin/audit?limit=100
+  // Most recent audit log entries, newest first
+  app.get('/admin/audit', auth.requireScope('admin'), (req, res) => {
+    const limit = parseInt(req.query.limit || '100');
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return errors.send(res, fieldError('limit', 'must be between 1 and 1000'), 'Failed to read audit log');
+    }
+
+    res.json({ entries: auditLog.tail(limit) });
+  });
+
+  // GET /tx/:id
+  app.get('/tx/:id', (req, res) => {
+    const job = txManager.get(req.params.id);
+
+    if (!job) {
+      return errors.send(res, apiError('NOT_FOUND', 'Transaction job not found'), 'Failed to get transaction job');
+    }
+
+    res.json(formatTxJob(job));
+  });
+
+  // GET /tx
+  app.get('/tx', (req, res) => {
+    res.json(txManager.status());
+  });
+
+  // POST /tournaments { tournamentId?, size, entryFee, registrationMinutes?, payoutBps? }
+  // Queue a new tournament; payoutBps is [1st, 2nd, each semifinal loser]
+  // and must total 10000 (counting the third-place share twice)
+  app.post('/tournaments', auth.requireScope('create-match'), validateBody(SCHEMAS.TournamentCreateRequest), async (req, res) => {
+    try {
+      const {
+        tournamentId = ethers.hexlify(ethers.randomBytes(32)),
+        size,
+        entryFee,
+        registrationMinutes = 60,
+        payoutBps = DEFAULT_PAYOUT_BPS
+      } = req.body;
+
+      const entryFeeWei = parseAmount(entryFee, 18);
+      if (entryFeeWei === null) {
+        throw fieldError('entryFee', 'must be a positive GT amount');
+      }
+
+      if (payoutBps[0] + payoutBps[1] + 2 * payoutBps[2] !== 10000 || payoutBps[0] < payoutBps[1] || payoutBps[1] < payoutBps[2]) {
+        throw fieldError('payoutBps', 'must be 3 non-increasing shares with 1st + 2nd + 2 × 3rd = 10000');
+      }
+
+      const block = await provider.getBlock('latest');
+      const registrationDeadline = block.timestamp + registrationMinutes * 60;
+
+      const args = [tournamentId, size, entryFeeWei, registrationDeadline, payoutBps];
+      await errors.simulate(tournament, 'createTournament', args);
+
+      const job = txManager.enqueue({
+        contract: 'tournament',
+        method: 'createTournament',
+        args: args,
+        meta: { tournamentId, apiKey: req.apiKey.id }
+      });
+      res.locals.jobId = job.id;
+
+      res.status(202).json({
+        success: true,
+        tournamentId: tournamentId,
+        registrationDeadline: registrationDeadline,
+        jobId: job.id,
+        status: job.status,
+        message: 'Tournament creation queued'
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to create tournament');
+    }
+  });
+
+  // GET /tournaments?page=&limit=
+  app.get('/tournaments', async (req, res) => {
+    try {
+      const pagination = parsePagination(req.query);
+
+      if (!pagination) {
+        throw apiError('VALIDATION_FAILED', 'Invalid pagination (page >= 1, 1 <= limit <= 100)');
+      }
+
+      const { page, limit } = pagination;
+      const { items, total } = await tournaments.list((page - 1) * limit, limit);
+
+      res.json({
+        tournaments: items.map(formatTournament),
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to list tournaments');
+    }
+  });
+
+  // GET /tournaments/:tournamentId
+  // Settings, entrants and the bracket round by round
+  app.get('/tournaments/:tournamentId', async (req, res) => {
+    try {
+      const { tournamentId } = req.params;
+
+      if (!ethers.isHexString(tournamentId, 32)) {
+        throw fieldError('tournamentId', 'must be a bytes32 hex string');
+      }
+
+      res.json(formatTournament(await tournaments.get(tournamentId.toLowerCase())));
+    } catch (error) {
+      errors.send(res, error, 'Failed to get tournament');
+    }
+  });
+
+  // GET /tournaments/:tournamentId/result-payload?matchId=0x...&winner=0x...
+  // EIP-712 typed data the game servers sign for a bracket match result
+  app.get('/tournaments/:tournamentId/result-payload', async (req, res) => {
+    try {
+      const { tournamentId } = req.params;
+      const { matchId, winner } = req.query;
+
+      if (!ethers.isHexString(tournamentId, 32) || !ethers.isHexString(matchId, 32)) {
+        throw apiError('VALIDATION_FAILED', 'tournamentId and matchId must be bytes32 hex strings');
+      }
+
+      if (!winner || !ethers.isAddress(winner)) {
+        throw fieldError('winner', 'must be an Ethereum address');
+      }
+
+      const match = await tournaments.findMatch(tournamentId.toLowerCase(), matchId);
+      const signedWinner = ethers.getAddress(winner);
+
+      if (signedWinner !== match.p1 && signedWinner !== match.p2) {
+        throw fieldError('winner', 'must be one of the match players');
+      }
+
+      res.json({
+        tournamentId: tournamentId,
+        matchId: matchId,
+        winner: signedWinner,
+        threshold: Number(await playGame.resultThreshold()),
+        typedData: await results.payload(matchId, signedWinner)
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to build result payload');
+    }
+  });
+
+  // POST /tournaments/:tournamentId/result { matchId, winner, signatures }
+  // Commit a bracket match result on PlayGame, which reports it to
+  // Tournament: the next round's match is created once both of its feeder
+  // matches are decided, and the final pays out
+  app.post('/tournaments/:tournamentId/result', auth.requireScope('commit-result'), validateBody(SCHEMAS.TournamentResultRequest), async (req, res) => {
+    try {
+      const { tournamentId } = req.params;
+      const { matchId, winner, signatures } = req.body;
+
+      if (!ethers.isHexString(tournamentId, 32)) {
+        throw fieldError('tournamentId', 'must be a bytes32 hex string');
+      }
+
+      const match = await tournaments.findMatch(tournamentId.toLowerCase(), matchId);
+      const signedWinner = ethers.getAddress(winner);
+
+      if (match.winner !== ethers.ZeroAddress) {
+        throw apiError('RESULT_ALREADY_COMMITTED', 'Result already committed');
+      }
+
+      if (signedWinner !== match.p1 && signedWinner !== match.p2) {
+        throw fieldError('winner', 'must be one of the match players');
+      }
+
+      const verified = await results.verify(matchId, signedWinner, signatures);
+      const args = [matchId, signedWinner, verified.signatures];
+      await errors.simulate(playGame, 'commitResult', args);
+
+      const job = txManager.enqueue({
+        contract: 'playGame',
+        method: 'commitResult',
+        args: args,
+        meta: { tournamentId, matchId, winner: signedWinner, signers: verified.signers, apiKey: req.apiKey.id }
+      });
+      res.locals.jobId = job.id;
+
+      res.status(202).json({
+        success: true,
+        tournamentId: tournamentId,
+        matchId: matchId,
+        round: Number(match.round),
+        winner: signedWinner,
+        jobId: job.id,
+        status: job.status,
+        message: 'Result submission queued'
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to commit result');
+    }
+  });
+
+  // POST /tournaments/:tournamentId/cancel
+  // Refund every entrant during registration. A running bracket is
+  // cancelled on chain when the keeper refunds one of its timed-out matches
+  app.post('/tournaments/:tournamentId/cancel', auth.requireScope('admin'), async (req, res) => {
+    try {
+      const { tournamentId } = req.params;
+
+      if (!ethers.isHexString(tournamentId, 32)) {
+        throw fieldError('tournamentId', 'must be a bytes32 hex string');
+      }
+
+      const details = await tournaments.get(tournamentId.toLowerCase());
+      if (details.status === 'RUNNING') {
+        throw apiError('REGISTRATION_CLOSED', 'Tournament is running; it is cancelled if one of its matches times out');
+      }
+      if (details.status !== 'REGISTERING') {
+        throw apiError('TOURNAMENT_CLOSED', `Tournament is already ${details.status.toLowerCase()}`);
+      }
+
+      await errors.simulate(tournament, 'cancel', [tournamentId]);
+
+      const job = txManager.enqueue({
+        contract: 'tournament',
+        method: 'cancel',
+        args: [tournamentId],
+        meta: { tournamentId, apiKey: req.apiKey.id }
+      });
+      res.locals.jobId = job.id;
+
+      res.status(202).json({
+        success: true,
+        tournamentId: tournamentId,
+        jobId: job.id,
+        status: job.status,
+        message: 'Tournament cancellation queued'
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to cancel tournament');
+    }
+  });
+
+  // GET /keeper/status
+  app.get('/keeper/status', (req, res) => {
+    res.json(keeper.status());
+  });
+
+  // GET /players/:address?status=&page=&limit=
+  // Public profile: match history from the player's side, matches still
+  // awaiting their stake, recent purchases and net profit/loss in GT
+  app.get('/players/:address', async (req, res) => {
+    try {
+      const { address: rawAddress } = req.params;
+      const { status } = req.query;
+      const pagination = parsePagination(req.query);
+
+      if (!ethers.isAddress(rawAddress)) {
+        throw fieldError('address', 'must be an Ethereum address');
+      }
+
+      if (!pagination) {
+        throw apiError('VALIDATION_FAILED', 'Invalid pagination (page >= 1, 1 <= limit <= 100)');
+      }
+
+      if (status && !MATCH_STATUSES.includes(status.toUpperCase())) {
+        throw fieldError('status', `must be one of ${MATCH_STATUSES.join(', ')}`);
+      }
+
+      const address = ethers.getAddress(rawAddress);
+      const history = indexer.getMatches({ player: address }).map(match => formatPlayerMatch(match, address));
+      const purchases = indexer.getPurchases({ buyer: address });
+      const balance = await gameToken.balanceOf(address);
+      const { rank, rating, deviation, provisional } = ratings.getPlayer(address);
+
+      const count = outcome => history.filter(match => match.outcome === outcome).length;
+      const sumWei = (items, field) => items.reduce((total, item) => total + BigInt(item[field]), 0n);
+      const finished = history.filter(match => match.net !== null);
+      const netProfit = finished.reduce((total, match) => total + ethers.parseUnits(match.net, 18), 0n);
+      const filtered = status ? history.filter(match => match.status === status.toUpperCase()) : history;
+      const { items, pagination: pageInfo } = paginate(filtered, pagination);
+
+      res.json({
+        address: address,
+        balance: ethers.formatUnits(balance, 18),
+        summary: {
+          // Only matches that finished with a result; pending, unstaked,
+          // refunded and cancelled ones are counted below
+          matchesPlayed: history.filter(match => match.status === 'SETTLED' || match.status === 'DRAWN').length,
+          wins: count('won'),
+          losses: count('lost'),
+          draws: count('draw'),
+          refunds: count('refunded') + history.filter(match => match.outcome === 'cancelled' && match.staked).length,
+          inProgress: count('in-progress') + count('awaiting-opponent'),
+          awaitingStake: count('awaiting-stake'),
+          netProfit: ethers.formatUnits(netProfit, 18),
+          purchases: purchases.length,
+          gtPurchased: ethers.formatUnits(sumWei(purchases, 'gtOut'), 18),
+          usdtSpent: ethers.formatUnits(sumWei(purchases, 'usdtAmount'), 6)
+        },
+        rating: { rank, rating, deviation, provisional },
+        awaitingStake: history.filter(match => match.outcome === 'awaiting-stake'),
+        matches: items,
+        pagination: pageInfo,
+        // Latest purchases; the full list is at /purchases?buyer=
+        purchases: purchases.slice(0, 20).map(formatPurchase),
+        indexedBlock: indexer.status().lastBlock
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to get player profile');
+    }
+  });
+
+  // GET /ratings?top=N
+  // Players ranked by conservative skill rating (rating - 2 × deviation)
+  app.get('/ratings', (req, res) => {
+    const top = parseInt(req.query.top || '20');
+
+    if (!Number.isInteger(top) || top < 1 || top > 100) {
+      return errors.send(res, fieldError('top', 'must be between 1 and 100'), 'Failed to get ratings');
+    }
+
+    res.json({
+      ratings: ratings.getTop(top),
+      ...ratings.stats(),
+      indexedBlock: indexer.status().lastBlock
+    });
+  });
+
+  // GET /ratings/match/:matchId
+  // Rating change each player got from one finished match
+  app.get('/ratings/match/:matchId', (req, res) => {
+    const { matchId } = req.params;
+
+    if (!ethers.isHexString(matchId, 32)) {
+      return errors.send(res, fieldError('matchId', 'must be a bytes32 hex string'), 'Failed to get rating change');
+    }
+
+    const change = ratings.getMatchChange(matchId.toLowerCase());
+    if (!change) {
+      return errors.send(res, apiError('NOT_FOUND', 'No rating change for this match (not finished or not indexed yet)'), 'Failed to get rating change');
+    }
+
+    res.json(change);
+  });
+
+  // GET /ratings/:address?page=&limit=
+  // Current rating and deviation, with the rating change per match
+  app.get('/ratings/:address', (req, res) => {
     const { address } = req.params;
-    
+    const pagination = parsePagination(req.query);
+
     if (!ethers.isAddress(address)) {
-      return res.status(400).json({ error: 'Invalid address' });
+      return errors.send(res, fieldError('address', 'must be an Ethereum address'), 'Failed to get rating');
     }
-    
-    const balance = await gameToken.balanceOf(address);
-    
+
+    if (!pagination) {
+      return errors.send(res, apiError('VALIDATION_FAILED', 'Invalid pagination (page >= 1, 1 <= limit <= 100)'), 'Failed to get rating');
+    }
+
+    const { changes, ...player } = ratings.getPlayer(address);
+    const { items, pagination: pageInfo } = paginate(changes, pagination);
+
+    res.json({ ...player, changes: items, pagination: pageInfo, indexedBlock: indexer.status().lastBlock });
+  });
+
+  // GET /balance/:address
+  app.get('/balance/:address', async (req, res) => {
+    try {
+      const { address } = req.params;
+
+      if (!ethers.isAddress(address)) {
+        throw fieldError('address', 'must be an Ethereum address');
+      }
+
+      const balance = await gameToken.balanceOf(address);
+
+      res.json({
+        address: address,
+        balance: ethers.formatUnits(balance, 18),
+        balanceWei: balance.toString()
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to get balance');
+    }
+  });
+
+  // GET /match/:matchId
+  app.get('/match/:matchId', async (req, res) => {
+    try {
+      const { matchId } = req.params;
+
+      if (!ethers.isHexString(matchId, 32)) {
+        throw fieldError('matchId', 'must be a bytes32 hex string');
+      }
+
+      const match = await playGame.matches(matchId);
+      if (match.p1 === ethers.ZeroAddress) {
+        throw apiError('MATCH_NOT_FOUND', 'Match does not exist');
+      }
+
+      // Pot split under the rake snapshotted when the match was created
+      const pot = match.stake * 2n;
+      const fee = (pot * match.rakeBps) / 10000n;
+
+      res.json({
+        matchId: matchId,
+        p1: match.p1,
+        p2: match.p2,
+        stake: ethers.formatUnits(match.stake, 18),
+        startTime: match.startTime.toString(),
+        createdAt: match.createdAt.toString(),
+        status: MATCH_STATUSES[match.status],
+        p1Staked: match.p1Staked,
+        p2Staked: match.p2Staked,
+        rakeBps: Number(match.rakeBps),
+        pot: ethers.formatUnits(pot, 18),
+        fee: ethers.formatUnits(fee, 18),
+        netPayout: ethers.formatUnits(pot - fee, 18)
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to get match info');
+    }
+  });
+
+  // GET /matches?player=&status=&from=&to=&page=&limit=
+  app.get('/matches', (req, res) => {
+    const { player, status, from, to } = req.query;
+    const pagination = parsePagination(req.query);
+
+    if (!pagination) {
+      return errors.send(res, apiError('VALIDATION_FAILED', 'Invalid pagination (page >= 1, 1 <= limit <= 100)'), 'Failed to list matches');
+    }
+
+    if (player && !ethers.isAddress(player)) {
+      return errors.send(res, fieldError('player', 'must be an Ethereum address'), 'Failed to list matches');
+    }
+
+    if (status && !MATCH_STATUSES.includes(status.toUpperCase())) {
+      return errors.send(res, fieldError('status', `must be one of ${MATCH_STATUSES.join(', ')}`), 'Failed to list matches');
+    }
+
+    const fromTime = from === undefined ? undefined : parseInt(from);
+    const toTime = to === undefined ? undefined : parseInt(to);
+
+    if ((from !== undefined && isNaN(fromTime)) || (to !== undefined && isNaN(toTime))) {
+      return errors.send(res, apiError('VALIDATION_FAILED', 'from and to must be unix timestamps'), 'Failed to list matches');
+    }
+
+    const matches = indexer.getMatches({
+      player,
+      status: status && status.toUpperCase(),
+      from: fromTime,
+      to: toTime
+    });
+    const { items, pagination: pageInfo } = paginate(matches, pagination);
+
     res.json({
-      address: address,
-      balance: ethers.formatUnits(balance, 18),
-      balanceWei: balance.toString()
+      matches: items.map(formatIndexedMatch),
+      pagination: pageInfo,
+      indexedBlock: indexer.status().lastBlock
     });
-  } catch (error) {
-    console.error('Balance check error:', error);
-    res.status(500).json({ error: 'Failed to get balance', details: error.message });
-  }
-});
+  });
+
+  // GET /purchases?buyer=&page=&limit=
+  app.get('/purchases', (req, res) => {
+    const { buyer } = req.query;
+    const pagination = parsePagination(req.query);
+
+    if (!pagination) {
+      return errors.send(res, apiError('VALIDATION_FAILED', 'Invalid pagination (page >= 1, 1 <= limit <= 100)'), 'Failed to list purchases');
+    }
+
+    if (buyer && !ethers.isAddress(buyer)) {
+      return errors.send(res, fieldError('buyer', 'must be an Ethereum address'), 'Failed to list purchases');
+    }
+
+    const { items, pagination: pageInfo } = paginate(indexer.getPurchases({ buyer }), pagination);
 
-// GET /match/:matchId
-app.get('/match/:matchId', async (req, res) => {
-  try {
-    const { matchId } = req.params;
-    
-    const match = await playGame.matches(matchId);
-    
-    const statusNames = ['PENDING', 'STAKED', 'SETTLED', 'REFUNDED'];
-    
     res.json({
-      matchId: matchId,
-      p1: match.p1,
-      p2: match.p2,
-      stake: ethers.formatUnits(match.stake, 18),
-      startTime: match.startTime.toString(),
-      status: statusNames[match.status],
-      p1Staked: match.p1Staked,
-      p2Staked: match.p2Staked
+      purchases: items.map(formatPurchase),
+      pagination: pageInfo,
+      indexedBlock: indexer.status().lastBlock
     });
+  });
+
+  // GET /treasury?interval=day|week
+  // Platform rake collected from settled matches, bucketed over time
+  app.get('/treasury', async (req, res) => {
+    try {
+      const { interval = 'day' } = req.query;
+      const bucketSeconds = TREASURY_INTERVALS[interval];
+
+      if (!bucketSeconds) {
+        throw fieldError('interval', `must be one of ${Object.keys(TREASURY_INTERVALS).join(', ')}`);
+      }
+
+      const [treasury, rakeBps, maxRakeBps] = await Promise.all([
+        playGame.treasury(),
+        playGame.rakeBps(),
+        playGame.MAX_RAKE_BPS()
+      ]);
+      const treasuryBalance = await gameToken.balanceOf(treasury);
+
+      const buckets = new Map();
+      let totalFees = 0n;
+      let settledMatches = 0;
+
+      for (const match of indexer.getMatches({ status: 'SETTLED' })) {
+        const fee = BigInt(match.fee || 0);
+        const periodStart = Math.floor(match.updatedAt / bucketSeconds) * bucketSeconds;
+        const bucket = buckets.get(periodStart) || { fees: 0n, matches: 0 };
+        bucket.fees += fee;
+        bucket.matches += 1;
+        buckets.set(periodStart, bucket);
+        totalFees += fee;
+        settledMatches += 1;
+      }
+
+      res.json({
+        treasury: treasury,
+        treasuryBalance: ethers.formatUnits(treasuryBalance, 18),
+        rakeBps: Number(rakeBps),
+        maxRakeBps: Number(maxRakeBps),
+        totalFees: ethers.formatUnits(totalFees, 18),
+        totalFeesWei: totalFees.toString(),
+        settledMatches: settledMatches,
+        interval: interval,
+        history: [...buckets.entries()]
+          .sort(([a], [b]) => a - b)
+          .map(([periodStart, bucket]) => ({
+            periodStart: new Date(periodStart * 1000).toISOString(),
+            fees: ethers.formatUnits(bucket.fees, 18),
+            feesWei: bucket.fees.toString(),
+            matches: bucket.matches
+          })),
+        indexedBlock: indexer.status().lastBlock
+      });
+    } catch (error) {
+      errors.send(res, error, 'Failed to get treasury report');
+    }
+  });
+
+  // GET /stream?match=0x...&address=0x...&leaderboard=true
+  // Server-Sent Events: `match`, `balance` and `leaderboard` updates for the
+  // given matches and addresses (repeat or comma-separate the parameters)
+  app.get('/stream', stream.handler);
+
+  // GET /indexer/status
+  app.get('/indexer/status', (req, res) => {
+    res.json(indexer.status());
+  });
+
+  // POST /revert/decode { data: "0x..." }
+  // Readable reason for revert data from a failed player transaction
+  app.post('/revert/decode', validateBody(SCHEMAS.RevertDecodeRequest), (req, res) => {
+    const { data } = req.body;
+
+    const decoded = decodeRevert(deployment, data);
+    if (!decoded) {
+      return errors.send(res, apiError('NOT_FOUND', `Unknown error selector ${data.slice(0, 10)}`), 'Failed to decode revert data');
+    }
+
+    res.json({ ...decoded, code: codeForReason(decoded.reason) });
+  });
+
+  // GET /deployment
+  // The deployment manifest (addresses, ABIs, wiring), re-verified against
+  // the chain so clients can refuse to run against a mismatched deployment
+  app.get('/deployment', async (req, res) => {
+    try {
+      const verification = await verifyDeployment(deployment, provider);
+
+      res.json({ ...deployment, verification });
+    } catch (error) {
+      errors.send(res, error, 'Failed to verify deployment');
+    }
+  });
+
+  // Health check
+  app.get('/health', (req, res) => {
+    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  });
+
+  // GET /openapi.json
+  // OpenAPI 3.1 description of every route (built from openapi.js)
+  app.get('/openapi.json', (req, res) => {
+    res.json(buildSpec({ serverUrl: `${req.protocol}://${req.get('host')}` }));
+  });
+
+  // GET /client.js
+  // The JavaScript client generated from the spec, for <script> tags
+  app.get('/client.js', (req, res) => {
+    res.type('application/javascript').sendFile(path.join(__dirname, 'client', 'index.js'));
+  });
+
+  // Unknown routes
+  app.use((req, res) => {
+    errors.send(res, apiError('ROUTE_NOT_FOUND', `No route for ${req.method} ${req.path}`), 'Not found');
+  });
+
+  // Malformed or oversized JSON bodies, and anything a route didn't catch
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return errors.send(res, apiError('INVALID_JSON', error.message), 'Invalid JSON body');
+    }
+    if (error.type === 'entity.too.large') {
+      return errors.send(res, apiError('PAYLOAD_TOO_LARGE', error.message), 'Request body too large');
+    }
+    errors.send(res, error, 'Request failed');
+  });
+
+  let server = null;
+
+  function start(port = PORT) {
+    return new Promise((resolve, reject) => {
+      server = app.listen(port, () => {
+        const address = server.address();
+        console.log(`🚀 Wesee Game API running on port ${address.port}`);
+        if (manifestFile) {
+          console.log(`📒 Deployment: ${manifestFile}`);
+        }
+        console.log(`🎮 Game Token: ${gameToken.target}`);
+        console.log(`🏪 Token Store: ${tokenStore.target}`);
+        console.log(`🎯 Play Game: ${playGame.target}`);
+        console.log(`🏆 Tournament: ${tournament.target}`);
+
+        purchases.resume();
+        stream.start();
+        matchmaker.start();
+        batches.resume();
+        relay.resume();
+        txManager.start().catch(error => {
+          console.error('Tx manager start error:', error.message);
+        });
+        indexer.start().then(() => {
+          if (server === null) {
+            return;
+          }
+          console.log(`📦 Indexer synced to block ${indexer.status().lastBlock}`);
+
+          if (process.env.KEEPER_ENABLED !== 'false') {
+            keeper.start();
+            console.log('♻️  Refund keeper started');
+          }
+        });
+
+        resolve(address);
+      });
+      server.on('error', reject);
+    });
+  }
+
+  async function stop() {
+    keeper.stop();
+    indexer.stop();
+    matchmaker.stop();
+    stream.stop();
+    txManager.stop();
+
+    if (server) {
+      await new Promise(resolve => {
+        server.close(resolve);
+        server.closeAllConnections();
+      });
+      server = null;
+    }
+    provider.destroy();
+  }
+
+  return { app, start, stop };
+}
+
+/**
+ * Check the chain against the deployment manifest, then start the API
+ * on `port`. Rejects, without listening, if the chain does not match;
+ * `options` are passed to createServer.
+ */
+async function startServer({ port = PORT, provider, deployment, manifestFile = null, ...options }) {
+  const verification = await verifyDeployment(deployment, provider);
+  if (!verification.ok) {
+    const source = manifestFile ? `the deployment manifest ${manifestFile}` : 'the deployment manifest';
+    throw new Error(`Chain does not match ${source}:\n${verification.problems.map(problem => `   - ${problem}`).join('\n')}`);
+  }
+
+  const server = createServer({ provider, deployment, manifestFile, ...options });
+  const address = await server.start(port);
+  return { server, address };
+}
+
+/**
+ * Dev/test mode: boot an in-process Hardhat chain with the contracts
+ * deployed and players funded (see devChain.js), then start the API on it
+ * with a fresh data directory (the indexer and job stores of another chain
+ * would not match). Resolves to the API `url`, the `chain` (RPC URL,
+ * deployment, funded players) and `stop()`, which shuts both down.
+ * `apiKeys` ([{ id, secret, scopes }]) replaces API_KEYS_FILE, for tests.
+ * Nothing is written to process.env, so tests can run several of these.
+ */
+async function startDevServer({ port = 0, chainPort = 0, players, apiKeys } = {}) {
+  const { startDevChain } = require('./devChain');
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wesee-api-'));
+  const options = { dataDir, auditLogFile: path.join(dataDir, 'audit.log') };
+  if (apiKeys) {
+    options.keysFile = path.join(dataDir, 'api-keys.json');
+    fs.writeFileSync(options.keysFile, JSON.stringify({ keys: apiKeys }, null, 2));
+  }
+
+  const chain = await startDevChain({ port: chainPort, players });
+  const provider = new ethers.JsonRpcProvider(chain.rpcUrl);
+  const wallet = new ethers.Wallet(chain.operatorKey, provider);
+  const { server, address } = await startServer({ port, provider, wallet, deployment: chain.deployment, ...options });
+
+  return {
+    url: `http://127.0.0.1:${address.port}`,
+    chain,
+    server,
+    dataDir,
+    async stop() {
+      await server.stop();
+      await chain.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// `node server.js`: the chain, operator key and manifest from .env, or a
+// fresh in-process chain with DEV_CHAIN=true
+async function main() {
+  if (process.env.DEV_CHAIN === 'true') {
+    const dev = await startDevServer({
+      port: PORT,
+      chainPort: parseInt(process.env.DEV_CHAIN_PORT || '8545'),
+      players: parseInt(process.env.DEV_CHAIN_PLAYERS || '4')
+    });
+    const { chain } = dev;
+    console.log(`⛓️  Dev chain at ${chain.rpcUrl} (chain ${chain.deployment.chainId})`);
+    chain.players.forEach(player => console.log(`👤 Player ${player.address} ${player.privateKey}`));
+    console.log(`💾 Data: ${dev.dataDir} (removed on exit)`);
+
+    process.on('SIGINT', () => dev.stop().then(() => process.exit(0)));
+    process.on('SIGTERM', () => dev.stop().then(() => process.exit(0)));
+    return;
+  }
+
+  // Addresses and full ABIs come from the manifest written by deploy.js;
+  // it is checked against the chain before the server starts listening
+  const DEPLOYMENT_FILE = process.env.DEPLOYMENT_FILE || deploymentFile(process.env.CHAIN_ID || '1337');
+  let deployment;
+  try {
+    deployment = loadDeployment(DEPLOYMENT_FILE);
   } catch (error) {
-    console.error('Match info error:', error);
-    res.status(500).json({ error: 'Failed to get match info', details: error.message });
-  }
-});
-
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
-});
-
-app.listen(PORT, () => {
-  console.log(`🚀 Wesee Game API running on port ${PORT}`);
-  console.log(`📡 Connected to blockchain at ${process.env.RPC_URL}`);
-  console.log(`🎮 Game Token: ${process.env.GAME_TOKEN_ADDRESS}`);
-  console.log(`🏪 Token Store: ${process.env.TOKEN_STORE_ADDRESS}`);
-  console.log(`🎯 Play Game: ${process.env.PLAY_GAME_ADDRESS}`);
-});
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+  const wallet = new ethers.Wallet(process.env.BACKEND_PRIVATE_KEY, provider);
+
+  console.log(`📡 Connecting to blockchain at ${process.env.RPC_URL}`);
+  await startServer({ provider, wallet, deployment, manifestFile: DEPLOYMENT_FILE });
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Could not start the API:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createServer, startServer, startDevServer };
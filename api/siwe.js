@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { createStore } = require('./store');
+const { apiError, httpError, sendError } = require('./errors');
+
+const COOKIE_NAME = 'wesee_session';
+const NONCE_TTL_MS = 5 * 60 * 1000;
+// Outstanding nonces kept at most; past this the oldest is dropped
+const MAX_NONCES = 10000;
+const CLOCK_SKEW_MS = 60 * 1000;
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+function invalid(message) {
+  return httpError(message, 401);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Build an EIP-4361 message (used by clients without a SIWE library)
+function buildSiweMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+  const lines = [`${domain}${HEADER_SUFFIX}`, address, ''];
+  if (statement) {
+    lines.push(statement, '');
+  }
+  lines.push(
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt || new Date().toISOString()}`
+  );
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+  return lines.join('\n');
+}
+
+// Parse an EIP-4361 message into its fields, or throw a 401 error
+function parseSiweMessage(message) {
+  if (typeof message !== 'string') {
+    throw invalid('Missing SIWE message');
+  }
+
+  const lines = message.split('\n');
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) {
+    throw invalid('Malformed SIWE message header');
+  }
+
+  const fields = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1]
+  };
+
+  const uriLine = lines.findIndex(line => line.startsWith('URI: '));
+  if (uriLine === -1) {
+    throw invalid('SIWE message is missing a URI');
+  }
+  fields.statement = lines.slice(2, uriLine).join('\n').trim() || null;
+
+  const names = {
+    'URI': 'uri',
+    'Version': 'version',
+    'Chain ID': 'chainId',
+    'Nonce': 'nonce',
+    'Issued At': 'issuedAt',
+    'Expiration Time': 'expirationTime',
+    'Not Before': 'notBefore',
+    'Request ID': 'requestId'
+  };
+  for (const line of lines.slice(uriLine)) {
+    const separator = line.indexOf(': ');
+    const name = names[line.slice(0, separator)];
+    if (separator !== -1 && name) {
+      fields[name] = line.slice(separator + 2);
+    }
+  }
+
+  if (!ethers.isAddress(fields.address) || fields.address !== ethers.getAddress(fields.address)) {
+    throw invalid('SIWE address must be an EIP-55 checksummed address');
+  }
+  if (fields.version !== '1') {
+    throw invalid('Unsupported SIWE version');
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce || '')) {
+    throw invalid('Invalid SIWE nonce');
+  }
+  if (!fields.issuedAt || isNaN(Date.parse(fields.issuedAt))) {
+    throw invalid('Invalid SIWE Issued At');
+  }
+
+  return fields;
+}
+
+function readCookie(req, name) {
+  const header = req.get('Cookie') || '';
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+/**
+ * Sign-In With Ethereum (EIP-4361) sessions for players. A client fetches
+ * a single-use nonce, has the wallet sign a SIWE message containing it,
+ * and trades message + signature for a session token. The token is set
+ * as an HttpOnly cookie and also returned in the body for clients that
+ * can't use cookies (e.g. a page served from another origin), which send
+ * it as `Authorization: Bearer <token>`. Only token hashes are persisted.
+ */
+function createSiweAuth({ provider, domains, sessionTtlSeconds = 86400, secureCookie = false, maxNonces = MAX_NONCES, dataDir }) {
+  const store = createStore('sessions', { sessions: {} }, dataDir);
+  const nonces = new Map(); // nonce => expiry (ms), oldest first
+  let chainId = null;
+
+  async function getChainId() {
+    if (chainId === null) {
+      chainId = (await provider.getNetwork()).chainId.toString();
+    }
+    return chainId;
+  }
+
+  function pruneExpired(now) {
+    // Every nonce gets the same TTL, so the expired ones are at the front
+    for (const [nonce, expiry] of nonces) {
+      if (expiry > now) break;
+      nonces.delete(nonce);
+    }
+
+    let changed = false;
+    for (const [key, session] of Object.entries(store.data.sessions)) {
+      if (Date.parse(session.expiresAt) <= now) {
+        delete store.data.sessions[key];
+        changed = true;
+      }
+    }
+    if (changed) store.save();
+  }
+
+  function createNonce() {
+    pruneExpired(Date.now());
+    if (nonces.size >= maxNonces) {
+      nonces.delete(nonces.keys().next().value);
+    }
+
+    const nonce = crypto.randomBytes(12).toString('hex');
+    nonces.set(nonce, Date.now() + NONCE_TTL_MS);
+    return nonce;
+  }
+
+  async function verify(message, signature) {
+    const fields = parseSiweMessage(message);
+    const now = Date.now();
+
+    // Nonces are single use: burn it whether or not the rest checks out
+    const nonceExpiry = nonces.get(fields.nonce);
+    nonces.delete(fields.nonce);
+    if (!nonceExpiry || nonceExpiry <= now) {
+      throw invalid('Unknown or expired nonce');
+    }
+
+    if (!domains.includes(fields.domain)) {
+      throw invalid(`Domain ${fields.domain} is not allowed`);
+    }
+    if (fields.chainId !== await getChainId()) {
+      throw invalid(`Wrong chain (expected Chain ID ${await getChainId()})`);
+    }
+    if (Date.parse(fields.issuedAt) > now + CLOCK_SKEW_MS) {
+      throw invalid('SIWE message is issued in the future');
+    }
+    if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+      throw invalid('SIWE message has expired');
+    }
+    if (fields.notBefore && Date.parse(fields.notBefore) > now + CLOCK_SKEW_MS) {
+      throw invalid('SIWE message is not valid yet');
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw invalid('Invalid signature');
+    }
+    if (signer !== fields.address) {
+      throw invalid('Signature does not match the SIWE address');
+    }
+
+    const ttlMs = sessionTtlSeconds * 1000;
+    const expiresAt = fields.expirationTime
+      ? Math.min(Date.parse(fields.expirationTime), now + ttlMs)
+      : now + ttlMs;
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = {
+      address: fields.address,
+      chainId: fields.chainId,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+
+    store.data.sessions[hashToken(token)] = session;
+    store.save();
+
+    return { token, session };
+  }
+
+  function tokenFrom(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) {
+      return header.slice('Bearer '.length).trim();
+    }
+    return readCookie(req, COOKIE_NAME);
+  }
+
+  function getSession(req) {
+    const token = tokenFrom(req);
+    if (!token) return null;
+
+    const session = store.data.sessions[hashToken(token)];
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) {
+      return null;
+    }
+    return session;
+  }
+
+  function destroy(req) {
+    const token = tokenFrom(req);
+    if (token && store.data.sessions[hashToken(token)]) {
+      delete store.data.sessions[hashToken(token)];
+      store.save();
+    }
+  }
+
+  function setCookie(res, token, expiresAt) {
+    const maxAge = Math.max(0, Math.floor((Date.parse(expiresAt) - Date.now()) / 1000));
+    res.append('Set-Cookie', `${COOKIE_NAME}=${token}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secureCookie ? '; Secure' : ''}`);
+  }
+
+  function clearCookie(res) {
+    res.append('Set-Cookie', `${COOKIE_NAME}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax${secureCookie ? '; Secure' : ''}`);
+  }
+
+  // Express middleware: reject unless the request carries a live session
+  function requireSession(req, res, next) {
+    const session = getSession(req);
+    if (!session) {
+      return sendError(res, apiError('UNAUTHORIZED', 'Sign in with Ethereum first (GET /auth/nonce, POST /auth/verify)'), 'Unauthorized');
+    }
+
+    req.session = session;
+    next();
+  }
+
+  return { createNonce, verify, getSession, destroy, setCookie, clearCookie, requireSession };
+}
+
+module.exports = { createSiweAuth, buildSiweMessage, parseSiweMessage };
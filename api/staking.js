@@ -0,0 +1,195 @@
+const { ethers } = require('ethers');
+const { createStore } = require('./store');
+const { apiError } = require('./errors');
+const { feeFields } = require('./txManager');
+
+const STATUS_PENDING = 0n;
+const APPROVE_GAS_FALLBACK = 80000n;
+const STAKE_GAS_FALLBACK = 150000n;
+const DAY_SECONDS = 86400;
+const PERMIT_TTL_SECONDS = 900n;
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * Player-signed staking. Prepares the unsigned `GameToken.approve` and
+ * `PlayGame.stake` transactions for the signed-in player, after checking
+ * the match on chain and the player's self-imposed stake limits
+ * (per-match maximum and rolling 24h total). For gasless staking it
+ * builds the EIP-2612 permit the player signs instead (see relay.js).
+ */
+function createStakingService({ provider, gameToken, playGame, indexer, dataDir }) {
+  const store = createStore('player-limits', { limits: {} }, dataDir);
+
+  function getLimits(address) {
+    return store.data.limits[address] || { maxStakePerMatch: null, dailyStakeLimit: null, updatedAt: null };
+  }
+
+  // Limits are GT amounts in wei (strings); null removes a limit
+  function setLimits(address, { maxStakePerMatch, dailyStakeLimit }) {
+    const limits = {
+      maxStakePerMatch: maxStakePerMatch === null ? null : maxStakePerMatch.toString(),
+      dailyStakeLimit: dailyStakeLimit === null ? null : dailyStakeLimit.toString(),
+      updatedAt: new Date().toISOString()
+    };
+    store.data.limits[address] = limits;
+    store.save();
+    return limits;
+  }
+
+  // Total GT the player has staked since `since` (unix seconds)
+  function stakedSince(address, since) {
+    return indexer.getEvents()
+      .filter(event => event.name === 'Staked' && event.args.player === address && event.timestamp >= since)
+      .reduce((total, event) => {
+        const match = indexer.getMatch(event.args.matchId);
+        return match ? total + BigInt(match.stake) : total;
+      }, 0n);
+  }
+
+  function checkLimits(address, stake) {
+    const limits = getLimits(address);
+
+    if (limits.maxStakePerMatch !== null && stake > BigInt(limits.maxStakePerMatch)) {
+      throw apiError('STAKE_LIMIT_EXCEEDED', `Stake exceeds your per-match limit of ${ethers.formatUnits(limits.maxStakePerMatch, 18)} GT`);
+    }
+
+    if (limits.dailyStakeLimit !== null) {
+      const staked = stakedSince(address, Math.floor(Date.now() / 1000) - DAY_SECONDS);
+      if (staked + stake > BigInt(limits.dailyStakeLimit)) {
+        throw apiError('STAKE_LIMIT_EXCEEDED', `Stake would exceed your 24h limit of ${ethers.formatUnits(limits.dailyStakeLimit, 18)} GT (${ethers.formatUnits(staked, 18)} GT already staked)`);
+      }
+    }
+  }
+
+  async function estimateGas(tx, fallback) {
+    try {
+      return await provider.estimateGas(tx);
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  // The on-chain match checks plus the player's limits and GT balance;
+  // returns the match and its stake deadline
+  async function checkStake(address, matchId) {
+    if (await playGame.paused()) {
+      throw apiError('PAUSED', 'Staking is paused');
+    }
+
+    const match = await playGame.matches(matchId);
+
+    if (match.p1 === ethers.ZeroAddress) {
+      throw apiError('MATCH_NOT_FOUND', 'Match not found');
+    }
+    if (match.status !== STATUS_PENDING) {
+      throw apiError('MATCH_NOT_PENDING', 'Match is not waiting for stakes');
+    }
+    if (address !== match.p1 && address !== match.p2) {
+      throw apiError('NOT_A_PLAYER', 'Not a player in this match');
+    }
+    if ((address === match.p1 && match.p1Staked) || (address === match.p2 && match.p2Staked)) {
+      throw apiError('ALREADY_STAKED', 'Already staked');
+    }
+
+    const [block, stakeTimeout] = await Promise.all([
+      provider.getBlock('latest'),
+      playGame.STAKE_TIMEOUT_DURATION()
+    ]);
+    const stakeDeadline = match.createdAt + stakeTimeout;
+    if (BigInt(block.timestamp) >= stakeDeadline) {
+      throw apiError('DEADLINE_PASSED', 'Stake deadline passed');
+    }
+
+    checkLimits(address, match.stake);
+
+    const balance = await gameToken.balanceOf(address);
+    if (balance < match.stake) {
+      throw apiError('INSUFFICIENT_BALANCE', `Insufficient GT balance (need ${ethers.formatUnits(match.stake, 18)} GT)`);
+    }
+
+    return { match, stakeDeadline, now: BigInt(block.timestamp) };
+  }
+
+  // EIP-2612 permit typed data letting PlayGame pull exactly the stake;
+  // it expires with the match's stake deadline at the latest
+  async function permitPayload(address, matchId) {
+    const { match, stakeDeadline, now } = await checkStake(address, matchId);
+    const [, name, version, chainId, verifyingContract] = await gameToken.eip712Domain();
+    const deadline = now + PERMIT_TTL_SECONDS < stakeDeadline ? now + PERMIT_TTL_SECONDS : stakeDeadline - 1n;
+
+    return {
+      stake: match.stake,
+      typedData: {
+        domain: { name, version, chainId: chainId.toString(), verifyingContract },
+        types: PERMIT_TYPES,
+        primaryType: 'Permit',
+        message: {
+          owner: address,
+          spender: await playGame.getAddress(),
+          value: match.stake.toString(),
+          nonce: (await gameToken.nonces(address)).toString(),
+          deadline: deadline.toString()
+        }
+      }
+    };
+  }
+
+  async function prepare(address, matchId) {
+    const { match } = await checkStake(address, matchId);
+
+    const gameAddress = await playGame.getAddress();
+    const tokenAddress = await gameToken.getAddress();
+    const [network, nonce, feeData, allowance] = await Promise.all([
+      provider.getNetwork(),
+      provider.getTransactionCount(address, 'pending'),
+      provider.getFeeData(),
+      gameToken.allowance(address, gameAddress)
+    ]);
+
+    const base = {
+      from: address,
+      chainId: network.chainId.toString(),
+      value: '0',
+      ...feeFields(feeData)
+    };
+
+    const transactions = [];
+    let nextNonce = nonce;
+
+    if (allowance < match.stake) {
+      const data = gameToken.interface.encodeFunctionData('approve', [gameAddress, match.stake]);
+      const gasLimit = await estimateGas({ from: address, to: tokenAddress, data }, APPROVE_GAS_FALLBACK);
+      transactions.push({
+        type: 'approve',
+        description: `Approve PlayGame to spend ${ethers.formatUnits(match.stake, 18)} GT`,
+        tx: { ...base, to: tokenAddress, data, nonce: nextNonce++, gasLimit: gasLimit.toString() }
+      });
+    }
+
+    const stakeData = playGame.interface.encodeFunctionData('stake', [matchId]);
+    // stake can only be simulated once the allowance is in place
+    const stakeGas = transactions.length === 0
+      ? await estimateGas({ from: address, to: gameAddress, data: stakeData }, STAKE_GAS_FALLBACK)
+      : STAKE_GAS_FALLBACK;
+    transactions.push({
+      type: 'stake',
+      description: `Stake ${ethers.formatUnits(match.stake, 18)} GT in match ${matchId}`,
+      tx: { ...base, to: gameAddress, data: stakeData, nonce: nextNonce++, gasLimit: stakeGas.toString() }
+    });
+
+    return { stake: match.stake, transactions };
+  }
+
+  return { prepare, permitPayload, checkStake, getLimits, setLimits, stakedSince, checkLimits };
+}
+
+module.exports = { createStakingService, PERMIT_TYPES };
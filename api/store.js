@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// JSON-serialise bigints as strings so chain values survive a round trip
+function replacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Small file-backed JSON store. Each store lives in its own file under
+ * `dataDir` (DATA_DIR unless given) and is written atomically (temp file +
+ * rename) so a crash mid-write never leaves a truncated file behind.
+ */
+function createStore(name, defaults = {}, dataDir = DATA_DIR) {
+  const filePath = path.join(dataDir, `${name}.json`);
+  let data = { ...defaults };
+
+  if (fs.existsSync(filePath)) {
+    data = { ...defaults, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  }
+
+  function save() {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, replacer, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    get data() {
+      return data;
+    },
+    set data(value) {
+      data = value;
+    },
+    filePath,
+    save
+  };
+}
+
+/**
+ * Append-only JSON Lines log under `dataDir`, for records that only grow
+ * (indexed events). `append` writes just the new lines; `rewrite` replaces
+ * the whole file atomically and is meant for rare rollbacks. A line left
+ * half-written by a crash is skipped on read.
+ */
+function createLog(name, dataDir = DATA_DIR) {
+  const filePath = path.join(dataDir, `${name}.jsonl`);
+
+  function read() {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    const records = [];
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+      if (!line) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`⚠️  Skipping a malformed line in ${filePath}`);
+      }
+    }
+    return records;
+  }
+
+  function lines(records) {
+    return records.map(record => `${JSON.stringify(record, replacer)}\n`).join('');
+  }
+
+  function append(records) {
+    if (records.length === 0) return;
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.appendFileSync(filePath, lines(records));
+  }
+
+  function rewrite(records) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, lines(records));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return { filePath, read, append, rewrite };
+}
+
+module.exports = { createStore, createLog, DATA_DIR };
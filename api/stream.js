@@ -0,0 +1,247 @@
+const { ethers } = require('ethers');
+const { apiError, httpError, sendError } = require('./errors');
+
+const HEARTBEAT_MS = 25000;
+const MAX_SUBSCRIPTIONS = 50;
+const MAX_CLIENTS = 1000;
+const MAX_CLIENTS_PER_IP = 10;
+const FINISHED_EVENTS = ['Settled', 'Drawn', 'Refunded', 'Cancelled'];
+
+// Query values may be repeated (?match=a&match=b) or comma-separated
+function toList(value) {
+  if (value === undefined) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Server-Sent Events for live UI updates. A client subscribes to match
+ * IDs, addresses and/or the leaderboard, then receives:
+ *
+ *   match        PlayGame event for a watched match (or one a watched
+ *                address plays in), with the match state after it
+ *   balance      new GT balance of a watched address after a Transfer
+ *   leaderboard  a match finished, so standings may have changed
+ *   queue        matchmaking queue entry of a watched address changed
+ *
+ * Match events come from the indexer as it applies them; GameToken
+ * Transfers are only watched while some client follows an address.
+ * Each open stream holds a socket, so connections are capped overall
+ * (maxClients) and per client IP (maxClientsPerIp); past either cap the
+ * request gets a 503.
+ */
+function createEventStream({
+  indexer,
+  gameToken,
+  formatMatch,
+  heartbeatMs = HEARTBEAT_MS,
+  maxClients = MAX_CLIENTS,
+  maxClientsPerIp = MAX_CLIENTS_PER_IP
+}) {
+  const clients = new Set();
+  let unsubscribe = null;
+  let watchingTransfers = false;
+
+  function send(client, type, data) {
+    client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function parseSubscription(query) {
+    const matches = toList(query.match).map(id => id.toLowerCase());
+    const addresses = toList(query.address);
+
+    if (matches.some(id => !ethers.isHexString(id, 32))) {
+      throw httpError('Invalid match ID format', 400);
+    }
+    if (addresses.some(address => !ethers.isAddress(address))) {
+      throw httpError('Invalid address', 400);
+    }
+
+    const subscription = {
+      matches: new Set(matches),
+      addresses: new Set(addresses.map(address => ethers.getAddress(address))),
+      leaderboard: query.leaderboard === 'true'
+    };
+
+    const total = subscription.matches.size + subscription.addresses.size;
+    if (total === 0 && !subscription.leaderboard) {
+      throw httpError('Subscribe to at least one match, address or the leaderboard', 400);
+    }
+    if (total > MAX_SUBSCRIPTIONS) {
+      throw httpError(`At most ${MAX_SUBSCRIPTIONS} matches and addresses per stream`, 400);
+    }
+    return subscription;
+  }
+
+  function follows(client, match) {
+    return client.matches.has(match.matchId) || client.addresses.has(match.p1) || client.addresses.has(match.p2);
+  }
+
+  function onIndexed(records) {
+    for (const record of records) {
+      if (record.contract !== 'PlayGame' || !record.args.matchId) continue;
+
+      const match = indexer.getMatch(record.args.matchId);
+      if (!match) continue;
+
+      const update = {
+        event: record.name,
+        match: formatMatch(match),
+        blockNumber: record.blockNumber,
+        transactionHash: record.transactionHash
+      };
+      const finished = FINISHED_EVENTS.includes(record.name);
+
+      for (const client of clients) {
+        if (follows(client, match)) {
+          send(client, 'match', update);
+        }
+        if (finished && client.leaderboard) {
+          send(client, 'leaderboard', { event: record.name, matchId: match.matchId, blockNumber: record.blockNumber });
+        }
+      }
+    }
+  }
+
+  async function onTransfer(from, to, value, payload) {
+    const { log } = payload;
+
+    for (const address of new Set([from, to])) {
+      if (address === ethers.ZeroAddress) continue;
+
+      const watchers = [...clients].filter(client => client.addresses.has(address));
+      if (watchers.length === 0) continue;
+
+      try {
+        const balance = await gameToken.balanceOf(address, { blockTag: log.blockNumber });
+        const update = {
+          address: address,
+          balance: ethers.formatUnits(balance, 18),
+          balanceWei: balance.toString(),
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash
+        };
+        watchers.forEach(client => send(client, 'balance', update));
+      } catch (error) {
+        console.error('Stream balance error:', error.message);
+      }
+    }
+  }
+
+  // Only poll for GameToken transfers while someone follows an address
+  function updateTransferWatch() {
+    const needed = [...clients].some(client => client.addresses.size > 0);
+
+    if (needed && !watchingTransfers) {
+      watchingTransfers = true;
+      gameToken.on('Transfer', onTransfer).catch(error => {
+        watchingTransfers = false;
+        console.error('Stream transfer subscription error:', error.message);
+      });
+    } else if (!needed && watchingTransfers) {
+      watchingTransfers = false;
+      gameToken.off('Transfer', onTransfer).catch(() => {});
+    }
+  }
+
+  // Push an update from another service to clients following `address`
+  function notify(address, type, data) {
+    for (const client of clients) {
+      if (client.addresses.has(address)) {
+        send(client, type, data);
+      }
+    }
+  }
+
+  // Current state of everything subscribed to, sent when a client connects
+  async function sendSnapshot(client) {
+    for (const matchId of client.matches) {
+      const match = indexer.getMatch(matchId);
+      if (match) {
+        send(client, 'match', { event: 'snapshot', match: formatMatch(match), blockNumber: null, transactionHash: null });
+      }
+    }
+
+    for (const address of client.addresses) {
+      const balance = await gameToken.balanceOf(address);
+      send(client, 'balance', {
+        address: address,
+        balance: ethers.formatUnits(balance, 18),
+        balanceWei: balance.toString(),
+        blockNumber: null,
+        transactionHash: null
+      });
+    }
+  }
+
+  // Refuse a new stream before any of its headers are written
+  function checkCapacity(ip) {
+    if (clients.size >= maxClients) {
+      throw apiError('SERVICE_UNAVAILABLE', `Too many open streams (${maxClients})`);
+    }
+    if ([...clients].filter(client => client.ip === ip).length >= maxClientsPerIp) {
+      throw apiError('SERVICE_UNAVAILABLE', `Too many open streams from this address (${maxClientsPerIp})`);
+    }
+  }
+
+  // Express handler for GET /stream?match=&address=&leaderboard=true
+  function handler(req, res) {
+    let subscription;
+    try {
+      subscription = parseSubscription(req.query);
+    } catch (error) {
+      return sendError(res, error, 'Invalid subscription');
+    }
+
+    try {
+      checkCapacity(req.ip);
+    } catch (error) {
+      return sendError(res, error, 'Stream unavailable');
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: 3000\n\n`);
+
+    const client = { res, ip: req.ip, ...subscription };
+    clients.add(client);
+    updateTransferWatch();
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+      updateTransferWatch();
+    });
+
+    sendSnapshot(client).catch(error => {
+      console.error('Stream snapshot error:', error.message);
+    });
+  }
+
+  function start() {
+    unsubscribe = indexer.onEvents(onIndexed);
+  }
+
+  function stop() {
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    clients.forEach(client => client.res.end());
+    clients.clear();
+    updateTransferWatch();
+  }
+
+  return { handler, notify, start, stop };
+}
+
+module.exports = { createEventStream };
@@ -0,0 +1,100 @@
+// Operator-route auth audit trail: a denied request is logged by the size
+// and hash of its body, never the body itself.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createAuth, sign } = require('../auth');
+const { useDataDir } = require('./helpers');
+
+const SECRET = 'operator-secret';
+
+function request({ keyId, body, timestamp = String(Math.floor(Date.now() / 1000)) }) {
+  const rawBody = JSON.stringify(body);
+  const headers = {
+    'X-Api-Key': keyId,
+    'X-Timestamp': timestamp,
+    'X-Signature': sign(SECRET, timestamp, 'POST', '/match', rawBody)
+  };
+  return { method: 'POST', originalUrl: '/match', ip: '127.0.0.1', body, rawBody, get: name => headers[name] };
+}
+
+function response() {
+  const res = { statusCode: 200, locals: {}, listeners: {} };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = payload => {
+    res.payload = payload;
+    return res;
+  };
+  res.on = (event, listener) => {
+    res.listeners[event] = listener;
+  };
+  return res;
+}
+
+describe('operator auth', () => {
+  const dataDir = useDataDir();
+
+  function auth() {
+    const keysFile = path.join(dataDir(), 'api-keys.json');
+    fs.writeFileSync(keysFile, JSON.stringify({
+      keys: [{ id: 'creator', secret: SECRET, scopes: ['create-match'] }]
+    }));
+    const entries = [];
+    return { auth: createAuth({ keysFile, auditLog: { record: entry => entries.push(entry) } }), entries };
+  }
+
+  test('records a denied body by size and hash only', () => {
+    const { auth: operatorAuth, entries } = auth();
+    const body = { winner: 'secret-looking payload' };
+    const req = request({ keyId: 'creator', body });
+    const res = response();
+    let nextCalled = false;
+
+    operatorAuth.requireScope('commit-result')(req, res, () => {
+      nextCalled = true;
+    });
+
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(res.statusCode, 403);
+    const [entry] = entries;
+    assert.strictEqual(entry.outcome, 'denied');
+    assert.strictEqual(entry.reason, 'Missing scope');
+    assert.strictEqual(entry.keyId, 'creator');
+    assert.strictEqual(entry.body, undefined);
+    assert.strictEqual(entry.bodyBytes, Buffer.byteLength(req.rawBody));
+    assert.strictEqual(entry.bodySha256, crypto.createHash('sha256').update(req.rawBody).digest('hex'));
+  });
+
+  test('caps an unknown key id in the denial record', () => {
+    const { auth: operatorAuth, entries } = auth();
+    const res = response();
+
+    operatorAuth.requireScope('create-match')(request({ keyId: 'x'.repeat(10000), body: {} }), res, () => {});
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(entries[0].reason, 'Unknown API key');
+    assert.strictEqual(entries[0].keyId.length, 256);
+  });
+
+  test('keeps the body when an allowed call finishes', () => {
+    const { auth: operatorAuth, entries } = auth();
+    const body = { stake: '10' };
+    const res = response();
+    let nextCalled = false;
+
+    operatorAuth.requireScope('create-match')(request({ keyId: 'creator', body }), res, () => {
+      nextCalled = true;
+    });
+    res.listeners.finish();
+
+    assert.strictEqual(nextCalled, true);
+    assert.strictEqual(entries[0].outcome, 'allowed');
+    assert.deepStrictEqual(entries[0].body, body);
+  });
+});
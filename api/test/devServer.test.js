@@ -0,0 +1,190 @@
+// End-to-end match flow over HTTP against an in-process API and Hardhat
+// chain (startDevServer in server.js): players sign in, the operator
+// creates the match, both players stake with the transactions the API
+// prepares, the result is signed and committed, and the winner is paid.
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createClient } = require('../client');
+const { startServer, startDevServer } = require('../server');
+
+// Polls GET /tx/:id until the job leaves the queue
+async function mined(api, jobId) {
+  for (let i = 0; i < 50; i++) {
+    const job = await api.getTxJob(jobId);
+    if (job.status === 'mined') return job;
+    assert.notStrictEqual(job.status, 'failed', `tx job ${jobId} failed: ${job.revertReason || job.error}`);
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`tx job ${jobId} was not mined`);
+}
+
+async function signIn(api, wallet) {
+  const { nonce, chainId, address } = await api.getNonce({ address: wallet.address });
+  const message = [
+    'localhost wants you to sign in with your Ethereum account:',
+    address,
+    '',
+    'Sign in to Wesee.',
+    '',
+    'URI: http://localhost',
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`
+  ].join('\n');
+
+  const { token } = await api.signIn({ message, signature: await wallet.signMessage(message) });
+  return token;
+}
+
+describe('dev server', () => {
+  const operatorKey = { id: 'test-game-server', secret: ethers.hexlify(ethers.randomBytes(32)) };
+  let dev;
+  let provider;
+  let operator;
+  let players;
+  let env;
+
+  before(async () => {
+    env = { ...process.env };
+    dev = await startDevServer({
+      players: 4,
+      apiKeys: [{ ...operatorKey, scopes: ['create-match', 'commit-result', 'admin'] }]
+    });
+    operator = createClient({ baseUrl: dev.url, operatorKey });
+    provider = new ethers.JsonRpcProvider(dev.chain.rpcUrl);
+    players = dev.chain.players.map(player => new ethers.Wallet(player.privateKey, provider));
+  });
+
+  after(async () => {
+    provider.destroy();
+    await dev.stop();
+  });
+
+  // Data directory and keys file are options, so servers in one process
+  // (or a test run) stay apart
+  test('leaves process.env alone', () => {
+    assert.deepStrictEqual({ ...process.env }, env);
+  });
+
+  test('allows the web page origin but not "null" by default', async () => {
+    const allowed = await fetch(`${dev.url}/health`, { headers: { Origin: 'http://localhost:8080' } });
+    assert.strictEqual(allowed.headers.get('access-control-allow-origin'), 'http://localhost:8080');
+
+    const opaque = await fetch(`${dev.url}/health`, { headers: { Origin: 'null' } });
+    assert.strictEqual(opaque.headers.get('access-control-allow-origin'), null);
+  });
+
+  test('serves a verified deployment with funded players', async () => {
+    const deployment = await operator.getDeployment();
+    assert.strictEqual(deployment.verification.ok, true);
+    assert.deepStrictEqual(deployment.accounts.players, players.map(player => player.address));
+
+    for (const player of players) {
+      const { balance } = await operator.getBalance(player.address);
+      assert.strictEqual(balance, '1000.0');
+    }
+  });
+
+  test('creates, stakes and settles a match', async () => {
+    const [p1, p2] = players;
+    const matchId = ethers.hexlify(ethers.randomBytes(32));
+
+    const accepted = await operator.startMatch({ matchId, p1: p1.address, p2: p2.address, stake: '10' });
+    await mined(operator, accepted.jobId);
+
+    for (const player of [p1, p2]) {
+      const token = await signIn(operator, player);
+      const api = createClient({ baseUrl: dev.url, token });
+      const { transactions } = await api.prepareStake(matchId);
+      for (const { tx } of transactions) {
+        await (await player.sendTransaction({ to: tx.to, data: tx.data, nonce: tx.nonce, gasLimit: tx.gasLimit })).wait();
+      }
+    }
+    assert.strictEqual((await operator.getMatch(matchId)).status, 'STAKED');
+
+    // Account 0 deploys the contracts and is the default result signer
+    const { typedData } = await operator.getResultPayload(matchId, { winner: p1.address });
+    const signer = new ethers.Wallet(dev.chain.operatorKey);
+    const signature = await signer.signTypedData(typedData.domain, typedData.types, typedData.message);
+    const result = await operator.commitResult({ matchId, winner: p1.address, signatures: [signature] });
+    await mined(operator, result.jobId);
+
+    const rakeBps = BigInt(dev.chain.deployment.config.rakeBps);
+    const pot = ethers.parseUnits('20', 18);
+    const expected = ethers.parseUnits('990', 18) + pot - (pot * rakeBps) / 10000n;
+    assert.strictEqual((await operator.getMatch(matchId)).status, 'SETTLED');
+    assert.strictEqual((await operator.getBalance(p1.address)).balanceWei, expected.toString());
+    assert.strictEqual((await operator.getBalance(p2.address)).balance, '990.0');
+  });
+
+  test('counts only finished matches as played in the profile', async () => {
+    const [p1, p2] = players;
+    const accepted = await operator.startMatch({ matchId: ethers.hexlify(ethers.randomBytes(32)), p1: p1.address, p2: p2.address, stake: '10' });
+    await mined(operator, accepted.jobId);
+
+    // The profile comes from the indexer, which catches up on its own poll
+    let summary;
+    for (let i = 0; i < 50; i++) {
+      ({ summary } = await operator.getPlayer(p1.address));
+      if (summary.awaitingStake === 1 && summary.wins === 1) break;
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    assert.deepStrictEqual(
+      { matchesPlayed: summary.matchesPlayed, wins: summary.wins, awaitingStake: summary.awaitingStake },
+      { matchesPlayed: 1, wins: 1, awaitingStake: 1 }
+    );
+  });
+
+  test('runs a tournament bracket match through PlayGame', async () => {
+    const created = await operator.createTournament({ size: 4, entryFee: '1' });
+    await mined(operator, created.jobId);
+    const { tournamentId } = created;
+
+    for (const player of players) {
+      const api = createClient({ baseUrl: dev.url, token: await signIn(operator, player) });
+      const { transactions } = await api.prepareTournamentJoin(tournamentId);
+      for (const { tx } of transactions) {
+        await (await player.sendTransaction({ to: tx.to, data: tx.data, nonce: tx.nonce, gasLimit: tx.gasLimit })).wait();
+      }
+    }
+
+    const [firstRound] = (await operator.getTournament(tournamentId)).bracket;
+    const { matchId, p1 } = firstRound.matches[0];
+    assert.strictEqual((await operator.getMatch(matchId)).status, 'STAKED');
+
+    // Signed under PlayGame's domain, like any other match result
+    const { typedData } = await operator.getTournamentResultPayload(tournamentId, { matchId, winner: p1 });
+    assert.strictEqual(typedData.domain.verifyingContract, dev.chain.deployment.contracts.playGame.address);
+    const signer = new ethers.Wallet(dev.chain.operatorKey);
+    const signature = await signer.signTypedData(typedData.domain, typedData.types, typedData.message);
+    const result = await operator.commitTournamentResult(tournamentId, { matchId, winner: p1, signatures: [signature] });
+    await mined(operator, result.jobId);
+
+    assert.strictEqual((await operator.getMatch(matchId)).status, 'SETTLED');
+    assert.strictEqual((await operator.getTournament(tournamentId)).bracket[0].matches[0].winner, p1);
+  });
+
+  // Last: the API wallet is no longer the operator afterwards
+  test('restarts after the backend operator is rotated', async () => {
+    const accepted = await operator.rotateOperator({ address: players[0].address });
+    await mined(operator, accepted.jobId);
+    assert.strictEqual((await operator.getAdminStatus()).backendOperator, players[0].address);
+
+    await dev.server.stop();
+    const restartProvider = new ethers.JsonRpcProvider(dev.chain.rpcUrl);
+    const { server } = await startServer({
+      port: 0,
+      provider: restartProvider,
+      wallet: new ethers.Wallet(dev.chain.operatorKey, restartProvider),
+      deployment: dev.chain.deployment,
+      dataDir: dev.dataDir,
+      keysFile: path.join(dev.dataDir, 'api-keys.json'),
+      auditLogFile: path.join(dev.dataDir, 'audit.log')
+    });
+    await server.stop();
+  });
+});
@@ -0,0 +1,32 @@
+// Fixtures shared by the API tests
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { beforeEach, afterEach } = require('node:test');
+
+/**
+ * Fresh data directory for each test in the calling describe(), removed
+ * again after the test, so one test's stores never leak into the next.
+ * Returns a function giving the current test's directory.
+ */
+function useDataDir() {
+  let dataDir = null;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wesee-api-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  return () => dataDir;
+}
+
+// Give a service's timers and pending promises a chance to run
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { useDataDir, sleep };
@@ -0,0 +1,51 @@
+// Refund keeper backoff for a match it cannot refund. Here the on-chain
+// check fails before anything is queued, because the indexer still lists
+// a match the chain has already refunded.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { createRefundKeeper } = require('../keeper');
+const { useDataDir } = require('./helpers');
+
+const MATCH_ID = `0x${'11'.repeat(32)}`;
+
+describe('refund keeper', () => {
+  const dataDir = useDataDir();
+
+  test('records a failure before queueing and does not retry it every run', async () => {
+    let lookups = 0;
+    let queued = 0;
+    const keeper = createRefundKeeper({
+      provider: { getBlock: async () => ({ timestamp: 10000 }) },
+      playGame: {
+        TIMEOUT_DURATION: async () => 100n,
+        STAKE_TIMEOUT_DURATION: async () => 100n,
+        // The indexer is behind: the match was already refunded on chain
+        matches: async () => {
+          lookups += 1;
+          return { p1: `0x${'01'.repeat(20)}`, status: 3n, startTime: 0n, createdAt: 0n };
+        }
+      },
+      indexer: {
+        getMatches: ({ status }) => (status === 'STAKED' ? [{ matchId: MATCH_ID, startTime: 0 }] : [])
+      },
+      txManager: {
+        enqueue: () => {
+          queued += 1;
+          return { id: 'job' };
+        }
+      },
+      dataDir: dataDir()
+    });
+
+    await keeper.run();
+    await keeper.run();
+
+    assert.strictEqual(lookups, 1);
+    assert.strictEqual(queued, 0);
+    const [failure] = keeper.status().retrying;
+    assert.strictEqual(failure.matchId, MATCH_ID);
+    assert.strictEqual(failure.attempts, 1);
+    assert.match(failure.lastError, /not staked/);
+  });
+});
@@ -0,0 +1,78 @@
+// Matchmaker against a scripted tx manager: the retry cap on createMatch
+// and rating-band pairing for players who ask for a skill match.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { createMatchmaker } = require('../matchmaking');
+const { useDataDir, sleep } = require('./helpers');
+
+const P1 = `0x${'01'.repeat(20)}`;
+const P2 = `0x${'02'.repeat(20)}`;
+const STAKE = 10n ** 19n;
+
+function matchmaker(dataDir, { mined, bands = {} }) {
+  const jobs = [];
+  const instance = createMatchmaker({
+    txManager: {
+      enqueue: request => {
+        jobs.push(request);
+        return { id: `job-${jobs.length}` };
+      },
+      wait: async id => (mined ? { id, status: 'mined' } : { id, status: 'failed', revertReason: 'Match exists' })
+    },
+    gameToken: { balanceOf: async () => STAKE },
+    staking: { checkLimits: () => {} },
+    ratings: { skillBand: address => bands[address] },
+    intervalMs: 5,
+    dataDir
+  });
+  return { instance, jobs };
+}
+
+describe('matchmaker', () => {
+  const dataDir = useDataDir();
+
+  test('marks the entries failed after repeated createMatch failures', async () => {
+    const { instance, jobs } = matchmaker(dataDir(), { mined: false });
+    instance.start();
+    try {
+      await instance.join(P1, STAKE);
+      await instance.join(P2, STAKE);
+      await sleep(50);
+    } finally {
+      instance.stop();
+    }
+
+    assert.strictEqual(jobs.length, 3);
+    assert.strictEqual(new Set(jobs.map(job => job.args[0])).size, 3);
+    for (const address of [P1, P2]) {
+      const { entry } = instance.getStatus(address);
+      assert.strictEqual(entry.status, 'failed');
+      assert.strictEqual(entry.attempts, 3);
+      assert.match(entry.error, /Match exists/);
+    }
+
+    // A failed entry no longer blocks joining again
+    const entry = await instance.join(P1, STAKE);
+    assert.strictEqual(entry.status, 'waiting');
+  });
+
+  test('pairs skill-matched players only within their rating band', async () => {
+    const P3 = `0x${'03'.repeat(20)}`;
+    const { instance, jobs } = matchmaker(dataDir(), {
+      mined: true,
+      bands: { [P1]: '1400-1599', [P2]: '1600-1799', [P3]: '1400-1599' }
+    });
+
+    await instance.join(P1, STAKE, { matchSkill: true });
+    const second = await instance.join(P2, STAKE, { matchSkill: true });
+    assert.strictEqual(second.skillBand, '1600-1799');
+    assert.strictEqual(second.status, 'waiting');
+
+    const third = await instance.join(P3, STAKE, { matchSkill: true });
+    await sleep(50);
+    assert.strictEqual(jobs.length, 1);
+    assert.deepStrictEqual(jobs[0].args.slice(1, 3), [P1, P3]);
+    assert.strictEqual(third.status, 'matched');
+  });
+});
@@ -0,0 +1,257 @@
+// Checks the OpenAPI document against server.js, the generated client and
+// the callers of the client, then validates real responses against the
+// response schemas.
+//
+//   npm test                                   live responses from an
+//                                              in-process API and dev chain
+//   API_URL=http://localhost:3001 npm test     live responses from that API
+//
+// Against API_URL, operator routes are exercised when OPERATOR_KEY_ID /
+// OPERATOR_KEY_SECRET name a key with the create-match scope.
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { buildSpec, OPERATIONS } = require('../openapi');
+const { validate } = require('../validation');
+const { render, CLIENT_FILE } = require('../scripts/generate-client');
+const { createClient, ApiError } = require('../client');
+const { startDevServer } = require('../server');
+
+const ROOT = path.join(__dirname, '..', '..');
+const spec = buildSpec();
+const components = spec.components.schemas;
+
+// Express routes registered in server.js as "METHOD /path" patterns, with
+// :params in OpenAPI form and template segments (/admin/${action}) as
+// wildcards
+function serverRoutes() {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+  return [...source.matchAll(/app\.(get|post|put|delete)\((?:'([^']+)'|`([^`]+)`)/g)]
+    .map(([, method, plain, template]) => `${method.toUpperCase()} ${(plain || template).replace(/:(\w+)/g, '{$1}')}`);
+}
+
+function specRoutes() {
+  return Object.entries(spec.paths).flatMap(([route, operations]) =>
+    Object.keys(operations).map(method => `${method.toUpperCase()} ${route}`));
+}
+
+function routeMatches(pattern, route) {
+  const regex = pattern.split(/\$\{\w+\}/).map(part => part.replace(/[.*+?^$()|[\]\\{}]/g, '\\$&')).join('[^/]+');
+  return new RegExp(`^${regex}$`).test(route);
+}
+
+function refs(value, found = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => refs(item, found));
+  } else if (value && typeof value === 'object') {
+    if (typeof value.$ref === 'string') found.push(value.$ref);
+    Object.values(value).forEach(item => refs(item, found));
+  }
+  return found;
+}
+
+function assertMatches(operationId, body, status = 200) {
+  const op = OPERATIONS.find(item => item.operationId === operationId);
+  const response = spec.paths[op.path][op.method].responses;
+  const schema = (response[status] || response.default).content['application/json'].schema;
+  const problems = validate(schema, body, '', components);
+  assert.deepStrictEqual(problems, [], `${operationId} ${status} response does not match its schema: ${JSON.stringify(body)}`);
+}
+
+describe('OpenAPI document', () => {
+  test('is OpenAPI 3.1 with unique operation IDs', () => {
+    assert.strictEqual(spec.openapi, '3.1.0');
+    const ids = OPERATIONS.map(op => op.operationId);
+    assert.deepStrictEqual(ids.filter((id, i) => ids.indexOf(id) !== i), []);
+  });
+
+  test('every $ref resolves', () => {
+    for (const ref of refs(spec)) {
+      assert.ok(components[ref.replace('#/components/schemas/', '')], `unresolved ${ref}`);
+    }
+  });
+
+  test('describes exactly the routes server.js registers', () => {
+    const documented = specRoutes();
+    const served = serverRoutes();
+    assert.deepStrictEqual(served.filter(pattern => !documented.some(route => routeMatches(pattern, route))), [], 'routes missing from openapi.js');
+    assert.deepStrictEqual(documented.filter(route => !served.some(pattern => routeMatches(pattern, route))), [], 'documented routes server.js does not serve');
+  });
+
+  test('every path parameter has a schema', () => {
+    for (const [route, operations] of Object.entries(spec.paths)) {
+      for (const operation of Object.values(operations)) {
+        for (const param of operation.parameters || []) {
+          assert.ok(param.schema, `${route} ${param.name}`);
+        }
+      }
+    }
+  });
+
+  test('the request schemas reject what validateBody rejects', () => {
+    const problems = validate(components.MatchStartRequest, { matchId: '0x12', p1: 'nope' }, '', components);
+    assert.deepStrictEqual(problems.map(problem => problem.field).sort(), ['matchId', 'p1', 'p2', 'stake']);
+  });
+});
+
+describe('generated client', () => {
+  test('is up to date with the document', () => {
+    assert.strictEqual(fs.readFileSync(CLIENT_FILE, 'utf8'), render(spec), 'run `npm run generate:client`');
+  });
+
+  test('has a method for every JSON operation', () => {
+    const client = createClient();
+    for (const op of OPERATIONS.filter(item => !item.contentType)) {
+      assert.strictEqual(typeof client[op.operationId], 'function', op.operationId);
+    }
+  });
+
+  // demo.js and the web UI call the API only through the client, so a
+  // renamed or removed operation fails here instead of in the browser
+  test('every method demo.js and the web UI call exists', () => {
+    const client = createClient();
+    for (const file of ['demo.js', 'web/index.html']) {
+      const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+      const called = [...source.matchAll(/\bapi\.(\w+)\(/g)].map(([, name]) => name);
+      assert.ok(called.length > 0, `${file} does not use the client`);
+      for (const name of called) {
+        assert.strictEqual(typeof client[name], 'function', `${file} calls api.${name}, which the client does not have`);
+      }
+      assert.doesNotMatch(source, /\$\{(API_BASE|BACKEND_BASE)\}\//, `${file} still builds API URLs by hand`);
+    }
+  });
+
+  test('signs operator requests like auth.js expects', async () => {
+    let seen;
+    const client = createClient({
+      baseUrl: 'http://api.test/v1',
+      operatorKey: { id: 'gs', secret: 's3cret' },
+      fetch: async (url, init) => {
+        seen = { url, init };
+        return { ok: true, status: 202, text: async () => '{"success":true}' };
+      }
+    });
+
+    await client.startMatch({ matchId: ethers.ZeroHash, p1: ethers.ZeroAddress, p2: ethers.ZeroAddress, stake: '1' });
+
+    const { sign } = require('../auth');
+    const headers = seen.init.headers;
+    assert.strictEqual(seen.url, 'http://api.test/v1/match/start');
+    assert.strictEqual(headers['X-Api-Key'], 'gs');
+    assert.strictEqual(headers['X-Signature'], sign('s3cret', headers['X-Timestamp'], 'POST', '/v1/match/start', seen.init.body));
+  });
+
+  test('rejects with the typed error', async () => {
+    const client = createClient({
+      fetch: async () => ({ ok: false, status: 404, text: async () => '{"error":"Not found","code":"MATCH_NOT_FOUND","details":"Match does not exist"}' })
+    });
+
+    await assert.rejects(client.getMatch(ethers.ZeroHash), error =>
+      error instanceof ApiError && error.status === 404 && error.code === 'MATCH_NOT_FOUND' && error.message === 'Match does not exist');
+  });
+});
+
+describe('live responses', () => {
+  const player = ethers.Wallet.createRandom().address;
+  let baseUrl = process.env.API_URL;
+  let operatorKey = null;
+  let api;
+  let dev = null;
+  let live = false;
+
+  before(async () => {
+    if (!baseUrl) {
+      operatorKey = { id: 'test-operator', secret: ethers.hexlify(ethers.randomBytes(32)) };
+      dev = await startDevServer({ apiKeys: [{ ...operatorKey, scopes: ['create-match'] }] });
+      baseUrl = dev.url;
+    } else if (process.env.OPERATOR_KEY_ID) {
+      operatorKey = { id: process.env.OPERATOR_KEY_ID, secret: process.env.OPERATOR_KEY_SECRET };
+    }
+
+    api = createClient({ baseUrl, operatorKey });
+    try {
+      await api.getHealth();
+      live = true;
+    } catch (error) {
+      live = false;
+    }
+  });
+
+  after(async () => {
+    if (dev) await dev.stop();
+  });
+
+  // Runs `check` only with an API to talk to
+  function liveTest(name, check) {
+    test(name, async t => {
+      if (!live) return t.skip(`no API at ${baseUrl}`);
+      await check(t);
+    });
+  }
+
+  async function errorOf(promise) {
+    const error = await promise.then(() => null, caught => caught);
+    assert.ok(error instanceof ApiError, 'expected the request to fail');
+    return error;
+  }
+
+  liveTest('GET /health', async () => assertMatches('getHealth', await api.getHealth()));
+  liveTest('GET /openapi.json serves this document', async () => {
+    const served = await api.getOpenApi();
+    assert.deepStrictEqual(served.paths, JSON.parse(JSON.stringify(spec.paths)));
+  });
+  liveTest('GET /store', async () => assertMatches('getStore', await api.getStore()));
+  liveTest('GET /deployment', async () => assertMatches('getDeployment', await api.getDeployment()));
+  liveTest('GET /balance/:address', async () => assertMatches('getBalance', await api.getBalance(player)));
+  liveTest('GET /purchase', async () => assertMatches('getPurchaseQuote', await api.getPurchaseQuote({ amount: '50' })));
+  liveTest('GET /redeem', async () => assertMatches('getRedeemQuote', await api.getRedeemQuote({ amount: '10' })));
+  liveTest('GET /matches', async () => assertMatches('listMatches', await api.listMatches({ limit: 5 })));
+  liveTest('GET /tournaments', async () => assertMatches('listTournaments', await api.listTournaments({ limit: 5 })));
+  liveTest('GET /auth/nonce', async () => assertMatches('getNonce', await api.getNonce({ address: player })));
+
+  liveTest('GET /match/:matchId for an unknown or malformed match', async () => {
+    const unknown = await errorOf(api.getMatch(ethers.hexlify(ethers.randomBytes(32))));
+    assert.strictEqual(unknown.status, 404);
+    assert.strictEqual(unknown.code, 'MATCH_NOT_FOUND');
+    assertMatches('getMatch', unknown.body, 404);
+
+    const malformed = await errorOf(api.getMatch('0x12'));
+    assert.strictEqual(malformed.status, 400);
+    assert.strictEqual(malformed.code, 'VALIDATION_FAILED');
+    assertMatches('getMatch', malformed.body, 400);
+    assert.deepStrictEqual(malformed.fields.map(field => field.field), ['matchId']);
+  });
+
+  liveTest('error responses match the Error schema', async () => {
+    const invalid = await errorOf(api.getPurchaseQuote({ amount: 'lots' }));
+    assert.strictEqual(invalid.status, 400);
+    assertMatches('getPurchaseQuote', invalid.body, 400);
+
+    const unauthorized = await errorOf(createClient({ baseUrl, operatorKey: { id: 'nobody', secret: 'x' } })
+      .startMatch({ matchId: ethers.ZeroHash, p1: player, p2: player, stake: '1' }));
+    assert.strictEqual(unauthorized.code, 'UNAUTHORIZED');
+    assertMatches('startMatch', unauthorized.body, 401);
+
+    const signedOut = await errorOf(api.getProfile());
+    assert.strictEqual(signedOut.status, 401);
+    assertMatches('getProfile', signedOut.body, 401);
+  });
+
+  liveTest('POST /match/start and GET /tx/:id', async t => {
+    if (!operatorKey) return t.skip('OPERATOR_KEY_ID not set');
+
+    const invalid = await errorOf(api.startMatch({ matchId: '0x12', p1: player, p2: player, stake: '1' }));
+    assert.strictEqual(invalid.code, 'VALIDATION_FAILED');
+    assertMatches('startMatch', invalid.body, 400);
+    assert.deepStrictEqual(invalid.fields.map(field => field.field), ['matchId']);
+
+    const matchId = ethers.hexlify(ethers.randomBytes(32));
+    const p2 = ethers.Wallet.createRandom().address;
+    const accepted = await api.startMatch({ matchId, p1: player, p2, stake: '1' });
+    assertMatches('startMatch', accepted, 202);
+    assertMatches('getTxJob', await api.getTxJob(accepted.jobId));
+  });
+});
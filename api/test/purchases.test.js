@@ -0,0 +1,121 @@
+// Purchase tracking when the buy transaction is never mined: the order is
+// failed once the node forgets the transaction, and flagged stuck while it
+// still sits in the mempool past the confirmation timeout. Also the fee
+// fields of prepared transactions on a chain without EIP-1559.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createPurchaseService } = require('../purchases');
+const { useDataDir, sleep } = require('./helpers');
+
+function pendingOrder(createdAt, status = 'pending') {
+  return {
+    id: 'order-1',
+    buyer: '0x0000000000000000000000000000000000000001',
+    usdtAmount: '1000000',
+    gtOut: null,
+    status: status,
+    error: null,
+    createdAt: createdAt,
+    transactions: [{ type: 'buy', hash: '0xabc', nonce: 0, status: 'pending', blockNumber: null }]
+  };
+}
+
+// A node that never mines anything; `known` says whether it still has the
+// transaction in its mempool
+function unminedProvider(known) {
+  return {
+    getTransactionReceipt: async () => null,
+    getTransaction: async () => (known ? { hash: '0xabc' } : null),
+    waitForTransaction: async (hash, confirms, timeout) => {
+      await sleep(timeout);
+      throw Object.assign(new Error('timeout'), { code: 'TIMEOUT' });
+    }
+  };
+}
+
+describe('purchase tracking', () => {
+  const dataDir = useDataDir();
+
+  function withOrder(order, provider) {
+    fs.writeFileSync(path.join(dataDir(), 'purchase-orders.json'), JSON.stringify({ orders: { 'order-1': order } }));
+    return createPurchaseService({ provider, confirmTimeoutMs: 50, dataDir: dataDir() });
+  }
+
+  async function resumed(provider, createdAt) {
+    const purchases = withOrder(pendingOrder(createdAt), provider);
+    purchases.resume();
+    for (let i = 0; i < 40 && purchases.get('order-1').status === 'pending'; i++) {
+      await sleep(10);
+    }
+    return purchases.get('order-1');
+  }
+
+  test('fails an order whose transaction the node dropped', async () => {
+    const order = await resumed(unminedProvider(false), new Date().toISOString());
+    assert.strictEqual(order.status, 'failed');
+    assert.strictEqual(order.transactions[0].status, 'dropped');
+  });
+
+  test('flags an order still pending after the timeout as stuck', async () => {
+    const order = await resumed(unminedProvider(true), new Date(Date.now() - 60000).toISOString());
+    assert.strictEqual(order.status, 'stuck');
+    assert.match(order.error, /still pending/);
+  });
+
+  test('completes a stuck order on the next check once it is mined', async () => {
+    let mined = false;
+    const provider = {
+      ...unminedProvider(true),
+      getTransactionReceipt: async () => (mined ? { status: 1, blockNumber: 5, logs: [] } : null)
+    };
+    const purchases = withOrder(pendingOrder(new Date(Date.now() - 60000).toISOString(), 'stuck'), provider);
+
+    mined = true;
+    purchases.checkStuck();
+    await sleep(20);
+
+    const order = purchases.get('order-1');
+    assert.strictEqual(order.status, 'completed');
+    assert.strictEqual(order.transactions[0].blockNumber, 5);
+  });
+});
+
+describe('purchase preparation', () => {
+  const dataDir = useDataDir();
+
+  test('uses a legacy gas price on a chain without EIP-1559', async () => {
+    const buyer = `0x${'01'.repeat(20)}`;
+    const purchases = createPurchaseService({
+      provider: {
+        getNetwork: async () => ({ chainId: 56n }),
+        getTransactionCount: async () => 3,
+        getFeeData: async () => ({ gasPrice: 5n, maxFeePerGas: null, maxPriorityFeePerGas: null }),
+        estimateGas: async () => 60000n
+      },
+      usdt: {
+        getAddress: async () => `0x${'0a'.repeat(20)}`,
+        allowance: async () => 0n,
+        interface: new ethers.Interface(['function approve(address spender, uint256 amount)'])
+      },
+      tokenStore: {
+        paused: async () => false,
+        getAddress: async () => `0x${'0b'.repeat(20)}`,
+        interface: new ethers.Interface(['function buy(uint256 usdtAmount)'])
+      },
+      dataDir: dataDir()
+    });
+
+    const transactions = await purchases.prepare(buyer, 1000000n);
+
+    assert.deepStrictEqual(transactions.map(({ type }) => type), ['approve', 'buy']);
+    for (const { tx } of transactions) {
+      assert.strictEqual(tx.type, 0);
+      assert.strictEqual(tx.gasPrice, '5');
+      assert.strictEqual(tx.maxFeePerGas, undefined);
+    }
+  });
+});
@@ -0,0 +1,53 @@
+// Relay gas budget for spends left in flight by a restart: once their tx
+// job can't be tracked they are settled, so they age out of the 24h window.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createRelay } = require('../relay');
+const { useDataDir, sleep } = require('./helpers');
+
+const PLAYER = `0x${'01'.repeat(20)}`;
+
+describe('relay', () => {
+  const dataDir = useDataDir();
+
+  function relayWith(spends, knownJobs) {
+    const old = new Date(Date.now() - 2 * 86400000).toISOString();
+    fs.writeFileSync(path.join(dataDir(), 'relay.json'), JSON.stringify({
+      players: { [PLAYER]: { requests: [], spends: spends.map(spend => ({ at: old, settled: false, ...spend })) } }
+    }));
+    return createRelay({
+      txManager: {
+        wait: async id => {
+          throw new Error(`Unknown tx job ${id}`);
+        },
+        get: id => (knownJobs.includes(id) ? { id, status: 'sent' } : null)
+      },
+      dataDir: dataDir()
+    });
+  }
+
+  test('settles spends whose job can no longer be tracked', async () => {
+    const relay = relayWith([{ jobId: 'pruned', gas: '90000' }], []);
+    assert.strictEqual(relay.usage(PLAYER).gasUsed, '90000');
+
+    relay.resume();
+    await sleep(10);
+
+    const { spends } = JSON.parse(fs.readFileSync(path.join(dataDir(), 'relay.json'), 'utf8')).players[PLAYER];
+    assert.deepStrictEqual(spends.map(spend => [spend.gas, spend.settled]), [['0', true]]);
+    assert.strictEqual(relay.usage(PLAYER).gasUsed, '0');
+  });
+
+  test('keeps the estimate of a known job it failed to track', async () => {
+    const relay = relayWith([{ jobId: 'known', gas: '90000' }], ['known']);
+
+    relay.resume();
+    await sleep(10);
+
+    const { spends } = JSON.parse(fs.readFileSync(path.join(dataDir(), 'relay.json'), 'utf8')).players[PLAYER];
+    assert.deepStrictEqual(spends.map(spend => [spend.gas, spend.settled]), [['90000', true]]);
+  });
+});
@@ -0,0 +1,41 @@
+// SIWE nonce bookkeeping: past maxNonces the oldest outstanding nonce is
+// forgotten, and the newer ones still sign in.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { createSiweAuth, buildSiweMessage } = require('../siwe');
+const { useDataDir } = require('./helpers');
+
+describe('siwe nonces', () => {
+  const wallet = ethers.Wallet.createRandom();
+  const dataDir = useDataDir();
+
+  async function signIn(siwe, nonce) {
+    const message = buildSiweMessage({
+      domain: 'localhost',
+      address: wallet.address,
+      statement: 'Sign in to Wesee.',
+      uri: 'http://localhost',
+      chainId: '31337',
+      nonce: nonce,
+      issuedAt: new Date().toISOString()
+    });
+    return siwe.verify(message, await wallet.signMessage(message));
+  }
+
+  test('drops the oldest nonce past maxNonces', async () => {
+    const siwe = createSiweAuth({
+      provider: { getNetwork: async () => ({ chainId: 31337n }) },
+      domains: ['localhost'],
+      maxNonces: 2,
+      dataDir: dataDir()
+    });
+
+    const [oldest, second, third] = [siwe.createNonce(), siwe.createNonce(), siwe.createNonce()];
+
+    await assert.rejects(signIn(siwe, oldest), /Unknown or expired nonce/);
+    assert.strictEqual((await signIn(siwe, second)).session.address, wallet.address);
+    assert.strictEqual((await signIn(siwe, third)).session.address, wallet.address);
+  });
+});
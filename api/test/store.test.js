@@ -0,0 +1,51 @@
+// createLog, the JSON Lines file the indexer appends its events to, and
+// the data directory option of both stores.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createStore, createLog } = require('../store');
+const { useDataDir } = require('./helpers');
+
+describe('createLog', () => {
+  const dataDir = useDataDir();
+
+  test('appends records without rewriting earlier ones', () => {
+    const log = createLog('events', dataDir());
+    log.append([{ id: 1, amount: 10n }]);
+    const before = fs.readFileSync(log.filePath, 'utf8');
+    log.append([{ id: 2 }, { id: 3 }]);
+
+    assert.ok(fs.readFileSync(log.filePath, 'utf8').startsWith(before));
+    assert.deepStrictEqual(createLog('events', dataDir()).read(), [{ id: 1, amount: '10' }, { id: 2 }, { id: 3 }]);
+  });
+
+  test('skips a line left half-written by a crash', () => {
+    const log = createLog('events', dataDir());
+    log.append([{ id: 1 }]);
+    fs.appendFileSync(log.filePath, '{"id":2,"na');
+
+    assert.deepStrictEqual(log.read(), [{ id: 1 }]);
+  });
+
+  test('rewrite replaces the contents', () => {
+    const log = createLog('events', dataDir());
+    log.append([{ id: 1 }, { id: 2 }]);
+    log.rewrite([{ id: 1 }]);
+
+    assert.deepStrictEqual(log.read(), [{ id: 1 }]);
+  });
+});
+
+describe('createStore', () => {
+  const dataDir = useDataDir();
+
+  test('reads back what was saved in the same directory only', () => {
+    const store = createStore('checkpoint', { lastBlock: 0 }, dataDir());
+    store.data.lastBlock = 5;
+    store.save();
+
+    assert.strictEqual(createStore('checkpoint', { lastBlock: 0 }, dataDir()).data.lastBlock, 5);
+    assert.strictEqual(createStore('checkpoint', { lastBlock: 0 }, `${dataDir()}-other`).data.lastBlock, 0);
+  });
+});
@@ -0,0 +1,67 @@
+// Event stream connection caps: past the global or per-IP limit a new
+// GET /stream gets a 503, and a closed stream frees its slot.
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createEventStream } = require('../stream');
+const { sleep } = require('./helpers');
+
+const QUERY = '?leaderboard=true';
+
+describe('event stream', () => {
+  let server;
+  let url;
+  const open = [];
+
+  async function serve(options) {
+    const stream = createEventStream({
+      indexer: { onEvents: () => () => {}, getMatch: () => null },
+      gameToken: {},
+      formatMatch: match => match,
+      ...options
+    });
+    const app = express();
+    app.get('/stream', stream.handler);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/stream${QUERY}`;
+    return stream;
+  }
+
+  async function connect() {
+    const controller = new AbortController();
+    const response = await fetch(url, { signal: controller.signal });
+    if (response.status === 200) {
+      open.push(controller);
+    }
+    return { status: response.status, body: response.status === 200 ? null : await response.json(), close: () => controller.abort() };
+  }
+
+  afterEach(async () => {
+    open.splice(0).forEach(controller => controller.abort());
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('refuses streams past the per-IP cap until one closes', async () => {
+    await serve({ maxClientsPerIp: 2 });
+
+    const first = await connect();
+    assert.strictEqual((await connect()).status, 200);
+    const refused = await connect();
+    assert.strictEqual(refused.status, 503);
+    assert.strictEqual(refused.body.code, 'SERVICE_UNAVAILABLE');
+
+    first.close();
+    await sleep(50);
+    assert.strictEqual((await connect()).status, 200);
+  });
+
+  test('refuses streams past the global cap', async () => {
+    await serve({ maxClients: 1 });
+
+    assert.strictEqual((await connect()).status, 200);
+    assert.strictEqual((await connect()).status, 503);
+  });
+});
@@ -0,0 +1,106 @@
+// Tx manager on a pre-EIP-1559 chain that mines everything it is sent:
+// legacy gas pricing, restarts with a job already queued, stopping, and
+// retention of finished jobs.
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createTxManager } = require('../txManager');
+const { useDataDir, sleep } = require('./helpers');
+
+const TARGET = `0x${'aa'.repeat(20)}`;
+
+function fakeChain({ feeData = { gasPrice: 7n, maxFeePerGas: null, maxPriorityFeePerGas: null } } = {}) {
+  const signer = ethers.Wallet.createRandom();
+  const sent = [];
+  const provider = {
+    getTransactionCount: async () => sent.length,
+    getFeeData: async () => feeData,
+    getNetwork: async () => ({ chainId: 31337n }),
+    estimateGas: async () => 50000n,
+    broadcastTransaction: async signed => {
+      sent.push(ethers.Transaction.from(signed));
+    },
+    getTransactionReceipt: async hash => (sent.some(tx => tx.hash === hash) ? { hash, status: 1, blockNumber: 1, gasUsed: 21000n } : null),
+    getTransaction: async hash => sent.find(tx => tx.hash === hash) || null
+  };
+  const wallet = { address: signer.address, provider, signTransaction: tx => signer.signTransaction(tx) };
+  const contracts = {
+    target: { ping: { populateTransaction: async () => ({ to: TARGET, data: '0x' }) } }
+  };
+  return { wallet, contracts, sent };
+}
+
+describe('tx manager', () => {
+  let manager;
+
+  // Registered first so the manager stops before its directory goes
+  afterEach(() => manager.stop());
+  const dataDir = useDataDir();
+
+  test('falls back to a legacy gas price and drops the signed tx once mined', async () => {
+    const { wallet, contracts, sent } = fakeChain();
+    manager = createTxManager({ wallet, contracts, dataDir: dataDir() });
+    await manager.start();
+
+    const job = await manager.wait(manager.enqueue({ contract: 'target', method: 'ping' }).id);
+
+    assert.strictEqual(job.status, 'mined');
+    assert.strictEqual(job.gasPrice, '7');
+    assert.strictEqual(job.rawTransaction, undefined);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].type, 0);
+    assert.strictEqual(sent[0].gasPrice, 7n);
+  });
+
+  test('sends a job enqueued before start() once', async () => {
+    const { wallet, contracts, sent } = fakeChain();
+    manager = createTxManager({ wallet, contracts, dataDir: dataDir() });
+
+    const { id } = manager.enqueue({ contract: 'target', method: 'ping' });
+    await manager.start();
+    await manager.wait(id);
+    await sleep(50);
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(manager.status().mined, 1);
+  });
+
+  test('sends nothing after stop() until started again', async () => {
+    const { wallet, contracts, sent } = fakeChain();
+    manager = createTxManager({ wallet, contracts, dataDir: dataDir() });
+    await manager.start();
+    manager.stop();
+
+    const { id } = manager.enqueue({ contract: 'target', method: 'ping' });
+    await sleep(50);
+    assert.strictEqual(sent.length, 0);
+    assert.strictEqual(manager.get(id).status, 'queued');
+
+    await manager.start();
+    assert.strictEqual((await manager.wait(id)).status, 'mined');
+    assert.strictEqual(sent.length, 1);
+  });
+
+  test('prunes finished jobs older than retainMs', async () => {
+    const { wallet, contracts } = fakeChain();
+    const old = new Date(Date.now() - 60000).toISOString();
+    const jobsFile = path.join(dataDir(), 'tx-jobs.json');
+    fs.writeFileSync(jobsFile, JSON.stringify({
+      nonce: 1,
+      jobs: {
+        mined: { id: 'mined', status: 'mined', createdAt: old, updatedAt: old },
+        failed: { id: 'failed', status: 'failed', createdAt: old, updatedAt: old }
+      }
+    }));
+
+    manager = createTxManager({ wallet, contracts, retainMs: 1000, dataDir: dataDir() });
+    await manager.start();
+
+    assert.strictEqual(manager.get('mined'), null);
+    assert.strictEqual(manager.get('failed'), null);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(jobsFile, 'utf8')).jobs, {});
+  });
+});
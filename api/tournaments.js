@@ -0,0 +1,200 @@
+const { ethers } = require('ethers');
+const { apiError } = require('./errors');
+const { feeFields } = require('./txManager');
+
+const TOURNAMENT_STATUSES = ['NONE', 'REGISTERING', 'RUNNING', 'FINISHED', 'CANCELLED'];
+const SIZES = [4, 8, 16];
+const APPROVE_GAS_FALLBACK = 80000n;
+// Per first-round match the last entrant's join opens (on Tournament and PlayGame)
+const JOIN_GAS_FALLBACK = 400000n;
+
+/**
+ * Single-elimination tournaments on the Tournament contract. Reads the
+ * tournament, its entrants and the bracket straight from chain, and
+ * prepares the unsigned `GameToken.approve` and `Tournament.join`
+ * transactions for a signed-in player (the entry fee is checked against
+ * their stake limits like a match stake).
+ */
+function createTournamentService({ provider, gameToken, tournament, staking }) {
+  async function estimateGas(tx, fallback) {
+    try {
+      return await provider.estimateGas(tx);
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  async function load(tournamentId) {
+    const info = await tournament.getTournament(tournamentId);
+    const status = TOURNAMENT_STATUSES[Number(info.status)];
+    if (status === 'NONE') {
+      throw apiError('TOURNAMENT_NOT_FOUND', 'Tournament not found');
+    }
+    return { info, status };
+  }
+
+  // Every round of the bracket; matches not created yet have null players.
+  // Each match is also a PlayGame match (results, timeouts and refunds
+  // go through PlayGame), and Tournament records who advanced
+  async function bracket(tournamentId, size) {
+    const rounds = Number(await tournament.rounds(size));
+    const result = [];
+
+    for (let round = 0; round < rounds; round++) {
+      const matchIds = [];
+      for (let slot = 0; slot < size >> (round + 1); slot++) {
+        matchIds.push(await tournament.bracketMatchId(tournamentId, round, slot));
+      }
+
+      const matches = await Promise.all(matchIds.map(async (matchId, slot) => {
+        const match = await tournament.bracketMatches(matchId);
+        const created = match.p1 !== ethers.ZeroAddress;
+        return {
+          matchId: matchId,
+          round: round,
+          slot: slot,
+          p1: created ? match.p1 : null,
+          p2: created ? match.p2 : null,
+          winner: match.winner === ethers.ZeroAddress ? null : match.winner
+        };
+      }));
+
+      result.push({ round, name: roundName(rounds, round), matches });
+    }
+    return result;
+  }
+
+  async function get(tournamentId) {
+    const { info, status } = await load(tournamentId);
+    const size = Number(info.size);
+    const [entrants, matches] = await Promise.all([
+      tournament.getEntrants(tournamentId),
+      bracket(tournamentId, size)
+    ]);
+
+    return {
+      tournamentId: tournamentId,
+      status: status,
+      size: size,
+      entryFee: info.entryFee,
+      pool: info.entryFee * BigInt(entrants.length),
+      registrationDeadline: Number(info.registrationDeadline),
+      rakeBps: Number(info.rakeBps),
+      payoutBps: info.payoutBps.map(Number),
+      champion: info.champion === ethers.ZeroAddress ? null : info.champion,
+      entrants: [...entrants],
+      bracket: matches
+    };
+  }
+
+  // Newest first
+  async function list(offset, limit) {
+    const count = Number(await tournament.tournamentCount());
+    const ids = [];
+    for (let i = count - 1 - offset; i >= 0 && ids.length < limit; i--) {
+      ids.push(await tournament.tournamentIds(i));
+    }
+
+    const items = await Promise.all(ids.map(async tournamentId => {
+      const { info, status } = await load(tournamentId);
+      const entrants = await tournament.getEntrants(tournamentId);
+      return {
+        tournamentId: tournamentId,
+        status: status,
+        size: Number(info.size),
+        entrants: entrants.length,
+        entryFee: info.entryFee,
+        registrationDeadline: Number(info.registrationDeadline),
+        champion: info.champion === ethers.ZeroAddress ? null : info.champion
+      };
+    }));
+
+    return { items, total: count };
+  }
+
+  // Which bracket match a match ID is, checked against the tournament
+  async function findMatch(tournamentId, matchId) {
+    const match = await tournament.bracketMatches(matchId);
+    if (match.p1 === ethers.ZeroAddress || match.tournamentId !== tournamentId) {
+      throw apiError('MATCH_NOT_FOUND', 'Match is not part of this tournament (or not created yet)');
+    }
+    return match;
+  }
+
+  async function prepareJoin(address, tournamentId) {
+    const { info, status } = await load(tournamentId);
+
+    if (status !== 'REGISTERING') {
+      throw apiError('REGISTRATION_CLOSED', 'Registration is closed');
+    }
+    if (await tournament.isEntrant(tournamentId, address)) {
+      throw apiError('ALREADY_JOINED', 'Already joined');
+    }
+
+    const block = await provider.getBlock('latest');
+    if (BigInt(block.timestamp) >= info.registrationDeadline) {
+      throw apiError('DEADLINE_PASSED', 'Registration deadline passed');
+    }
+
+    staking.checkLimits(address, info.entryFee);
+
+    const tournamentAddress = await tournament.getAddress();
+    const tokenAddress = await gameToken.getAddress();
+    const [network, nonce, feeData, balance, allowance] = await Promise.all([
+      provider.getNetwork(),
+      provider.getTransactionCount(address, 'pending'),
+      provider.getFeeData(),
+      gameToken.balanceOf(address),
+      gameToken.allowance(address, tournamentAddress)
+    ]);
+
+    if (balance < info.entryFee) {
+      throw apiError('INSUFFICIENT_BALANCE', `Insufficient GT balance (need ${ethers.formatUnits(info.entryFee, 18)} GT)`);
+    }
+
+    const base = {
+      from: address,
+      chainId: network.chainId.toString(),
+      value: '0',
+      ...feeFields(feeData)
+    };
+
+    const transactions = [];
+    let nextNonce = nonce;
+
+    if (allowance < info.entryFee) {
+      const data = gameToken.interface.encodeFunctionData('approve', [tournamentAddress, info.entryFee]);
+      const gasLimit = await estimateGas({ from: address, to: tokenAddress, data }, APPROVE_GAS_FALLBACK);
+      transactions.push({
+        type: 'approve',
+        description: `Approve Tournament to spend ${ethers.formatUnits(info.entryFee, 18)} GT`,
+        tx: { ...base, to: tokenAddress, data, nonce: nextNonce++, gasLimit: gasLimit.toString() }
+      });
+    }
+
+    // The last entrant's join also creates the first-round matches
+    const joinData = tournament.interface.encodeFunctionData('join', [tournamentId]);
+    const joinGas = transactions.length === 0
+      ? await estimateGas({ from: address, to: tournamentAddress, data: joinData }, JOIN_GAS_FALLBACK)
+      : JOIN_GAS_FALLBACK * BigInt(Number(info.size) / 2);
+    transactions.push({
+      type: 'join',
+      description: `Pay the ${ethers.formatUnits(info.entryFee, 18)} GT entry fee for tournament ${tournamentId}`,
+      tx: { ...base, to: tournamentAddress, data: joinData, nonce: nextNonce++, gasLimit: joinGas.toString() }
+    });
+
+    return { entryFee: info.entryFee, transactions };
+  }
+
+  return { get, list, findMatch, prepareJoin };
+}
+
+function roundName(rounds, round) {
+  const fromEnd = rounds - 1 - round;
+  if (fromEnd === 0) return 'Final';
+  if (fromEnd === 1) return 'Semifinals';
+  if (fromEnd === 2) return 'Quarterfinals';
+  return `Round ${round + 1}`;
+}
+
+module.exports = { createTournamentService, TOURNAMENT_STATUSES, SIZES };
@@ -0,0 +1,419 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { createStore } = require('./store');
+
+const POLL_INTERVAL_MS = 2000;
+const MAX_NONCE_RETRIES = 3;
+const FEE_BUMP_PERCENT = 125n; // replacement must beat the old fee by >= 10%
+const SAVE_DELAY_MS = 250;
+
+// Best-effort extraction of a human readable revert reason
+function decodeRevert(error, iface) {
+  if (error.reason) {
+    return error.reason;
+  }
+
+  const data = error.data || (error.info && error.info.error && error.info.error.data);
+  if (data && iface) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) {
+        return parsed.args.length > 0 ? `${parsed.name}(${parsed.args.join(', ')})` : parsed.name;
+      }
+    } catch (parseError) {
+      // Fall through to the generic message
+    }
+  }
+
+  return error.shortMessage || error.message;
+}
+
+function isNonceError(error) {
+  return error.code === 'NONCE_EXPIRED' || /nonce (too low|has already been used)/i.test(error.message);
+}
+
+function isUnderpricedError(error) {
+  return error.code === 'REPLACEMENT_UNDERPRICED' || /underpriced/i.test(error.message);
+}
+
+function bump(value) {
+  return (BigInt(value) * FEE_BUMP_PERCENT) / 100n + 1n;
+}
+
+function max(a, b) {
+  return a > b ? a : b;
+}
+
+// Fee fields for a new transaction from getFeeData(): EIP-1559 fees where
+// the chain has them, otherwise a legacy gas price (type 0)
+function feeFields(feeData) {
+  if (feeData.maxFeePerGas === null || feeData.maxPriorityFeePerGas === null) {
+    if (feeData.gasPrice === null) {
+      throw new Error('The provider reports no fee data');
+    }
+    return { type: 0, gasPrice: feeData.gasPrice.toString() };
+  }
+
+  return {
+    type: 2,
+    maxFeePerGas: feeData.maxFeePerGas.toString(),
+    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString()
+  };
+}
+
+/**
+ * Transaction manager for the operator wallet. Jobs are queued and sent
+ * one at a time so nonces never collide; sent transactions are watched
+ * until mined and re-broadcast with higher fees if they get stuck. Every
+ * job is persisted, so pending work resumes after a restart. Mined and
+ * failed jobs are kept for `retainMs`, then pruned.
+ */
+function createTxManager({ wallet, contracts, stuckAfterMs = 60000, maxBumps = 5, retainMs = 7 * 86400000, dataDir }) {
+  const provider = wallet.provider;
+  const store = createStore('tx-jobs', { nonce: null, jobs: {} }, dataDir);
+  const queue = [];
+  const waiters = new Map();
+  const monitoring = new Set();
+  let processing = false;
+  let sending = null;
+  let nextNonce = null;
+  let stopped = false;
+  let saveTimer = null;
+
+  function now() {
+    return new Date().toISOString();
+  }
+
+  // Write now; for state a crash must not lose (new jobs, signed
+  // transactions, the nonce)
+  function flush() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    store.save();
+  }
+
+  // Write soon, folding a burst of updates into one rewrite of the file
+  function scheduleSave() {
+    if (saveTimer === null) {
+      saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+    }
+  }
+
+  function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: now() });
+    scheduleSave();
+  }
+
+  function prune() {
+    const cutoff = Date.now() - retainMs;
+    for (const job of Object.values(store.data.jobs)) {
+      if ((job.status === 'mined' || job.status === 'failed') && Date.parse(job.updatedAt) < cutoff) {
+        delete store.data.jobs[job.id];
+      }
+    }
+  }
+
+  // A finished job no longer needs its signed transaction
+  function settle(job) {
+    delete job.rawTransaction;
+    prune();
+    scheduleSave();
+
+    const callbacks = waiters.get(job.id) || [];
+    waiters.delete(job.id);
+    callbacks.forEach(resolve => resolve(job));
+  }
+
+  function fail(job, revertReason, error) {
+    update(job, { status: 'failed', revertReason: revertReason || null, error: error || revertReason || null });
+    settle(job);
+  }
+
+  async function syncNonce() {
+    const pending = await provider.getTransactionCount(wallet.address, 'pending');
+    nextNonce = Math.max(pending, store.data.nonce === null ? 0 : store.data.nonce);
+  }
+
+  // EIP-1559 fees, or a legacy gas price on chains without them.
+  // Replacements bump the previous fees, but never go below the market.
+  async function feeFor(job) {
+    const { type, ...fees } = feeFields(await provider.getFeeData());
+
+    if (type === 0) {
+      return job.gasPrice ? { gasPrice: max(bump(job.gasPrice), BigInt(fees.gasPrice)).toString() } : fees;
+    }
+
+    if (!job.maxFeePerGas) {
+      return fees;
+    }
+
+    return {
+      maxFeePerGas: max(bump(job.maxFeePerGas), BigInt(fees.maxFeePerGas)).toString(),
+      maxPriorityFeePerGas: max(bump(job.maxPriorityFeePerGas), BigInt(fees.maxPriorityFeePerGas)).toString()
+    };
+  }
+
+  async function signAndBroadcast(job, fees) {
+    const { chainId } = await provider.getNetwork();
+    const signed = await wallet.signTransaction({
+      type: fees.gasPrice ? 0 : 2,
+      chainId: chainId,
+      to: job.to,
+      data: job.data,
+      nonce: job.nonce,
+      gasLimit: job.gasLimit,
+      ...fees
+    });
+    const hash = ethers.keccak256(signed);
+
+    // Persist before broadcasting so a crash never loses track of a nonce
+    update(job, {
+      ...fees,
+      status: 'sent',
+      hash: hash,
+      hashes: [...job.hashes, hash],
+      rawTransaction: signed,
+      sentAt: now()
+    });
+    flush();
+
+    await provider.broadcastTransaction(signed);
+  }
+
+  async function send(job) {
+    const contract = contracts[job.contract];
+    const populated = await contract[job.method].populateTransaction(...job.args);
+
+    // Simulate first: a revert here is reported without spending a nonce
+    let gasLimit;
+    try {
+      gasLimit = await provider.estimateGas({ ...populated, from: wallet.address });
+    } catch (error) {
+      return fail(job, decodeRevert(error, contract.interface));
+    }
+
+    if (nextNonce === null) {
+      await syncNonce();
+    }
+
+    update(job, {
+      to: populated.to,
+      data: populated.data,
+      gasLimit: ((gasLimit * 120n) / 100n).toString(),
+      nonce: nextNonce
+    });
+
+    try {
+      await signAndBroadcast(job, await feeFor(job));
+    } catch (error) {
+      if (isNonceError(error) && job.nonceRetries < MAX_NONCE_RETRIES) {
+        // Someone else used our nonce: resync and send again
+        await syncNonce();
+        update(job, { status: 'queued', hash: null, nonce: null, nonceRetries: job.nonceRetries + 1 });
+        queue.unshift(job);
+        return;
+      }
+      return fail(job, null, error.shortMessage || error.message);
+    }
+
+    nextNonce += 1;
+    store.data.nonce = nextNonce;
+    flush();
+    monitor(job);
+  }
+
+  async function processQueue() {
+    if (processing) {
+      return;
+    }
+    processing = true;
+
+    try {
+      // Jobs left queued after stop() are sent by the next start()
+      while (queue.length > 0 && !stopped) {
+        const job = queue.shift();
+        sending = job.id;
+        try {
+          await send(job);
+        } catch (error) {
+          console.error(`Tx job ${job.id} send error:`, error.message);
+          fail(job, null, error.message);
+        }
+      }
+    } finally {
+      processing = false;
+      sending = null;
+    }
+  }
+
+  async function findReceipt(job) {
+    for (const hash of job.hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  async function revertReasonFor(job, receipt) {
+    try {
+      await provider.call({ from: wallet.address, to: job.to, data: job.data, blockTag: receipt.blockNumber });
+      return 'Transaction reverted';
+    } catch (error) {
+      return decodeRevert(error, contracts[job.contract].interface);
+    }
+  }
+
+  async function watch(job) {
+    while (job.status === 'sent' && !stopped) {
+      const receipt = await findReceipt(job);
+
+      if (receipt) {
+        if (receipt.status !== 1) {
+          update(job, { hash: receipt.hash, blockNumber: receipt.blockNumber });
+          return fail(job, await revertReasonFor(job, receipt));
+        }
+
+        update(job, { status: 'mined', hash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() });
+        return settle(job);
+      }
+
+      // The nonce was consumed by a transaction we don't know about
+      const confirmedNonce = await provider.getTransactionCount(wallet.address, 'latest');
+      if (confirmedNonce > job.nonce && !(await findReceipt(job))) {
+        return fail(job, null, `Nonce ${job.nonce} was used by another transaction`);
+      }
+
+      // The node dropped it (e.g. restart): put it back in the mempool
+      if (!(await provider.getTransaction(job.hash))) {
+        await provider.broadcastTransaction(job.rawTransaction).catch(() => {});
+      }
+
+      const stuck = Date.now() - Date.parse(job.sentAt) > stuckAfterMs;
+      if (stuck && job.bumps < maxBumps) {
+        try {
+          update(job, { bumps: job.bumps + 1 });
+          await signAndBroadcast(job, await feeFor(job));
+          console.log(`⛽ Replaced stuck tx job ${job.id} (nonce ${job.nonce}, bump ${job.bumps})`);
+        } catch (error) {
+          if (!isUnderpricedError(error) && !isNonceError(error)) {
+            console.error(`Tx job ${job.id} replacement error:`, error.message);
+          }
+        }
+      }
+
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+  }
+
+  function monitor(job) {
+    if (monitoring.has(job.id)) return;
+    monitoring.add(job.id);
+
+    watch(job)
+      .catch(error => {
+        if (stopped) return;
+        console.error(`Tx job ${job.id} monitor error:`, error.message);
+        setTimeout(() => {
+          monitoring.delete(job.id);
+          monitor(job);
+        }, POLL_INTERVAL_MS);
+      })
+      .then(() => monitoring.delete(job.id));
+  }
+
+  /**
+   * Queue a contract call from the operator wallet. Returns the job
+   * immediately; use `wait(id)` or `get(id)` to follow it.
+   */
+  function enqueue({ contract, method, args = [], kind = method, meta = {} }) {
+    const job = {
+      id: crypto.randomUUID(),
+      kind: kind,
+      contract: contract,
+      method: method,
+      args: args.map(arg => (typeof arg === 'bigint' ? arg.toString() : arg)),
+      meta: meta,
+      status: 'queued',
+      nonce: null,
+      hash: null,
+      hashes: [],
+      bumps: 0,
+      nonceRetries: 0,
+      blockNumber: null,
+      revertReason: null,
+      error: null,
+      createdAt: now(),
+      updatedAt: now()
+    };
+
+    store.data.jobs[job.id] = job;
+    flush();
+    queue.push(job);
+    processQueue();
+
+    return job;
+  }
+
+  function wait(id) {
+    const job = store.data.jobs[id];
+    if (!job) {
+      return Promise.reject(new Error(`Unknown tx job ${id}`));
+    }
+    if (job.status === 'mined' || job.status === 'failed') {
+      return Promise.resolve(job);
+    }
+
+    return new Promise(resolve => {
+      waiters.set(id, [...(waiters.get(id) || []), resolve]);
+    });
+  }
+
+  function get(id) {
+    return store.data.jobs[id] || null;
+  }
+
+  // Pick up where we left off: re-watch sent jobs, re-queue unsent ones
+  async function start() {
+    stopped = false;
+    await syncNonce();
+
+    prune();
+    flush();
+
+    const jobs = Object.values(store.data.jobs)
+      .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+
+    // Jobs enqueued before start() may already be queued or being sent
+    const queuedIds = new Set([...queue.map(job => job.id), sending]);
+    jobs.filter(job => job.status === 'sent').forEach(monitor);
+    jobs.filter(job => job.status === 'queued' && !queuedIds.has(job.id)).forEach(job => queue.push(job));
+    processQueue();
+  }
+
+  // Stop sending queued jobs and watching sent ones; both are picked up
+  // again by the next start()
+  function stop() {
+    stopped = true;
+    flush();
+  }
+
+  function status() {
+    const jobs = Object.values(store.data.jobs);
+    const count = status => jobs.filter(job => job.status === status).length;
+
+    return {
+      address: wallet.address,
+      nextNonce: nextNonce,
+      queued: count('queued'),
+      sent: count('sent'),
+      mined: count('mined'),
+      failed: count('failed')
+    };
+  }
+
+  return { start, stop, enqueue, wait, get, status };
+}
+
+module.exports = { createTxManager, decodeRevert, feeFields };
@@ -0,0 +1,152 @@
+const { ethers } = require('ethers');
+const { apiError, sendError } = require('./errors');
+
+// String formats shared by the request schemas
+const FORMATS = {
+  bytes32: {
+    test: value => ethers.isHexString(value, 32),
+    message: 'must be a 32-byte hex string'
+  },
+  address: {
+    test: value => ethers.isAddress(value),
+    message: 'must be an Ethereum address'
+  },
+  signature: {
+    test: value => ethers.isHexString(value, 65),
+    message: 'must be a 65-byte hex signature'
+  },
+  hex: {
+    test: value => ethers.isHexString(value),
+    message: 'must be 0x-prefixed hex'
+  },
+  amount: {
+    test: value => /^\d+(\.\d+)?$/.test(value),
+    message: 'must be a decimal amount such as "12.5"'
+  },
+  uint: {
+    test: value => /^\d+$/.test(value),
+    message: 'must be a whole number'
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Checks a value against a JSON Schema subset (type, enum, format,
+ * pattern, length and range limits, required, properties,
+ * additionalProperties, items and `#/components/schemas/...` refs) and
+ * returns one `{ field, message }` per problem, with `field` as a dotted
+ * path like `matches.3.p1`. The same schemas are published in the
+ * OpenAPI document, whose components resolve the refs.
+ */
+function validate(schema, value, field = '', components = {}) {
+  const name = field || 'body';
+
+  if (schema.$ref) {
+    const target = components[schema.$ref.split('/').pop()];
+    if (!target) {
+      throw new Error(`Unresolved schema reference ${schema.$ref}`);
+    }
+    return validate(target, value, field, components);
+  }
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [{ field: name, message: `must be ${types.map(type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`)).join(' or ')}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field: name, message: `must be one of ${schema.enum.join(', ')}` }];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field: name, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field: name, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      errors.push({ field: name, message: FORMATS[schema.format].message });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field: name, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field: name, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field: name, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field: name, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field: name, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, field ? `${field}.${index}` : String(index), components)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: field ? `${field}.${key}` : key, message: 'is required' });
+      }
+    }
+    for (const [key, child] of Object.entries(properties)) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(child, value[key], field ? `${field}.${key}` : key, components));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      Object.keys(value)
+        .filter(key => !properties[key])
+        .forEach(key => errors.push({ field: field ? `${field}.${key}` : key, message: 'is not allowed' }));
+    }
+  }
+
+  return errors;
+}
+
+// A field-level problem found by a route after the schema check (e.g. a
+// zero amount, or a winner who isn't one of the match players)
+function fieldError(field, message) {
+  return apiError('VALIDATION_FAILED', `${field} ${message}`, { fields: [{ field, message }] });
+}
+
+// Middleware rejecting a body that doesn't match the schema with 400
+// VALIDATION_FAILED and the field-level problems
+function validateBody(schema) {
+  return (req, res, next) => {
+    const fields = validate(schema, req.body === undefined ? {} : req.body);
+    if (fields.length > 0) {
+      const error = apiError('VALIDATION_FAILED', fields.map(({ field, message }) => `${field} ${message}`).join('; '), { fields });
+      return sendError(res, error, 'Invalid request body');
+    }
+    next();
+  };
+}
+
+module.exports = { FORMATS, validate, validateBody, fieldError };
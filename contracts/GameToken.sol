@@ -2,14 +2,18 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
-contract GameToken is ERC20, Ownable {
+// EIP-2612 permit lets players approve with a signature instead of a
+// transaction, so staking can be relayed without the player holding ETH
+contract GameToken is ERC20, ERC20Permit, Ownable {
     address public tokenStore;
     
     event Minted(address indexed to, uint256 amount);
+    event Burned(address indexed from, uint256 amount);
     
-    constructor() ERC20("GameToken", "GT") Ownable(msg.sender) {}
+    constructor() ERC20("GameToken", "GT") ERC20Permit("GameToken") Ownable(msg.sender) {}
     
     function setTokenStore(address _tokenStore) external onlyOwner {
         tokenStore = _tokenStore;
@@ -20,4 +24,10 @@ contract GameToken is ERC20, Ownable {
         _mint(to, amount);
         emit Minted(to, amount);
     }
+
+    function burn(address from, uint256 amount) external {
+        require(msg.sender == tokenStore, "Only TokenStore can burn");
+        _burn(from, amount);
+        emit Burned(from, amount);
+    }
 }
@@ -3,14 +3,52 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
 
-contract PlayGame is Ownable, ReentrancyGuard {
+// Contract that opens matches for stakes it already holds (Tournament),
+// told by PlayGame how each of its matches ends
+interface IMatchHost {
+    function onMatchSettled(bytes32 matchId, address winner) external;
+    function onMatchRefunded(bytes32 matchId) external;
+}
+
+// Pausing stops match creation and staking; results, refunds and
+// cancellations stay available so staked GT can always get out
+contract PlayGame is Ownable, ReentrancyGuard, EIP712, Pausable {
     IERC20 public immutable gameToken;
     address public backendOperator;
     uint256 public constant TIMEOUT_DURATION = 24 hours;
+    uint256 public constant STAKE_TIMEOUT_DURATION = 1 hours;
+    uint256 public constant MAX_RAKE_BPS = 1000; // 10%
+    uint256 public constant MAX_BATCH_SIZE = 100;
+
+    // Platform fee on the winner's pot, in basis points, paid to treasury
+    uint256 public rakeBps;
+    address public treasury;
     
-    enum MatchStatus { PENDING, STAKED, SETTLED, REFUNDED }
+    // EIP-2612 struct a player signs to let stakeWithPermit pull their stake
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    // EIP-712 struct game servers sign to attest a match result
+    // (winner = address(0) attests a draw)
+    bytes32 public constant MATCH_RESULT_TYPEHASH =
+        keccak256("MatchResult(bytes32 matchId,address winner)");
+
+    // Authorised game-server signers and how many must sign each result
+    mapping(address => bool) public isResultSigner;
+    uint256 public resultSignerCount;
+    uint256 public resultThreshold;
+
+    // Contracts allowed to open hosted matches (createHostedMatch)
+    mapping(address => bool) public isMatchHost;
+
+    enum MatchStatus { PENDING, STAKED, SETTLED, REFUNDED, CANCELLED, DRAWN }
     
     struct Match {
         address p1;
@@ -20,55 +58,244 @@ contract PlayGame is Ownable, ReentrancyGuard {
         MatchStatus status;
         bool p1Staked;
         bool p2Staked;
+        uint256 createdAt;
+        uint256 rakeBps; // rake in force when the match was created
+        address host; // contract that opened it, or address(0)
     }
     
     mapping(bytes32 => Match) public matches;
     
     event MatchCreated(bytes32 indexed matchId, address p1, address p2, uint256 stake);
     event Staked(bytes32 indexed matchId, address player);
-    event Settled(bytes32 indexed matchId, address winner, uint256 amount);
+    event Settled(bytes32 indexed matchId, address winner, uint256 amount, uint256 fee);
     event Refunded(bytes32 indexed matchId, address p1, address p2, uint256 amount);
-    
-    constructor(address _gameToken) Ownable(msg.sender) {
+    event Cancelled(bytes32 indexed matchId, bool p1Refunded, bool p2Refunded, uint256 amount);
+    event Drawn(bytes32 indexed matchId, address p1, address p2, uint256 amount);
+    event ResultSignerUpdated(address indexed signer, bool authorized);
+    event ResultThresholdUpdated(uint256 threshold);
+    event RakeUpdated(uint256 rakeBps);
+    event TreasuryUpdated(address treasury);
+    event BatchItemFailed(bytes32 indexed matchId, uint256 index, string reason);
+    event BackendOperatorUpdated(address operator);
+    event MatchHostUpdated(address indexed host, bool authorized);
+
+    constructor(address _gameToken) Ownable(msg.sender) EIP712("PlayGame", "1") {
         gameToken = IERC20(_gameToken);
         backendOperator = msg.sender;
+        treasury = msg.sender;
     }
     
     function setBackendOperator(address _backendOperator) external onlyOwner {
+        require(_backendOperator != address(0), "Invalid operator");
+
         backendOperator = _backendOperator;
+
+        emit BackendOperatorUpdated(_backendOperator);
+    }
+
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
     }
     
+    function setRake(uint256 _rakeBps) external onlyOwner {
+        require(_rakeBps <= MAX_RAKE_BPS, "Rake above maximum");
+
+        rakeBps = _rakeBps;
+
+        emit RakeUpdated(_rakeBps);
+    }
+
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury");
+
+        treasury = _treasury;
+
+        emit TreasuryUpdated(_treasury);
+    }
+
+    function setResultSigner(address signer, bool authorized) external onlyOwner {
+        require(signer != address(0), "Invalid signer");
+        require(isResultSigner[signer] != authorized, "Signer unchanged");
+
+        isResultSigner[signer] = authorized;
+        if (authorized) {
+            resultSignerCount++;
+        } else {
+            resultSignerCount--;
+            require(resultSignerCount >= resultThreshold, "Threshold exceeds signers");
+        }
+
+        emit ResultSignerUpdated(signer, authorized);
+    }
+
+    function setResultThreshold(uint256 threshold) external onlyOwner {
+        require(threshold > 0 && threshold <= resultSignerCount, "Invalid threshold");
+
+        resultThreshold = threshold;
+
+        emit ResultThresholdUpdated(threshold);
+    }
+
+    function setMatchHost(address host, bool authorized) external onlyOwner {
+        require(host != address(0), "Invalid host");
+
+        isMatchHost[host] = authorized;
+
+        emit MatchHostUpdated(host, authorized);
+    }
+
+    // EIP-712 digest the result signers sign for a match outcome
+    function hashResult(bytes32 matchId, address winner) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(MATCH_RESULT_TYPEHASH, matchId, winner)));
+    }
+
     function createMatch(
         bytes32 matchId,
         address p1,
         address p2,
         uint256 stake
-    ) external onlyOwner {
-        require(p1 != address(0) && p2 != address(0), "Invalid addresses");
-        require(p1 != p2, "Players must be different");
-        require(stake > 0, "Stake must be greater than 0");
-        require(matches[matchId].p1 == address(0), "Match already exists");
-        
+    ) external onlyOwner whenNotPaused {
+        string memory error = _createMatch(matchId, p1, p2, stake, address(0));
+        require(bytes(error).length == 0, error);
+    }
+
+    // Match opened by a host contract for players whose GT it already
+    // holds: nothing is staked here and it starts STAKED, so it settles,
+    // times out and is refunded like any other match (but can't be drawn)
+    // and the host is told how it ends. Works while paused, since hosts
+    // open later rounds as results come in.
+    function createHostedMatch(bytes32 matchId, address p1, address p2) external {
+        require(isMatchHost[msg.sender], "Not a match host");
+
+        string memory error = _createMatch(matchId, p1, p2, 0, msg.sender);
+        require(bytes(error).length == 0, error);
+    }
+
+    // Creates every match that passes createMatch's checks; the others
+    // emit BatchItemFailed instead of reverting the batch
+    function createMatches(
+        bytes32[] calldata matchIds,
+        address[] calldata p1s,
+        address[] calldata p2s,
+        uint256[] calldata stakes
+    ) external onlyOwner whenNotPaused returns (bool[] memory created) {
+        require(
+            p1s.length == matchIds.length && p2s.length == matchIds.length && stakes.length == matchIds.length,
+            "Length mismatch"
+        );
+        require(matchIds.length > 0 && matchIds.length <= MAX_BATCH_SIZE, "Invalid batch size");
+
+        created = new bool[](matchIds.length);
+        for (uint256 i = 0; i < matchIds.length; i++) {
+            string memory error = _createMatch(matchIds[i], p1s[i], p2s[i], stakes[i], address(0));
+            if (bytes(error).length == 0) {
+                created[i] = true;
+            } else {
+                emit BatchItemFailed(matchIds[i], i, error);
+            }
+        }
+    }
+
+    // Returns the reason a match can't be created, or "" once it is
+    function _createMatch(
+        bytes32 matchId,
+        address p1,
+        address p2,
+        uint256 stake,
+        address host
+    ) internal returns (string memory) {
+        if (p1 == address(0) || p2 == address(0)) return "Invalid addresses";
+        if (p1 == p2) return "Players must be different";
+        if (stake == 0 && host == address(0)) return "Stake must be greater than 0";
+        if (matches[matchId].p1 != address(0)) return "Match already exists";
+
+        bool hosted = host != address(0);
         matches[matchId] = Match({
             p1: p1,
             p2: p2,
             stake: stake,
-            startTime: 0,
-            status: MatchStatus.PENDING,
-            p1Staked: false,
-            p2Staked: false
+            startTime: hosted ? block.timestamp : 0,
+            status: hosted ? MatchStatus.STAKED : MatchStatus.PENDING,
+            p1Staked: hosted,
+            p2Staked: hosted,
+            createdAt: block.timestamp,
+            rakeBps: rakeBps,
+            host: host
         });
-        
+
         emit MatchCreated(matchId, p1, p2, stake);
+        if (hosted) {
+            emit Staked(matchId, p1);
+            emit Staked(matchId, p2);
+        }
+        return "";
     }
     
     function stake(bytes32 matchId) external nonReentrant {
+        _stake(matchId, msg.sender);
+    }
+
+    // Stake with an EIP-2612 permit for exactly the match stake instead of
+    // a prior approve. The player can send it themselves, or the backend
+    // operator can relay it and pay the gas.
+    function stakeWithPermit(
+        bytes32 matchId,
+        address player,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        require(msg.sender == player || msg.sender == backendOperator, "Not player or relayer");
+
+        uint256 value = matches[matchId].stake;
+        try IERC20Permit(address(gameToken)).permit(player, address(this), value, deadline, v, r, s) {} catch {
+            // A player may fall back on an allowance they already gave. A
+            // relayer may not: the permit must be the player's, already
+            // used by whoever front-ran it
+            require(msg.sender == player || _permitUsed(player, value, deadline, v, r, s), "Invalid permit");
+        }
+
+        _stake(matchId, player);
+    }
+
+    // Whether (v, r, s) is the player's signature on the permit that used
+    // their latest nonce
+    function _permitUsed(
+        address player,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal view returns (bool) {
+        IERC20Permit token = IERC20Permit(address(gameToken));
+        uint256 nonce = token.nonces(player);
+        if (nonce == 0) return false;
+
+        bytes32 digest = MessageHashUtils.toTypedDataHash(
+            token.DOMAIN_SEPARATOR(),
+            keccak256(abi.encode(PERMIT_TYPEHASH, player, address(this), value, nonce - 1, deadline))
+        );
+        (address signer, ECDSA.RecoverError recoverError, ) = ECDSA.tryRecover(digest, v, r, s);
+        return recoverError == ECDSA.RecoverError.NoError && signer == player;
+    }
+
+    function _stake(bytes32 matchId, address player) internal whenNotPaused {
         Match storage matchData = matches[matchId];
         require(matchData.p1 != address(0), "Match does not exist");
         require(matchData.status == MatchStatus.PENDING, "Match not in pending status");
-        require(msg.sender == matchData.p1 || msg.sender == matchData.p2, "Not a player");
+        require(player == matchData.p1 || player == matchData.p2, "Not a player");
+        require(
+            block.timestamp < matchData.createdAt + STAKE_TIMEOUT_DURATION,
+            "Stake deadline passed"
+        );
         
-        if (msg.sender == matchData.p1) {
+        if (player == matchData.p1) {
             require(!matchData.p1Staked, "Already staked");
             matchData.p1Staked = true;
         } else {
@@ -78,11 +305,11 @@ contract PlayGame is Ownable, ReentrancyGuard {
         
         // Pull GT from player
         require(
-            gameToken.transferFrom(msg.sender, address(this), matchData.stake),
+            gameToken.transferFrom(player, address(this), matchData.stake),
             "GT transfer failed"
         );
         
-        emit Staked(matchId, msg.sender);
+        emit Staked(matchId, player);
         
         // Check if both players have staked
         if (matchData.p1Staked && matchData.p2Staked) {
@@ -91,26 +318,144 @@ contract PlayGame is Ownable, ReentrancyGuard {
         }
     }
     
-    function commitResult(bytes32 matchId, address winner) external nonReentrant {
+    function commitResult(
+        bytes32 matchId,
+        address winner,
+        bytes[] calldata signatures
+    ) external nonReentrant {
         require(msg.sender == backendOperator, "Only backend can commit result");
         
         Match storage matchData = matches[matchId];
         require(matchData.p1 != address(0), "Match does not exist");
         require(matchData.status == MatchStatus.STAKED, "Match not staked");
         require(winner == matchData.p1 || winner == matchData.p2, "Invalid winner");
+        _verifyResultSignatures(hashResult(matchId, winner), signatures);
         
-        // Transfer 2x stake to winner
-        uint256 payout = matchData.stake * 2;
+        _settle(matchId, winner);
+    }
+
+    // Tied game: both players get their stake back immediately
+    function commitDraw(bytes32 matchId, bytes[] calldata signatures) external nonReentrant {
+        require(msg.sender == backendOperator, "Only backend can commit result");
+
+        Match storage matchData = matches[matchId];
+        require(matchData.p1 != address(0), "Match does not exist");
+        require(matchData.status == MatchStatus.STAKED, "Match not staked");
+        require(matchData.host == address(0), "Hosted match cannot draw");
+        _verifyResultSignatures(hashResult(matchId, address(0)), signatures);
+
+        _draw(matchId);
+    }
+
+    // Settles each match, or draws it when its winner is address(0); items
+    // that fail commitResult's checks emit BatchItemFailed and are skipped
+    function commitResults(
+        bytes32[] calldata matchIds,
+        address[] calldata winners,
+        bytes[][] calldata signatures
+    ) external nonReentrant returns (bool[] memory settled) {
+        require(msg.sender == backendOperator, "Only backend can commit result");
+        require(winners.length == matchIds.length && signatures.length == matchIds.length, "Length mismatch");
+        require(matchIds.length > 0 && matchIds.length <= MAX_BATCH_SIZE, "Invalid batch size");
+
+        settled = new bool[](matchIds.length);
+        for (uint256 i = 0; i < matchIds.length; i++) {
+            string memory error = _resultError(matchIds[i], winners[i], signatures[i]);
+            if (bytes(error).length > 0) {
+                emit BatchItemFailed(matchIds[i], i, error);
+                continue;
+            }
+
+            if (winners[i] == address(0)) {
+                _draw(matchIds[i]);
+            } else {
+                _settle(matchIds[i], winners[i]);
+            }
+            settled[i] = true;
+        }
+    }
+
+    // Why a result (winner = address(0) for a draw) can't be committed, or ""
+    function _resultError(
+        bytes32 matchId,
+        address winner,
+        bytes[] calldata signatures
+    ) internal view returns (string memory) {
+        Match storage matchData = matches[matchId];
+        if (matchData.p1 == address(0)) return "Match does not exist";
+        if (matchData.status != MatchStatus.STAKED) return "Match not staked";
+        if (winner != address(0) && winner != matchData.p1 && winner != matchData.p2) return "Invalid winner";
+        if (winner == address(0) && matchData.host != address(0)) return "Hosted match cannot draw";
+        return _signatureError(hashResult(matchId, winner), signatures);
+    }
+
+    function _settle(bytes32 matchId, address winner) internal {
+        Match storage matchData = matches[matchId];
+
+        // Winner takes the pot minus the platform rake
+        uint256 pot = matchData.stake * 2;
+        uint256 fee = (pot * matchData.rakeBps) / 10000;
+        uint256 payout = pot - fee;
+
+        matchData.status = MatchStatus.SETTLED;
+
         require(
             gameToken.transfer(winner, payout),
             "GT transfer failed"
         );
+        if (fee > 0) {
+            require(
+                gameToken.transfer(treasury, fee),
+                "GT transfer failed"
+            );
+        }
         
-        matchData.status = MatchStatus.SETTLED;
-        
-        emit Settled(matchId, winner, payout);
+        emit Settled(matchId, winner, payout, fee);
+
+        if (matchData.host != address(0)) {
+            IMatchHost(matchData.host).onMatchSettled(matchId, winner);
+        }
     }
     
+    function _draw(bytes32 matchId) internal {
+        Match storage matchData = matches[matchId];
+
+        matchData.status = MatchStatus.DRAWN;
+
+        require(
+            gameToken.transfer(matchData.p1, matchData.stake),
+            "GT transfer failed"
+        );
+        require(
+            gameToken.transfer(matchData.p2, matchData.stake),
+            "GT transfer failed"
+        );
+
+        emit Drawn(matchId, matchData.p1, matchData.p2, matchData.stake);
+    }
+
+    function _verifyResultSignatures(bytes32 digest, bytes[] calldata signatures) internal view {
+        string memory error = _signatureError(digest, signatures);
+        require(bytes(error).length == 0, error);
+    }
+
+    // Signatures must come from distinct authorised signers, sorted by
+    // signer address (which makes duplicates cheap to reject)
+    function _signatureError(bytes32 digest, bytes[] calldata signatures) internal view returns (string memory) {
+        if (resultThreshold == 0) return "Result signers not configured";
+        if (signatures.length < resultThreshold) return "Not enough signatures";
+
+        address lastSigner = address(0);
+        for (uint256 i = 0; i < signatures.length; i++) {
+            (address signer, ECDSA.RecoverError recoverError, ) = ECDSA.tryRecover(digest, signatures[i]);
+            if (recoverError != ECDSA.RecoverError.NoError) return "Invalid signature";
+            if (!isResultSigner[signer]) return "Unauthorized result signer";
+            if (signer <= lastSigner) return "Signers not sorted or duplicated";
+            lastSigner = signer;
+        }
+        return "";
+    }
+
     function refund(bytes32 matchId) external nonReentrant {
         Match storage matchData = matches[matchId];
         require(matchData.p1 != address(0), "Match does not exist");
@@ -138,5 +483,39 @@ contract PlayGame is Ownable, ReentrancyGuard {
         matchData.status = MatchStatus.REFUNDED;
         
         emit Refunded(matchId, matchData.p1, matchData.p2, matchData.stake);
+
+        if (matchData.host != address(0)) {
+            IMatchHost(matchData.host).onMatchRefunded(matchId);
+        }
+    }
+
+    function cancel(bytes32 matchId) external nonReentrant {
+        Match storage matchData = matches[matchId];
+        require(matchData.p1 != address(0), "Match does not exist");
+        require(matchData.status == MatchStatus.PENDING, "Match not pending");
+        require(
+            msg.sender == owner() ||
+                block.timestamp >= matchData.createdAt + STAKE_TIMEOUT_DURATION,
+            "Stake deadline not reached"
+        );
+
+        matchData.status = MatchStatus.CANCELLED;
+
+        // Return any single-sided stake
+        if (matchData.p1Staked) {
+            require(
+                gameToken.transfer(matchData.p1, matchData.stake),
+                "GT transfer failed"
+            );
+        }
+
+        if (matchData.p2Staked) {
+            require(
+                gameToken.transfer(matchData.p2, matchData.stake),
+                "GT transfer failed"
+            );
+        }
+
+        emit Cancelled(matchId, matchData.p1Staked, matchData.p2Staked, matchData.stake);
     }
 }
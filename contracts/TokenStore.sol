@@ -3,15 +3,25 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "./GameToken.sol";
 
-contract TokenStore is Ownable, ReentrancyGuard {
+// Pausing stops buying only; redemptions stay open
+contract TokenStore is Ownable, ReentrancyGuard, Pausable {
     IERC20 public immutable usdt;
     GameToken public immutable gameToken;
-    uint256 public immutable gtPerUsdt;
+
+    // GT (18 decimals) per 1 USDT when buying, and when redeeming back.
+    // The redeem rate is never below the buy rate, so buy → redeem can't
+    // drain the reserve.
+    uint256 public gtPerUsdt;
+    uint256 public redeemGtPerUsdt;
     
     event Purchase(address indexed buyer, uint256 usdtAmount, uint256 gtOut);
+    event Redemption(address indexed redeemer, uint256 gtAmount, uint256 usdtOut);
+    event PriceUpdated(uint256 gtPerUsdt, uint256 redeemGtPerUsdt);
+    event Withdrawn(address indexed to, uint256 amount);
     
     constructor(
         address _usdt,
@@ -21,9 +31,33 @@ contract TokenStore is Ownable, ReentrancyGuard {
         usdt = IERC20(_usdt);
         gameToken = GameToken(_gameToken);
         gtPerUsdt = _gtPerUsdt;
+        redeemGtPerUsdt = _gtPerUsdt;
+    }
+
+    function setPrice(uint256 _gtPerUsdt, uint256 _redeemGtPerUsdt) external onlyOwner {
+        require(_gtPerUsdt > 0, "Invalid price");
+        require(_redeemGtPerUsdt >= _gtPerUsdt, "Redeem rate below buy rate");
+
+        gtPerUsdt = _gtPerUsdt;
+        redeemGtPerUsdt = _redeemGtPerUsdt;
+
+        emit PriceUpdated(_gtPerUsdt, _redeemGtPerUsdt);
+    }
+
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    // USDT held by the store and available for redemptions
+    function reserve() public view returns (uint256) {
+        return usdt.balanceOf(address(this));
     }
     
-    function buy(uint256 usdtAmount) external nonReentrant {
+    function buy(uint256 usdtAmount) external nonReentrant whenNotPaused {
         require(usdtAmount > 0, "Amount must be greater than 0");
         
         // Calculate GT to mint (USDT has 6 decimals, GT has 18 decimals)
@@ -42,6 +76,26 @@ contract TokenStore is Ownable, ReentrancyGuard {
         emit Purchase(msg.sender, usdtAmount, gtOut);
     }
     
+    // Burn GT and pay out USDT from the reserve; minUsdtOut protects the
+    // redeemer against a price change between quote and execution
+    function redeem(uint256 gtAmount, uint256 minUsdtOut) external nonReentrant {
+        require(gtAmount > 0, "Amount must be greater than 0");
+
+        uint256 usdtOut = (gtAmount * 1e6) / redeemGtPerUsdt;
+        require(usdtOut > 0, "Invalid conversion");
+        require(usdtOut >= minUsdtOut, "Price moved");
+        require(reserve() >= usdtOut, "Insufficient reserve");
+
+        gameToken.burn(msg.sender, gtAmount);
+
+        require(
+            usdt.transfer(msg.sender, usdtOut),
+            "USDT transfer failed"
+        );
+
+        emit Redemption(msg.sender, gtAmount, usdtOut);
+    }
+
     function withdrawUSDT(address to, uint256 amount) external onlyOwner {
         require(to != address(0), "Invalid address");
         require(amount > 0, "Amount must be greater than 0");
@@ -49,5 +103,7 @@ contract TokenStore is Ownable, ReentrancyGuard {
             usdt.transfer(to, amount),
             "USDT transfer failed"
         );
+
+        emit Withdrawn(to, amount);
     }
 }
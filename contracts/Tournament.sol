@@ -0,0 +1,290 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./PlayGame.sol";
+
+// Single-elimination tournaments. Entry fees are escrowed here as the
+// prize pool. Bracket matches are PlayGame hosted matches, opened as
+// players advance: results are committed (and signed) on PlayGame, which
+// reports each one back here, and a match that times out there is
+// refunded and cancels the tournament.
+contract Tournament is Ownable, ReentrancyGuard, IMatchHost {
+    IERC20 public immutable gameToken;
+    PlayGame public immutable playGame;
+
+    enum TournamentStatus { NONE, REGISTERING, RUNNING, FINISHED, CANCELLED }
+
+    struct TournamentInfo {
+        uint8 size;
+        TournamentStatus status;
+        uint256 entryFee;
+        uint256 registrationDeadline;
+        uint256 rakeBps; // PlayGame rake in force when it was created
+        uint16[3] payoutBps; // 1st, 2nd, and each semifinal loser
+        address champion;
+    }
+
+    struct BracketMatch {
+        bytes32 tournamentId;
+        uint8 round;
+        uint8 slot;
+        address p1;
+        address p2;
+        address winner;
+    }
+
+    mapping(bytes32 => TournamentInfo) private tournaments;
+    mapping(bytes32 => address[]) private entrants;
+    mapping(bytes32 => mapping(address => bool)) public isEntrant;
+    mapping(bytes32 => BracketMatch) public bracketMatches;
+    bytes32[] public tournamentIds;
+
+    event TournamentCreated(bytes32 indexed tournamentId, uint8 size, uint256 entryFee, uint256 registrationDeadline, uint16[3] payoutBps);
+    event TournamentJoined(bytes32 indexed tournamentId, address player, uint256 entrants);
+    event TournamentStarted(bytes32 indexed tournamentId);
+    event TournamentMatchCreated(bytes32 indexed tournamentId, bytes32 indexed matchId, uint8 round, uint8 slot, address p1, address p2);
+    event TournamentMatchResult(bytes32 indexed tournamentId, bytes32 indexed matchId, uint8 round, uint8 slot, address winner);
+    event PrizePaid(bytes32 indexed tournamentId, address player, uint8 place, uint256 amount);
+    event TournamentFinished(bytes32 indexed tournamentId, address champion, uint256 pool, uint256 fee);
+    event TournamentCancelled(bytes32 indexed tournamentId, uint256 refundPerEntrant, uint256 entrants);
+
+    // Pausing PlayGame also stops tournament creation and entry, so one
+    // switch halts new stakes; results and refunds stay available
+    modifier whenGameNotPaused() {
+        if (playGame.paused()) revert Pausable.EnforcedPause();
+        _;
+    }
+
+    modifier onlyPlayGame() {
+        require(msg.sender == address(playGame), "Only PlayGame");
+        _;
+    }
+
+    constructor(address _gameToken, address _playGame) Ownable(msg.sender) {
+        gameToken = IERC20(_gameToken);
+        playGame = PlayGame(_playGame);
+    }
+
+    // Deterministic ID of the bracket match at (round, slot); round 0 is the first round
+    function bracketMatchId(bytes32 tournamentId, uint8 round, uint8 slot) public pure returns (bytes32) {
+        return keccak256(abi.encode("Tournament", tournamentId, round, slot));
+    }
+
+    function rounds(uint8 size) public pure returns (uint8) {
+        if (size == 4) return 2;
+        if (size == 8) return 3;
+        if (size == 16) return 4;
+        revert("Invalid size");
+    }
+
+    function getTournament(bytes32 tournamentId) external view returns (TournamentInfo memory) {
+        return tournaments[tournamentId];
+    }
+
+    function getEntrants(bytes32 tournamentId) external view returns (address[] memory) {
+        return entrants[tournamentId];
+    }
+
+    function tournamentCount() external view returns (uint256) {
+        return tournamentIds.length;
+    }
+
+    function createTournament(
+        bytes32 tournamentId,
+        uint8 size,
+        uint256 entryFee,
+        uint256 registrationDeadline,
+        uint16[3] calldata payoutBps
+    ) external onlyOwner whenGameNotPaused {
+        rounds(size);
+        require(entryFee > 0, "Entry fee must be greater than 0");
+        require(registrationDeadline > block.timestamp, "Deadline must be in the future");
+        require(
+            uint256(payoutBps[0]) + payoutBps[1] + 2 * uint256(payoutBps[2]) == 10000,
+            "Payouts must total 10000 bps"
+        );
+        require(payoutBps[0] >= payoutBps[1] && payoutBps[1] >= payoutBps[2], "Payouts must not increase by place");
+        require(tournaments[tournamentId].status == TournamentStatus.NONE, "Tournament already exists");
+
+        tournaments[tournamentId] = TournamentInfo({
+            size: size,
+            status: TournamentStatus.REGISTERING,
+            entryFee: entryFee,
+            registrationDeadline: registrationDeadline,
+            rakeBps: playGame.rakeBps(),
+            payoutBps: payoutBps,
+            champion: address(0)
+        });
+        tournamentIds.push(tournamentId);
+
+        emit TournamentCreated(tournamentId, size, entryFee, registrationDeadline, payoutBps);
+    }
+
+    // Pay the entry fee; the bracket is seeded in join order once full
+    function join(bytes32 tournamentId) external nonReentrant whenGameNotPaused {
+        TournamentInfo storage info = tournaments[tournamentId];
+        require(info.status != TournamentStatus.NONE, "Tournament does not exist");
+        require(info.status == TournamentStatus.REGISTERING, "Registration closed");
+        require(block.timestamp < info.registrationDeadline, "Registration deadline passed");
+        require(!isEntrant[tournamentId][msg.sender], "Already joined");
+
+        isEntrant[tournamentId][msg.sender] = true;
+        entrants[tournamentId].push(msg.sender);
+
+        require(
+            gameToken.transferFrom(msg.sender, address(this), info.entryFee),
+            "GT transfer failed"
+        );
+
+        emit TournamentJoined(tournamentId, msg.sender, entrants[tournamentId].length);
+
+        if (entrants[tournamentId].length == info.size) {
+            info.status = TournamentStatus.RUNNING;
+
+            emit TournamentStarted(tournamentId);
+
+            address[] storage players = entrants[tournamentId];
+            for (uint8 slot = 0; slot < info.size / 2; slot++) {
+                _createBracketMatch(tournamentId, 0, slot, players[2 * slot], players[2 * slot + 1]);
+            }
+        }
+    }
+
+    // PlayGame settled one of our bracket matches. Results that arrive
+    // after the tournament was cancelled change nothing.
+    function onMatchSettled(bytes32 matchId, address winner) external onlyPlayGame nonReentrant {
+        BracketMatch storage matchData = bracketMatches[matchId];
+        TournamentInfo storage info = tournaments[matchData.tournamentId];
+        if (info.status != TournamentStatus.RUNNING) return;
+
+        matchData.winner = winner;
+
+        emit TournamentMatchResult(matchData.tournamentId, matchId, matchData.round, matchData.slot, winner);
+
+        uint8 finalRound = rounds(info.size) - 1;
+        if (matchData.round == finalRound) {
+            _finish(matchData.tournamentId, matchData);
+            return;
+        }
+
+        // Advance once the sibling match in this round has a winner too
+        bytes32 siblingId = bracketMatchId(matchData.tournamentId, matchData.round, matchData.slot ^ 1);
+        address siblingWinner = bracketMatches[siblingId].winner;
+        if (siblingWinner != address(0)) {
+            bool first = matchData.slot % 2 == 0;
+            _createBracketMatch(
+                matchData.tournamentId,
+                matchData.round + 1,
+                matchData.slot / 2,
+                first ? winner : siblingWinner,
+                first ? siblingWinner : winner
+            );
+        }
+    }
+
+    // A bracket match timed out on PlayGame and was refunded: the bracket
+    // can't finish, so every entrant gets their fee back
+    function onMatchRefunded(bytes32 matchId) external onlyPlayGame nonReentrant {
+        bytes32 tournamentId = bracketMatches[matchId].tournamentId;
+        if (tournaments[tournamentId].status != TournamentStatus.RUNNING) return;
+
+        _cancel(tournamentId);
+    }
+
+    // Refund every entrant before the bracket starts: the owner may cancel
+    // any time, and anyone once registration lapses unfilled. A running
+    // tournament is cancelled by refunding a timed-out match on PlayGame.
+    function cancel(bytes32 tournamentId) external nonReentrant {
+        TournamentInfo storage info = tournaments[tournamentId];
+        require(info.status != TournamentStatus.NONE, "Tournament does not exist");
+        require(info.status == TournamentStatus.REGISTERING, "Registration closed");
+        require(
+            msg.sender == owner() || block.timestamp >= info.registrationDeadline,
+            "Registration still open"
+        );
+
+        _cancel(tournamentId);
+    }
+
+    function _cancel(bytes32 tournamentId) internal {
+        TournamentInfo storage info = tournaments[tournamentId];
+        info.status = TournamentStatus.CANCELLED;
+
+        address[] storage players = entrants[tournamentId];
+        for (uint256 i = 0; i < players.length; i++) {
+            require(gameToken.transfer(players[i], info.entryFee), "GT transfer failed");
+        }
+
+        emit TournamentCancelled(tournamentId, info.entryFee, players.length);
+    }
+
+    function _createBracketMatch(bytes32 tournamentId, uint8 round, uint8 slot, address p1, address p2) internal {
+        bytes32 matchId = bracketMatchId(tournamentId, round, slot);
+
+        bracketMatches[matchId] = BracketMatch({
+            tournamentId: tournamentId,
+            round: round,
+            slot: slot,
+            p1: p1,
+            p2: p2,
+            winner: address(0)
+        });
+
+        playGame.createHostedMatch(matchId, p1, p2);
+
+        emit TournamentMatchCreated(tournamentId, matchId, round, slot, p1, p2);
+    }
+
+    // Pool minus the rake goes to the top finishers; the rake to treasury
+    function _finish(bytes32 tournamentId, BracketMatch storage finalMatch) internal {
+        TournamentInfo storage info = tournaments[tournamentId];
+        address champion = finalMatch.winner;
+
+        info.status = TournamentStatus.FINISHED;
+        info.champion = champion;
+
+        uint256 pool = info.entryFee * info.size;
+        uint256 fee = (pool * info.rakeBps) / 10000;
+
+        _payPrizes(tournamentId, info, champion, champion == finalMatch.p1 ? finalMatch.p2 : finalMatch.p1, pool - fee);
+
+        if (fee > 0) {
+            require(gameToken.transfer(playGame.treasury(), fee), "GT transfer failed");
+        }
+
+        emit TournamentFinished(tournamentId, champion, pool, fee);
+    }
+
+    // Champion, runner-up and both semifinal losers; rounding dust goes to the champion
+    function _payPrizes(
+        bytes32 tournamentId,
+        TournamentInfo storage info,
+        address champion,
+        address runnerUp,
+        uint256 prizes
+    ) internal {
+        uint256 second = (prizes * info.payoutBps[1]) / 10000;
+        uint256 third = (prizes * info.payoutBps[2]) / 10000;
+
+        _payPrize(tournamentId, champion, 1, prizes - second - 2 * third);
+        _payPrize(tournamentId, runnerUp, 2, second);
+
+        uint8 semifinal = rounds(info.size) - 2;
+        for (uint8 slot = 0; slot < 2; slot++) {
+            BracketMatch storage semi = bracketMatches[bracketMatchId(tournamentId, semifinal, slot)];
+            _payPrize(tournamentId, semi.winner == semi.p1 ? semi.p2 : semi.p1, 3, third);
+        }
+    }
+
+    function _payPrize(bytes32 tournamentId, address player, uint8 place, uint256 amount) internal {
+        if (amount == 0) return;
+
+        require(gameToken.transfer(player, amount), "GT transfer failed");
+
+        emit PrizePaid(tournamentId, player, place, amount);
+    }
+}
@@ -2,7 +2,13 @@ require("@nomicfoundation/hardhat-toolbox");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.20",
+  solidity: {
+    version: "0.8.20",
+    // Keeps PlayGame under the 24 KB (EIP-170) contract size limit
+    settings: {
+      optimizer: { enabled: true, runs: 200 }
+    }
+  },
   networks: {
     hardhat: {
       chainId: 1337
@@ -1,24 +1,53 @@
-const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
 
-async function main() {
+// Chains where the deployer and the next signers are throwaway dev accounts
+const LOCAL_CHAIN_IDS = [1337, 31337];
+
+// Address, code hash, deploy tx/block and full ABI for the manifest
+async function describeContract(contract, artifactName) {
+  const address = await contract.getAddress();
+  const receipt = await contract.deploymentTransaction().wait();
+  const { abi } = await hre.artifacts.readArtifact(artifactName);
+
+  return {
+    artifact: artifactName,
+    address: address,
+    // Hash of the runtime code actually on chain (immutables included)
+    codeHash: ethers.keccak256(await ethers.provider.getCode(address)),
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    abi: abi
+  };
+}
+
+/**
+ * Deploy MockUSDT, GameToken, TokenStore, PlayGame and Tournament to the
+ * current Hardhat network, wire them together and return the deployment
+ * manifest. Also used by the API's dev mode (api/devChain.js) against an
+ * in-process chain; pass `log` to quiet it.
+ */
+async function deploy({ log = console.log } = {}) {
   const [deployer] = await ethers.getSigners();
-  console.log("Deploying contracts with account:", deployer.address);
+  log("Deploying contracts with account:", deployer.address);
 
   // Deploy MockUSDT (6 decimals) for local testing
   const MockUSDT = await ethers.getContractFactory("MockUSDT");
   const mockUsdt = await MockUSDT.deploy();
   await mockUsdt.waitForDeployment();
-  console.log("MockUSDT deployed to:", await mockUsdt.getAddress());
+  log("MockUSDT deployed to:", await mockUsdt.getAddress());
 
   // Mint some USDT to deployer for testing
   await (await mockUsdt.mint(deployer.address, 1_000_000n * 10n ** 6n)).wait();
-  console.log("Minted 1,000,000 USDT to:", deployer.address);
+  log("Minted 1,000,000 USDT to:", deployer.address);
 
   // Deploy GameToken
   const GameToken = await ethers.getContractFactory("GameToken");
   const gameToken = await GameToken.deploy();
   await gameToken.waitForDeployment();
-  console.log("GameToken deployed to:", await gameToken.getAddress());
+  log("GameToken deployed to:", await gameToken.getAddress());
 
   // Deploy TokenStore with 1:1 conversion rate (1 USDT = 1 GT)
   const gtPerUsdt = ethers.parseUnits("1", 18); // 1e18
@@ -29,34 +58,132 @@ async function main() {
     gtPerUsdt
   );
   await tokenStore.waitForDeployment();
-  console.log("TokenStore deployed to:", await tokenStore.getAddress());
+  log("TokenStore deployed to:", await tokenStore.getAddress());
 
   // Deploy PlayGame
   const PlayGame = await ethers.getContractFactory("PlayGame");
   const playGame = await PlayGame.deploy(await gameToken.getAddress());
   await playGame.waitForDeployment();
-  console.log("PlayGame deployed to:", await playGame.getAddress());
+  log("PlayGame deployed to:", await playGame.getAddress());
+
+  // Deploy Tournament (escrows entry fees; its bracket matches are PlayGame matches)
+  const Tournament = await ethers.getContractFactory("Tournament");
+  const tournament = await Tournament.deploy(await gameToken.getAddress(), await playGame.getAddress());
+  await tournament.waitForDeployment();
+  log("Tournament deployed to:", await tournament.getAddress());
 
   // Set TokenStore as minter in GameToken
   await gameToken.setTokenStore(await tokenStore.getAddress());
-  console.log("TokenStore set as minter in GameToken");
+  log("TokenStore set as minter in GameToken");
 
   // Set backend operator in PlayGame (for demo, using deployer)
   await playGame.setBackendOperator(deployer.address);
-  console.log("Backend operator set in PlayGame");
+  log("Backend operator set in PlayGame");
+
+  // Let Tournament open its bracket matches on PlayGame
+  await (await playGame.setMatchHost(await tournament.getAddress(), true)).wait();
+  log("Tournament set as match host in PlayGame");
+
+  // Authorise the game-server result signers (EIP-712) and the threshold.
+  // RESULT_SIGNERS is a comma-separated address list; for local demos it
+  // defaults to the deployer with a threshold of 1.
+  const resultSigners = (process.env.RESULT_SIGNERS || deployer.address)
+    .split(",")
+    .map((address) => ethers.getAddress(address.trim()));
+  const resultThreshold = parseInt(process.env.RESULT_THRESHOLD || "1");
+  for (const signer of resultSigners) {
+    await (await playGame.setResultSigner(signer, true)).wait();
+  }
+  await (await playGame.setResultThreshold(resultThreshold)).wait();
+  log(`Result signers set in PlayGame (${resultThreshold} of ${resultSigners.length})`);
+
+  // Platform rake (basis points of the pot) and where it is paid
+  const treasury = ethers.getAddress(process.env.TREASURY_ADDRESS || deployer.address);
+  const rakeBps = parseInt(process.env.RAKE_BPS || "0");
+  await (await playGame.setTreasury(treasury)).wait();
+  await (await playGame.setRake(rakeBps)).wait();
+  log(`Rake set in PlayGame (${rakeBps} bps to ${treasury})`);
+
+  // Deployment manifest consumed by the API, web page and demo
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+  const contracts = {
+    usdt: await describeContract(mockUsdt, "MockUSDT"),
+    gameToken: await describeContract(gameToken, "GameToken"),
+    tokenStore: await describeContract(tokenStore, "TokenStore"),
+    playGame: await describeContract(playGame, "PlayGame"),
+    tournament: await describeContract(tournament, "Tournament")
+  };
+  const manifest = {
+    chainId: chainId,
+    network: hre.network.name,
+    deployedAt: new Date().toISOString(),
+    deployer: deployer.address,
+    deployBlock: Math.min(...Object.values(contracts).map((contract) => contract.blockNumber)),
+    contracts: contracts,
+    // Contract links checked by consumers before they start; only links
+    // that never change (the backend operator is rotated by the owner)
+    wiring: [
+      { contract: "gameToken", getter: "tokenStore", expected: contracts.tokenStore.address },
+      { contract: "tokenStore", getter: "usdt", expected: contracts.usdt.address },
+      { contract: "tokenStore", getter: "gameToken", expected: contracts.gameToken.address },
+      { contract: "playGame", getter: "gameToken", expected: contracts.gameToken.address },
+      { contract: "tournament", getter: "gameToken", expected: contracts.gameToken.address },
+      { contract: "tournament", getter: "playGame", expected: contracts.playGame.address }
+    ],
+    // Settings at deploy time (owner-adjustable afterwards)
+    config: {
+      gtPerUsdt: gtPerUsdt.toString(),
+      backendOperator: deployer.address,
+      resultSigners: resultSigners,
+      resultThreshold: resultThreshold,
+      treasury: treasury,
+      rakeBps: rakeBps
+    }
+  };
+  if (LOCAL_CHAIN_IDS.includes(chainId)) {
+    const [, player1, player2] = await ethers.getSigners();
+    manifest.accounts = { players: [player1.address, player2.address] };
+  }
+
+  return manifest;
+}
+
+// contracts/deployments/<chainId>.json, read by the API, web page and demo
+function writeManifest(manifest) {
+  const manifestDir = path.join(__dirname, "..", "deployments");
+  const manifestFile = path.join(manifestDir, `${manifest.chainId}.json`);
+  fs.mkdirSync(manifestDir, { recursive: true });
+  fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2) + "\n");
+  return manifestFile;
+}
+
+async function main() {
+  const manifest = await deploy();
+  const manifestFile = writeManifest(manifest);
+  const { contracts, config } = manifest;
 
   console.log("\nDeployment Summary:");
   console.log("===================");
-  console.log("GameToken:", await gameToken.getAddress());
-  console.log("TokenStore:", await tokenStore.getAddress());
-  console.log("PlayGame:", await playGame.getAddress());
-  console.log("GT per USDT:", ethers.formatUnits(gtPerUsdt, 18));
-  console.log("Backend Operator:", deployer.address);
+  console.log("GameToken:", contracts.gameToken.address);
+  console.log("TokenStore:", contracts.tokenStore.address);
+  console.log("PlayGame:", contracts.playGame.address);
+  console.log("Tournament:", contracts.tournament.address);
+  console.log("GT per USDT:", ethers.formatUnits(config.gtPerUsdt, 18));
+  console.log("Backend Operator:", config.backendOperator);
+  console.log("Result Signers:", config.resultSigners.join(", "));
+  console.log("Result Threshold:", config.resultThreshold);
+  console.log("Treasury:", config.treasury);
+  console.log("Rake (bps):", config.rakeBps);
+  console.log("Manifest:", manifestFile);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+module.exports = { deploy, writeManifest, LOCAL_CHAIN_IDS };
@@ -34,6 +34,8 @@ describe("Wesee Blockchain Game", function () {
 
     // Set backend operator
     await playGame.setBackendOperator(backend.address);
+    await playGame.setResultSigner(backend.address, true);
+    await playGame.setResultThreshold(1);
 
     // Give some USDT to players
     await usdtMock.mint(player1.address, ethers.parseUnits("100", 6));
@@ -54,6 +56,7 @@ describe("Wesee Blockchain Game", function () {
     });
 
     it("Should allow TokenStore to mint", async function () {
+      await usdtMock.connect(player1).approve(await tokenStore.getAddress(), ethers.parseUnits("10", 6));
       await tokenStore.connect(player1).buy(ethers.parseUnits("10", 6));
       expect(await gameToken.balanceOf(player1.address)).to.equal(ethers.parseUnits("10", 18));
     });
@@ -83,8 +86,10 @@ describe("Wesee Blockchain Game", function () {
   describe("PlayGame", function () {
     beforeEach(async function () {
       // Give players some GT tokens
-      await tokenStore.connect(player1).buy(ethers.parseUnits("20", 6));
-      await tokenStore.connect(player2).buy(ethers.parseUnits("20", 6));
+      for (const player of [player1, player2]) {
+        await usdtMock.connect(player).approve(await tokenStore.getAddress(), ethers.parseUnits("20", 6));
+        await tokenStore.connect(player).buy(ethers.parseUnits("20", 6));
+      }
     });
 
     it("Should create match correctly", async function () {
@@ -130,19 +135,29 @@ describe("Wesee Blockchain Game", function () {
       await playGame.connect(player2).stake(matchId);
 
       // Backend settles match
-      await playGame.connect(backend).commitResult(matchId, player1.address);
+      const signature = await backend.signTypedData(
+        {
+          name: "PlayGame",
+          version: "1",
+          chainId: (await ethers.provider.getNetwork()).chainId,
+          verifyingContract: await playGame.getAddress()
+        },
+        { MatchResult: [{ name: "matchId", type: "bytes32" }, { name: "winner", type: "address" }] },
+        { matchId, winner: player1.address }
+      );
+      await playGame.connect(backend).commitResult(matchId, player1.address, [signature]);
 
       const match = await playGame.matches(matchId);
       expect(match.status).to.equal(2); // SETTLED
 
-      // Winner should have 2x stake
-      expect(await gameToken.balanceOf(player1.address)).to.equal(ethers.parseUnits("20", 18));
+      // Winner keeps the 10 GT it didn't stake and takes the 20 GT pot
+      expect(await gameToken.balanceOf(player1.address)).to.equal(ethers.parseUnits("30", 18));
     });
   });
 });
 
 // Mock USDT contract for testing
-contract("MockUSDT", function () {
+describe("MockUSDT", function () {
   let mockUSDT;
   let owner;
 
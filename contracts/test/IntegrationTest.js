@@ -1,5 +1,23 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// EIP-712 result signatures from game servers, sorted by signer address
+async function signResult(contract, signers, matchId, winner) {
+  const [, name, version, chainId, verifyingContract] = await contract.eip712Domain();
+  const domain = { name, version, chainId, verifyingContract };
+  const types = {
+    MatchResult: [
+      { name: "matchId", type: "bytes32" },
+      { name: "winner", type: "address" }
+    ]
+  };
+
+  const sorted = [...signers].sort((a, b) =>
+    BigInt(a.address) < BigInt(b.address) ? -1 : 1
+  );
+  return Promise.all(sorted.map(signer => signer.signTypedData(domain, types, { matchId, winner })));
+}
 
 describe("Wesee Blockchain Gaming Platform - Integration Tests", function () {
   let deployer, player1, player2, backendOperator;
@@ -30,6 +48,8 @@ describe("Wesee Blockchain Gaming Platform - Integration Tests", function () {
     // Setup permissions
     await gameToken.setTokenStore(await tokenStore.getAddress());
     await playGame.setBackendOperator(backendOperator.address);
+    await playGame.setResultSigner(backendOperator.address, true);
+    await playGame.setResultThreshold(1);
     
     // Mint USDT to players for testing
     await mockUsdt.mint(player1.address, 1_000_000n * 10n ** 6n); // 1M USDT
@@ -63,6 +83,81 @@ describe("Wesee Blockchain Gaming Platform - Integration Tests", function () {
     });
   });
 
+  describe("Redemption & Pricing", function () {
+    const usdtAmount = 100n * 10n ** 6n; // 100 USDT
+
+    beforeEach(async function () {
+      await mockUsdt.connect(player1).approve(await tokenStore.getAddress(), usdtAmount);
+      await tokenStore.connect(player1).buy(usdtAmount);
+    });
+
+    it("Should burn GT and pay USDT from the reserve", async function () {
+      const gtAmount = ethers.parseUnits("40", 18);
+      const usdtBefore = await mockUsdt.balanceOf(player1.address);
+
+      await expect(tokenStore.connect(player1).redeem(gtAmount, 40n * 10n ** 6n))
+        .to.emit(tokenStore, "Redemption")
+        .withArgs(player1.address, gtAmount, 40n * 10n ** 6n)
+        .and.to.emit(gameToken, "Burned")
+        .withArgs(player1.address, gtAmount);
+
+      expect(await mockUsdt.balanceOf(player1.address)).to.equal(usdtBefore + 40n * 10n ** 6n);
+      expect(await gameToken.totalSupply()).to.equal(ethers.parseUnits("60", 18));
+      expect(await tokenStore.reserve()).to.equal(60n * 10n ** 6n);
+    });
+
+    it("Should redeem at the separate redeem rate", async function () {
+      // Buy at 1 GT per USDT, redeem at 1.25 GT per USDT (20% spread)
+      await expect(tokenStore.setPrice(gtPerUsdt, ethers.parseUnits("1.25", 18)))
+        .to.emit(tokenStore, "PriceUpdated")
+        .withArgs(gtPerUsdt, ethers.parseUnits("1.25", 18));
+
+      await expect(tokenStore.connect(player1).redeem(ethers.parseUnits("50", 18), 0))
+        .to.emit(tokenStore, "Redemption")
+        .withArgs(player1.address, ethers.parseUnits("50", 18), 40n * 10n ** 6n);
+    });
+
+    it("Should apply an updated buy price", async function () {
+      await tokenStore.setPrice(ethers.parseUnits("2", 18), ethers.parseUnits("2", 18));
+      await mockUsdt.connect(player2).approve(await tokenStore.getAddress(), usdtAmount);
+
+      await expect(tokenStore.connect(player2).buy(usdtAmount))
+        .to.emit(tokenStore, "Purchase")
+        .withArgs(player2.address, usdtAmount, ethers.parseUnits("200", 18));
+    });
+
+    it("Should reject redemptions the reserve can't cover", async function () {
+      await tokenStore.withdrawUSDT(deployer.address, 90n * 10n ** 6n);
+
+      await expect(tokenStore.connect(player1).redeem(ethers.parseUnits("11", 18), 0))
+        .to.be.revertedWith("Insufficient reserve");
+      await tokenStore.connect(player1).redeem(ethers.parseUnits("10", 18), 0);
+      expect(await tokenStore.reserve()).to.equal(0);
+    });
+
+    it("Should revert if the price moved below the minimum output", async function () {
+      await tokenStore.setPrice(gtPerUsdt, ethers.parseUnits("2", 18));
+
+      await expect(tokenStore.connect(player1).redeem(ethers.parseUnits("10", 18), 10n * 10n ** 6n))
+        .to.be.revertedWith("Price moved");
+    });
+
+    it("Should validate prices and restrict them to the owner", async function () {
+      await expect(tokenStore.setPrice(0, 0)).to.be.revertedWith("Invalid price");
+      await expect(tokenStore.setPrice(gtPerUsdt, gtPerUsdt - 1n))
+        .to.be.revertedWith("Redeem rate below buy rate");
+      await expect(tokenStore.connect(player1).setPrice(gtPerUsdt, gtPerUsdt))
+        .to.be.revertedWithCustomError(tokenStore, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should only let the TokenStore burn GT", async function () {
+      await expect(gameToken.connect(player1).burn(player1.address, 1n))
+        .to.be.revertedWith("Only TokenStore can burn");
+      await expect(tokenStore.connect(player1).redeem(0, 0))
+        .to.be.revertedWith("Amount must be greater than 0");
+    });
+  });
+
   describe("Game Flow Integration", function () {
     let matchId;
     const stake = ethers.parseUnits("100", 18); // 100 GT
@@ -99,7 +194,8 @@ describe("Wesee Blockchain Gaming Platform - Integration Tests", function () {
       expect(match.p2Staked).to.be.true;
       
       // 5. Submit result (Player1 wins)
-      await playGame.connect(backendOperator).commitResult(matchId, player1.address);
+      const signatures = await signResult(playGame, [backendOperator], matchId, player1.address);
+      await playGame.connect(backendOperator).commitResult(matchId, player1.address, signatures);
       
       // 6. Check final state
       const finalMatch = await playGame.matches(matchId);
@@ -129,9 +225,10 @@ describe("Wesee Blockchain Gaming Platform - Integration Tests", function () {
         .withArgs(matchId, player2.address);
       
       // Result event
-      await expect(playGame.connect(backendOperator).commitResult(matchId, player1.address))
+      const signatures = await signResult(playGame, [backendOperator], matchId, player1.address);
+      await expect(playGame.connect(backendOperator).commitResult(matchId, player1.address, signatures))
         .to.emit(playGame, "Settled")
-        .withArgs(matchId, player1.address, stake * 2n);
+        .withArgs(matchId, player1.address, stake * 2n, 0);
     });
   });
 
@@ -159,7 +256,7 @@ describe("Wesee Blockchain Gaming Platform - Integration Tests", function () {
       await playGame.connect(deployer).createMatch(matchId, player1.address, player2.address, stake);
       
       // Try to submit result as non-operator
-      await expect(playGame.connect(player1).commitResult(matchId, player1.address))
+      await expect(playGame.connect(player1).commitResult(matchId, player1.address, []))
         .to.be.revertedWith("Only backend can commit result");
     });
   });
@@ -185,9 +282,18 @@ describe("Wesee Blockchain Gaming Platform - Integration Tests", function () {
       const stake = ethers.parseUnits("100", 18);
       
       await playGame.connect(deployer).createMatch(matchId, player1.address, player2.address, stake);
+
+      // Both players stake so the winner check is what rejects the result
+      const usdtAmount = 100_000n * 10n ** 6n; // 100 USDT
+      for (const player of [player1, player2]) {
+        await mockUsdt.connect(player).approve(await tokenStore.getAddress(), usdtAmount);
+        await tokenStore.connect(player).buy(usdtAmount);
+        await gameToken.connect(player).approve(await playGame.getAddress(), stake);
+        await playGame.connect(player).stake(matchId);
+      }
       
       // Try to submit invalid winner
-      await expect(playGame.connect(backendOperator).commitResult(matchId, deployer.address))
+      await expect(playGame.connect(backendOperator).commitResult(matchId, deployer.address, []))
         .to.be.revertedWith("Invalid winner");
     });
   });
@@ -206,6 +312,866 @@ describe("Wesee Blockchain Gaming Platform - Integration Tests", function () {
     });
   });
 
+  describe("Pending Match Cancellation", function () {
+    let matchId;
+    const stake = ethers.parseUnits("100", 18);
+
+    beforeEach(async function () {
+      const usdtAmount = 200_000n * 10n ** 6n;
+      await mockUsdt.connect(player1).approve(await tokenStore.getAddress(), usdtAmount);
+      await tokenStore.connect(player1).buy(usdtAmount);
+
+      matchId = ethers.keccak256(ethers.toUtf8Bytes("stuck-match"));
+      await playGame.connect(deployer).createMatch(matchId, player1.address, player2.address, stake);
+
+      // Only player1 stakes; player2 never shows up
+      await gameToken.connect(player1).approve(await playGame.getAddress(), stake);
+      await playGame.connect(player1).stake(matchId);
+    });
+
+    it("Should keep a single-sided stake locked in PENDING", async function () {
+      const match = await playGame.matches(matchId);
+      expect(match.status).to.equal(0); // PENDING
+      expect(match.p1Staked).to.be.true;
+      expect(match.p2Staked).to.be.false;
+
+      await expect(playGame.refund(matchId))
+        .to.be.revertedWith("Match not staked");
+    });
+
+    it("Should not allow cancellation before the stake deadline", async function () {
+      await expect(playGame.connect(player1).cancel(matchId))
+        .to.be.revertedWith("Stake deadline not reached");
+    });
+
+    it("Should return the single-sided stake after the stake deadline", async function () {
+      const balanceBefore = await gameToken.balanceOf(player1.address);
+
+      await time.increase(await playGame.STAKE_TIMEOUT_DURATION());
+
+      await expect(playGame.connect(player1).cancel(matchId))
+        .to.emit(playGame, "Cancelled")
+        .withArgs(matchId, true, false, stake);
+
+      const match = await playGame.matches(matchId);
+      expect(match.status).to.equal(4); // CANCELLED
+      expect(await gameToken.balanceOf(player1.address)).to.equal(balanceBefore + stake);
+      expect(await gameToken.balanceOf(await playGame.getAddress())).to.equal(0);
+    });
+
+    it("Should allow the owner to cancel before the stake deadline", async function () {
+      await expect(playGame.connect(deployer).cancel(matchId))
+        .to.emit(playGame, "Cancelled")
+        .withArgs(matchId, true, false, stake);
+    });
+
+    it("Should reject staking after the stake deadline", async function () {
+      await time.increase(await playGame.STAKE_TIMEOUT_DURATION());
+
+      await gameToken.connect(player2).approve(await playGame.getAddress(), stake);
+      await expect(playGame.connect(player2).stake(matchId))
+        .to.be.revertedWith("Stake deadline passed");
+    });
+
+    it("Should not cancel a match twice or once fully staked", async function () {
+      await playGame.connect(deployer).cancel(matchId);
+      await expect(playGame.connect(deployer).cancel(matchId))
+        .to.be.revertedWith("Match not pending");
+
+      const stakedId = ethers.keccak256(ethers.toUtf8Bytes("fully-staked"));
+      const usdtAmount = 200_000n * 10n ** 6n;
+      await mockUsdt.connect(player2).approve(await tokenStore.getAddress(), usdtAmount);
+      await tokenStore.connect(player2).buy(usdtAmount);
+      await playGame.connect(deployer).createMatch(stakedId, player1.address, player2.address, stake);
+      await gameToken.connect(player1).approve(await playGame.getAddress(), stake);
+      await gameToken.connect(player2).approve(await playGame.getAddress(), stake);
+      await playGame.connect(player1).stake(stakedId);
+      await playGame.connect(player2).stake(stakedId);
+
+      await expect(playGame.connect(deployer).cancel(stakedId))
+        .to.be.revertedWith("Match not pending");
+    });
+  });
+
+  describe("Signed Results", function () {
+    let matchId, signerA, signerB, signerC, outsider;
+    const stake = ethers.parseUnits("100", 18);
+
+    beforeEach(async function () {
+      [, , , , signerA, signerB, signerC, outsider] = await ethers.getSigners();
+
+      // Replace the single backend signer with a 2-of-3 set
+      await playGame.setResultSigner(signerA.address, true);
+      await playGame.setResultSigner(signerB.address, true);
+      await playGame.setResultSigner(signerC.address, true);
+      await playGame.setResultThreshold(2);
+      await playGame.setResultSigner(backendOperator.address, false);
+
+      const usdtAmount = 200_000n * 10n ** 6n;
+      for (const player of [player1, player2]) {
+        await mockUsdt.connect(player).approve(await tokenStore.getAddress(), usdtAmount);
+        await tokenStore.connect(player).buy(usdtAmount);
+        await gameToken.connect(player).approve(await playGame.getAddress(), stake);
+      }
+
+      matchId = ethers.keccak256(ethers.toUtf8Bytes("signed-match"));
+      await playGame.connect(deployer).createMatch(matchId, player1.address, player2.address, stake);
+      await playGame.connect(player1).stake(matchId);
+      await playGame.connect(player2).stake(matchId);
+    });
+
+    it("Should settle with signatures from the threshold of signers", async function () {
+      const signatures = await signResult(playGame, [signerA, signerC], matchId, player2.address);
+
+      await expect(playGame.connect(backendOperator).commitResult(matchId, player2.address, signatures))
+        .to.emit(playGame, "Settled")
+        .withArgs(matchId, player2.address, stake * 2n, 0);
+    });
+
+    it("Should reject fewer signatures than the threshold", async function () {
+      const signatures = await signResult(playGame, [signerA], matchId, player1.address);
+
+      await expect(playGame.connect(backendOperator).commitResult(matchId, player1.address, signatures))
+        .to.be.revertedWith("Not enough signatures");
+    });
+
+    it("Should reject signatures from unauthorised signers", async function () {
+      const signatures = await signResult(playGame, [signerA, outsider], matchId, player1.address);
+
+      await expect(playGame.connect(backendOperator).commitResult(matchId, player1.address, signatures))
+        .to.be.revertedWith("Unauthorized result signer");
+    });
+
+    it("Should reject the same signer counted twice", async function () {
+      const [signature] = await signResult(playGame, [signerA], matchId, player1.address);
+
+      await expect(playGame.connect(backendOperator).commitResult(matchId, player1.address, [signature, signature]))
+        .to.be.revertedWith("Signers not sorted or duplicated");
+    });
+
+    it("Should not let the backend redirect a signed result to another winner", async function () {
+      const signatures = await signResult(playGame, [signerA, signerB], matchId, player1.address);
+
+      await expect(playGame.connect(backendOperator).commitResult(matchId, player2.address, signatures))
+        .to.be.revertedWith("Unauthorized result signer");
+    });
+
+    it("Should match the off-chain EIP-712 digest", async function () {
+      const digest = ethers.TypedDataEncoder.hash(
+        {
+          name: "PlayGame",
+          version: "1",
+          chainId: (await ethers.provider.getNetwork()).chainId,
+          verifyingContract: await playGame.getAddress()
+        },
+        { MatchResult: [{ name: "matchId", type: "bytes32" }, { name: "winner", type: "address" }] },
+        { matchId, winner: player1.address }
+      );
+
+      expect(await playGame.hashResult(matchId, player1.address)).to.equal(digest);
+    });
+
+    it("Should keep the threshold within the number of signers", async function () {
+      await expect(playGame.setResultThreshold(0)).to.be.revertedWith("Invalid threshold");
+      await expect(playGame.setResultThreshold(4)).to.be.revertedWith("Invalid threshold");
+
+      await playGame.setResultThreshold(3);
+      await expect(playGame.setResultSigner(signerA.address, false))
+        .to.be.revertedWith("Threshold exceeds signers");
+
+      await expect(playGame.connect(player1).setResultSigner(outsider.address, true))
+        .to.be.revertedWithCustomError(playGame, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Draws", function () {
+    let matchId;
+    const stake = ethers.parseUnits("100", 18);
+
+    beforeEach(async function () {
+      const usdtAmount = 200_000n * 10n ** 6n;
+      for (const player of [player1, player2]) {
+        await mockUsdt.connect(player).approve(await tokenStore.getAddress(), usdtAmount);
+        await tokenStore.connect(player).buy(usdtAmount);
+        await gameToken.connect(player).approve(await playGame.getAddress(), stake);
+      }
+
+      matchId = ethers.keccak256(ethers.toUtf8Bytes("draw-match"));
+      await playGame.connect(deployer).createMatch(matchId, player1.address, player2.address, stake);
+      await playGame.connect(player1).stake(matchId);
+      await playGame.connect(player2).stake(matchId);
+    });
+
+    it("Should return both stakes and mark the match DRAWN", async function () {
+      const p1Before = await gameToken.balanceOf(player1.address);
+      const p2Before = await gameToken.balanceOf(player2.address);
+      const signatures = await signResult(playGame, [backendOperator], matchId, ethers.ZeroAddress);
+
+      await expect(playGame.connect(backendOperator).commitDraw(matchId, signatures))
+        .to.emit(playGame, "Drawn")
+        .withArgs(matchId, player1.address, player2.address, stake);
+
+      const match = await playGame.matches(matchId);
+      expect(match.status).to.equal(5); // DRAWN
+      expect(await gameToken.balanceOf(player1.address)).to.equal(p1Before + stake);
+      expect(await gameToken.balanceOf(player2.address)).to.equal(p2Before + stake);
+      expect(await gameToken.balanceOf(await playGame.getAddress())).to.equal(0);
+    });
+
+    it("Should not accept a win signature as a draw", async function () {
+      const signatures = await signResult(playGame, [backendOperator], matchId, player1.address);
+
+      await expect(playGame.connect(backendOperator).commitDraw(matchId, signatures))
+        .to.be.revertedWith("Unauthorized result signer");
+    });
+
+    it("Should only draw a staked match once, from the backend", async function () {
+      const signatures = await signResult(playGame, [backendOperator], matchId, ethers.ZeroAddress);
+
+      await expect(playGame.connect(player1).commitDraw(matchId, signatures))
+        .to.be.revertedWith("Only backend can commit result");
+
+      await playGame.connect(backendOperator).commitDraw(matchId, signatures);
+      await expect(playGame.connect(backendOperator).commitDraw(matchId, signatures))
+        .to.be.revertedWith("Match not staked");
+      await expect(playGame.refund(matchId)).to.be.revertedWith("Match not staked");
+    });
+  });
+
+  describe("Platform Rake", function () {
+    let treasury;
+    const stake = ethers.parseUnits("100", 18);
+
+    async function playMatch(id) {
+      await playGame.connect(deployer).createMatch(id, player1.address, player2.address, stake);
+      await playGame.connect(player1).stake(id);
+      await playGame.connect(player2).stake(id);
+    }
+
+    beforeEach(async function () {
+      [, , , , treasury] = await ethers.getSigners();
+
+      const usdtAmount = 500_000n * 10n ** 6n;
+      for (const player of [player1, player2]) {
+        await mockUsdt.connect(player).approve(await tokenStore.getAddress(), usdtAmount);
+        await tokenStore.connect(player).buy(usdtAmount);
+        await gameToken.connect(player).approve(await playGame.getAddress(), ethers.MaxUint256);
+      }
+
+      await playGame.setTreasury(treasury.address);
+      await playGame.setRake(250); // 2.5%
+    });
+
+    it("Should pay the rake to the treasury and record it in Settled", async function () {
+      const matchId = ethers.keccak256(ethers.toUtf8Bytes("raked-match"));
+      await playMatch(matchId);
+
+      const pot = stake * 2n;
+      const fee = (pot * 250n) / 10000n;
+      const winnerBefore = await gameToken.balanceOf(player1.address);
+      const signatures = await signResult(playGame, [backendOperator], matchId, player1.address);
+
+      await expect(playGame.connect(backendOperator).commitResult(matchId, player1.address, signatures))
+        .to.emit(playGame, "Settled")
+        .withArgs(matchId, player1.address, pot - fee, fee);
+
+      expect(await gameToken.balanceOf(player1.address)).to.equal(winnerBefore + pot - fee);
+      expect(await gameToken.balanceOf(treasury.address)).to.equal(fee);
+      expect(await gameToken.balanceOf(await playGame.getAddress())).to.equal(0);
+    });
+
+    it("Should apply the rake in force when the match was created", async function () {
+      const matchId = ethers.keccak256(ethers.toUtf8Bytes("rake-snapshot"));
+      await playMatch(matchId);
+      await playGame.setRake(1000);
+
+      const pot = stake * 2n;
+      const signatures = await signResult(playGame, [backendOperator], matchId, player2.address);
+
+      await expect(playGame.connect(backendOperator).commitResult(matchId, player2.address, signatures))
+        .to.emit(playGame, "Settled")
+        .withArgs(matchId, player2.address, pot - (pot * 250n) / 10000n, (pot * 250n) / 10000n);
+      expect((await playGame.matches(matchId)).rakeBps).to.equal(250);
+    });
+
+    it("Should not take a rake on draws", async function () {
+      const matchId = ethers.keccak256(ethers.toUtf8Bytes("raked-draw"));
+      await playMatch(matchId);
+
+      const signatures = await signResult(playGame, [backendOperator], matchId, ethers.ZeroAddress);
+      await playGame.connect(backendOperator).commitDraw(matchId, signatures);
+
+      expect(await gameToken.balanceOf(treasury.address)).to.equal(0);
+    });
+
+    it("Should cap the rake and restrict configuration to the owner", async function () {
+      await expect(playGame.setRake(1001)).to.be.revertedWith("Rake above maximum");
+      await expect(playGame.setTreasury(ethers.ZeroAddress)).to.be.revertedWith("Invalid treasury");
+
+      await expect(playGame.connect(player1).setRake(100))
+        .to.be.revertedWithCustomError(playGame, "OwnableUnauthorizedAccount");
+      await expect(playGame.connect(player1).setTreasury(player1.address))
+        .to.be.revertedWithCustomError(playGame, "OwnableUnauthorizedAccount");
+
+      await expect(playGame.setRake(1000)).to.emit(playGame, "RakeUpdated").withArgs(1000);
+    });
+  });
+
+  describe("Batch Operations", function () {
+    const stake = ethers.parseUnits("10", 18);
+    const ids = ["batch-1", "batch-2", "batch-3"].map(id => ethers.keccak256(ethers.toUtf8Bytes(id)));
+
+    beforeEach(async function () {
+      const usdtAmount = 100n * 10n ** 6n;
+      for (const player of [player1, player2]) {
+        await mockUsdt.connect(player).approve(await tokenStore.getAddress(), usdtAmount);
+        await tokenStore.connect(player).buy(usdtAmount);
+        await gameToken.connect(player).approve(await playGame.getAddress(), ethers.MaxUint256);
+      }
+    });
+
+    it("Should create valid matches and report the rest without reverting", async function () {
+      await playGame.createMatch(ids[0], player1.address, player2.address, stake);
+
+      const batch = [
+        [ids[0], ids[1], ids[2], ethers.ZeroHash],
+        [player1.address, player1.address, player2.address, player1.address],
+        [player2.address, player2.address, player2.address, player2.address],
+        [stake, stake, stake, 0]
+      ];
+      expect(await playGame.createMatches.staticCall(...batch)).to.deep.equal([false, true, false, false]);
+
+      await expect(playGame.createMatches(...batch))
+        .to.emit(playGame, "BatchItemFailed").withArgs(ids[0], 0, "Match already exists")
+        .and.to.emit(playGame, "MatchCreated").withArgs(ids[1], player1.address, player2.address, stake)
+        .and.to.emit(playGame, "BatchItemFailed").withArgs(ids[2], 2, "Players must be different")
+        .and.to.emit(playGame, "BatchItemFailed").withArgs(ethers.ZeroHash, 3, "Stake must be greater than 0");
+
+      expect((await playGame.matches(ids[1])).p1).to.equal(player1.address);
+      expect((await playGame.matches(ids[2])).p1).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should settle and draw in one batch, skipping invalid results", async function () {
+      const stakes = [stake, stake, stake];
+      await playGame.createMatches(ids, [player1.address, player1.address, player1.address], [player2.address, player2.address, player2.address], stakes);
+      for (const matchId of ids.slice(0, 2)) {
+        await playGame.connect(player1).stake(matchId);
+        await playGame.connect(player2).stake(matchId);
+      }
+
+      const winSignatures = await signResult(playGame, [backendOperator], ids[0], player1.address);
+      const drawSignatures = await signResult(playGame, [backendOperator], ids[1], ethers.ZeroAddress);
+      const unstakedSignatures = await signResult(playGame, [backendOperator], ids[2], player1.address);
+      const before = await gameToken.balanceOf(player2.address);
+
+      const batch = [
+        [ids[0], ids[1], ids[2], ids[0]],
+        [player1.address, ethers.ZeroAddress, player1.address, player1.address],
+        [winSignatures, drawSignatures, unstakedSignatures, winSignatures]
+      ];
+      expect(await playGame.connect(backendOperator).commitResults.staticCall(...batch)).to.deep.equal([true, true, false, false]);
+
+      await expect(playGame.connect(backendOperator).commitResults(...batch))
+        .to.emit(playGame, "Settled").withArgs(ids[0], player1.address, stake * 2n, 0)
+        .and.to.emit(playGame, "Drawn").withArgs(ids[1], player1.address, player2.address, stake)
+        .and.to.emit(playGame, "BatchItemFailed").withArgs(ids[2], 2, "Match not staked")
+        // A duplicate in the same batch sees the first one's effect
+        .and.to.emit(playGame, "BatchItemFailed").withArgs(ids[0], 3, "Match not staked");
+
+      expect((await playGame.matches(ids[0])).status).to.equal(2); // SETTLED
+      expect((await playGame.matches(ids[1])).status).to.equal(5); // DRAWN
+      expect(await gameToken.balanceOf(player2.address)).to.equal(before + stake);
+    });
+
+    it("Should report bad signatures and winners per item", async function () {
+      await playGame.createMatches(ids.slice(0, 2), [player1.address, player1.address], [player2.address, player2.address], [stake, stake]);
+      for (const matchId of ids.slice(0, 2)) {
+        await playGame.connect(player1).stake(matchId);
+        await playGame.connect(player2).stake(matchId);
+      }
+
+      const forged = await signResult(playGame, [player1], ids[0], player1.address);
+      const valid = await signResult(playGame, [backendOperator], ids[1], deployer.address);
+
+      await expect(playGame.connect(backendOperator).commitResults(
+        ids.slice(0, 2),
+        [player1.address, deployer.address],
+        [forged, valid]
+      ))
+        .to.emit(playGame, "BatchItemFailed").withArgs(ids[0], 0, "Unauthorized result signer")
+        .and.to.emit(playGame, "BatchItemFailed").withArgs(ids[1], 1, "Invalid winner");
+
+      // Malformed signature bytes fail the item, and the single call reverts with the same reason
+      await expect(playGame.connect(backendOperator).commitResults([ids[0]], [player1.address], [["0x1234"]]))
+        .to.emit(playGame, "BatchItemFailed").withArgs(ids[0], 0, "Invalid signature");
+      await expect(playGame.connect(backendOperator).commitResult(ids[0], player1.address, ["0x1234"]))
+        .to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should restrict batches to the owner and backend and bound their size", async function () {
+      await expect(playGame.connect(player1).createMatches([ids[0]], [player1.address], [player2.address], [stake]))
+        .to.be.revertedWithCustomError(playGame, "OwnableUnauthorizedAccount");
+      await expect(playGame.createMatches([ids[0]], [player1.address], [], [stake]))
+        .to.be.revertedWith("Length mismatch");
+      await expect(playGame.createMatches([], [], [], []))
+        .to.be.revertedWith("Invalid batch size");
+
+      const oversized = Array.from({ length: 101 }, (_, i) => ethers.zeroPadValue(ethers.toBeHex(i + 1), 32));
+      await expect(playGame.createMatches(
+        oversized,
+        oversized.map(() => player1.address),
+        oversized.map(() => player2.address),
+        oversized.map(() => stake)
+      )).to.be.revertedWith("Invalid batch size");
+
+      await expect(playGame.connect(player1).commitResults([ids[0]], [player1.address], [[]]))
+        .to.be.revertedWith("Only backend can commit result");
+      await expect(playGame.connect(backendOperator).commitResults([ids[0]], [], [[]]))
+        .to.be.revertedWith("Length mismatch");
+    });
+  });
+
+  describe("Permit Staking", function () {
+    const stake = ethers.parseUnits("10", 18);
+    let matchId;
+
+    // EIP-2612 permit letting PlayGame pull the stake from the player
+    async function signPermit(owner, value, deadline) {
+      const [, name, version, chainId, verifyingContract] = await gameToken.eip712Domain();
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const message = {
+        owner: owner.address,
+        spender: await playGame.getAddress(),
+        value: value,
+        nonce: await gameToken.nonces(owner.address),
+        deadline: deadline
+      };
+      return ethers.Signature.from(await owner.signTypedData({ name, version, chainId, verifyingContract }, types, message));
+    }
+
+    beforeEach(async function () {
+      const usdtAmount = 100n * 10n ** 6n;
+      await mockUsdt.connect(player1).approve(await tokenStore.getAddress(), usdtAmount);
+      await tokenStore.connect(player1).buy(usdtAmount);
+
+      matchId = ethers.keccak256(ethers.toUtf8Bytes("permit-match"));
+      await playGame.createMatch(matchId, player1.address, player2.address, stake);
+    });
+
+    it("Should let the backend operator relay a permitted stake", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(player1, stake, deadline);
+
+      await expect(playGame.connect(backendOperator).stakeWithPermit(matchId, player1.address, deadline, v, r, s))
+        .to.emit(playGame, "Staked").withArgs(matchId, player1.address);
+
+      expect((await playGame.matches(matchId)).p1Staked).to.be.true;
+      expect(await gameToken.balanceOf(await playGame.getAddress())).to.equal(stake);
+      expect(await gameToken.nonces(player1.address)).to.equal(1);
+    });
+
+    it("Should only accept the player or the relayer as sender", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(player1, stake, deadline);
+
+      await expect(
+        playGame.connect(player2).stakeWithPermit(matchId, player1.address, deadline, v, r, s)
+      ).to.be.revertedWith("Not player or relayer");
+
+      await playGame.connect(player1).stakeWithPermit(matchId, player1.address, deadline, v, r, s);
+      expect((await playGame.matches(matchId)).p1Staked).to.be.true;
+    });
+
+    it("Should still stake when the permit was front-run", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(player1, stake, deadline);
+      await gameToken.permit(player1.address, await playGame.getAddress(), stake, deadline, v, r, s);
+
+      await expect(playGame.connect(backendOperator).stakeWithPermit(matchId, player1.address, deadline, v, r, s))
+        .to.emit(playGame, "Staked").withArgs(matchId, player1.address);
+    });
+
+    it("Should not stake on an expired or mismatched permit", async function () {
+      // Well inside the match's stake deadline
+      const deadline = (await time.latest()) + 600;
+      const low = await signPermit(player1, stake - 1n, deadline);
+      await expect(
+        playGame.connect(backendOperator).stakeWithPermit(matchId, player1.address, deadline, low.v, low.r, low.s)
+      ).to.be.revertedWith("Invalid permit");
+
+      const expired = await signPermit(player1, stake, deadline);
+      await time.increaseTo(deadline + 1);
+      await expect(
+        playGame.connect(backendOperator).stakeWithPermit(matchId, player1.address, deadline, expired.v, expired.r, expired.s)
+      ).to.be.revertedWith("Invalid permit");
+
+      expect((await playGame.matches(matchId)).p1Staked).to.be.false;
+    });
+
+    it("Should not let the relayer stake an existing allowance without the player's permit", async function () {
+      const deadline = (await time.latest()) + 3600;
+      await gameToken.connect(player1).approve(await playGame.getAddress(), stake);
+
+      // Bad signature over a valid-looking permit
+      const { v, r, s } = await signPermit(player2, stake, deadline);
+      await expect(
+        playGame.connect(backendOperator).stakeWithPermit(matchId, player1.address, deadline, v, r, s)
+      ).to.be.revertedWith("Invalid permit");
+      await expect(
+        playGame.connect(backendOperator).stakeWithPermit(matchId, player1.address, deadline, 27, ethers.ZeroHash, ethers.ZeroHash)
+      ).to.be.revertedWith("Invalid permit");
+      expect((await playGame.matches(matchId)).p1Staked).to.be.false;
+
+      // The player may still use their own allowance
+      await expect(playGame.connect(player1).stakeWithPermit(matchId, player1.address, deadline, v, r, s))
+        .to.emit(playGame, "Staked").withArgs(matchId, player1.address);
+    });
+  });
+
+  describe("Emergency Pause & Admin", function () {
+    const stake = ethers.parseUnits("10", 18);
+    const matchId = ethers.keccak256(ethers.toUtf8Bytes("paused-match"));
+
+    beforeEach(async function () {
+      const usdtAmount = 100n * 10n ** 6n;
+      for (const player of [player1, player2]) {
+        await mockUsdt.connect(player).approve(await tokenStore.getAddress(), usdtAmount);
+        await tokenStore.connect(player).buy(usdtAmount / 2n);
+        await gameToken.connect(player).approve(await playGame.getAddress(), ethers.MaxUint256);
+      }
+    });
+
+    it("Should stop buying while the store is paused but keep redemptions open", async function () {
+      await expect(tokenStore.pause()).to.emit(tokenStore, "Paused").withArgs(deployer.address);
+
+      await expect(tokenStore.connect(player1).buy(10n * 10n ** 6n))
+        .to.be.revertedWithCustomError(tokenStore, "EnforcedPause");
+
+      const gtAmount = ethers.parseUnits("5", 18);
+      await expect(tokenStore.connect(player1).redeem(gtAmount, 0))
+        .to.emit(tokenStore, "Redemption").withArgs(player1.address, gtAmount, 5n * 10n ** 6n);
+
+      await tokenStore.unpause();
+      await expect(tokenStore.connect(player1).buy(10n * 10n ** 6n)).to.emit(tokenStore, "Purchase");
+    });
+
+    it("Should stop match creation and staking while PlayGame is paused", async function () {
+      await playGame.createMatch(matchId, player1.address, player2.address, stake);
+      await playGame.pause();
+
+      const otherId = ethers.keccak256(ethers.toUtf8Bytes("paused-match-2"));
+      await expect(playGame.createMatch(otherId, player1.address, player2.address, stake))
+        .to.be.revertedWithCustomError(playGame, "EnforcedPause");
+      await expect(playGame.createMatches([otherId], [player1.address], [player2.address], [stake]))
+        .to.be.revertedWithCustomError(playGame, "EnforcedPause");
+      await expect(playGame.connect(player1).stake(matchId))
+        .to.be.revertedWithCustomError(playGame, "EnforcedPause");
+
+      await playGame.unpause();
+      await expect(playGame.connect(player1).stake(matchId)).to.emit(playGame, "Staked");
+    });
+
+    it("Should keep refunds, cancellations and results available while paused", async function () {
+      const refundId = ethers.keccak256(ethers.toUtf8Bytes("paused-refund"));
+      const cancelId = ethers.keccak256(ethers.toUtf8Bytes("paused-cancel"));
+      for (const id of [matchId, refundId, cancelId]) {
+        await playGame.createMatch(id, player1.address, player2.address, stake);
+      }
+      for (const id of [matchId, refundId]) {
+        await playGame.connect(player1).stake(id);
+        await playGame.connect(player2).stake(id);
+      }
+      await playGame.connect(player1).stake(cancelId);
+
+      await playGame.pause();
+
+      const signatures = await signResult(playGame, [backendOperator], matchId, player1.address);
+      await expect(playGame.connect(backendOperator).commitResult(matchId, player1.address, signatures))
+        .to.emit(playGame, "Settled");
+
+      await playGame.cancel(cancelId);
+      expect((await playGame.matches(cancelId)).status).to.equal(4); // CANCELLED
+
+      await time.increase(24 * 60 * 60 + 1);
+      await expect(playGame.refund(refundId)).to.emit(playGame, "Refunded");
+    });
+
+    it("Should restrict pausing, operator rotation and withdrawals to the owner", async function () {
+      await expect(playGame.connect(player1).pause())
+        .to.be.revertedWithCustomError(playGame, "OwnableUnauthorizedAccount");
+      await expect(tokenStore.connect(player1).pause())
+        .to.be.revertedWithCustomError(tokenStore, "OwnableUnauthorizedAccount");
+      await expect(playGame.connect(player1).setBackendOperator(player1.address))
+        .to.be.revertedWithCustomError(playGame, "OwnableUnauthorizedAccount");
+      await expect(tokenStore.connect(player1).withdrawUSDT(player1.address, 1))
+        .to.be.revertedWithCustomError(tokenStore, "OwnableUnauthorizedAccount");
+      await expect(playGame.unpause()).to.be.revertedWithCustomError(playGame, "ExpectedPause");
+    });
+
+    it("Should rotate the backend operator", async function () {
+      await expect(playGame.setBackendOperator(ethers.ZeroAddress)).to.be.revertedWith("Invalid operator");
+
+      await expect(playGame.setBackendOperator(player2.address))
+        .to.emit(playGame, "BackendOperatorUpdated").withArgs(player2.address);
+
+      await playGame.createMatch(matchId, player1.address, player2.address, stake);
+      await playGame.connect(player1).stake(matchId);
+      await playGame.connect(player2).stake(matchId);
+
+      const signatures = await signResult(playGame, [backendOperator], matchId, player1.address);
+      await expect(playGame.connect(backendOperator).commitResult(matchId, player1.address, signatures))
+        .to.be.revertedWith("Only backend can commit result");
+      await expect(playGame.connect(player2).commitResult(matchId, player1.address, signatures))
+        .to.emit(playGame, "Settled");
+    });
+
+    it("Should withdraw USDT from the store to the treasury", async function () {
+      const amount = 20n * 10n ** 6n;
+      await expect(tokenStore.withdrawUSDT(deployer.address, amount))
+        .to.emit(tokenStore, "Withdrawn").withArgs(deployer.address, amount);
+      expect(await mockUsdt.balanceOf(deployer.address)).to.equal(amount);
+      expect(await tokenStore.reserve()).to.equal(80n * 10n ** 6n);
+    });
+  });
+
+  describe("Tournaments", function () {
+    const entryFee = ethers.parseUnits("10", 18);
+    const payoutBps = [5000, 3000, 1000];
+    let tournament, players, tournamentId, deadline;
+
+    // Result for the bracket match at (round, slot), signed and committed on PlayGame
+    async function play(round, slot, pickWinner = match => match.p1) {
+      const matchId = await tournament.bracketMatchId(tournamentId, round, slot);
+      const match = await tournament.bracketMatches(matchId);
+      const winner = pickWinner(match);
+      const signatures = await signResult(playGame, [backendOperator], matchId, winner);
+      await playGame.connect(backendOperator).commitResult(matchId, winner, signatures);
+      return { matchId, winner, loser: winner === match.p1 ? match.p2 : match.p1 };
+    }
+
+    async function fillBracket() {
+      for (const player of players) {
+        await tournament.connect(player).join(tournamentId);
+      }
+    }
+
+    beforeEach(async function () {
+      const Tournament = await ethers.getContractFactory("Tournament");
+      tournament = await Tournament.deploy(await gameToken.getAddress(), await playGame.getAddress());
+      await playGame.setMatchHost(await tournament.getAddress(), true);
+
+      players = (await ethers.getSigners()).slice(4, 12);
+      for (const player of players) {
+        await mockUsdt.mint(player.address, 100n * 10n ** 6n);
+        await mockUsdt.connect(player).approve(await tokenStore.getAddress(), 100n * 10n ** 6n);
+        await tokenStore.connect(player).buy(100n * 10n ** 6n);
+        await gameToken.connect(player).approve(await tournament.getAddress(), ethers.MaxUint256);
+      }
+
+      tournamentId = ethers.keccak256(ethers.toUtf8Bytes("cup-1"));
+      deadline = (await time.latest()) + 3600;
+    });
+
+    it("Should run a full 8-player bracket and pay the top finishers", async function () {
+      const treasury = (await ethers.getSigners())[12];
+      await playGame.setTreasury(treasury.address);
+      await playGame.setRake(500);
+
+      await expect(tournament.createTournament(tournamentId, 8, entryFee, deadline, payoutBps))
+        .to.emit(tournament, "TournamentCreated");
+      // The rake is fixed when the tournament is created
+      await playGame.setRake(0);
+
+      for (const [i, player] of players.slice(0, 7).entries()) {
+        await expect(tournament.connect(player).join(tournamentId))
+          .to.emit(tournament, "TournamentJoined")
+          .withArgs(tournamentId, player.address, i + 1);
+      }
+
+      const firstRound = await tournament.bracketMatchId(tournamentId, 0, 0);
+      await expect(tournament.connect(players[7]).join(tournamentId))
+        .to.emit(tournament, "TournamentStarted")
+        .and.to.emit(tournament, "TournamentMatchCreated")
+        .withArgs(tournamentId, firstRound, 0, 0, players[0].address, players[1].address);
+
+      // Bracket matches are PlayGame matches with nothing staked on PlayGame
+      const opened = await playGame.matches(firstRound);
+      expect(opened.status).to.equal(1); // STAKED
+      expect(opened.stake).to.equal(0);
+      expect(opened.host).to.equal(await tournament.getAddress());
+
+      expect(await gameToken.balanceOf(await tournament.getAddress())).to.equal(entryFee * 8n);
+      expect((await tournament.getTournament(tournamentId)).status).to.equal(2); // RUNNING
+
+      // Quarterfinals: p1 wins slots 0 and 2, p2 wins slots 1 and 3
+      const quarters = [];
+      for (let slot = 0; slot < 4; slot++) {
+        quarters.push(await play(0, slot, match => (slot % 2 === 0 ? match.p1 : match.p2)));
+      }
+
+      // A semifinal exists as soon as both of its feeder matches are decided
+      const semi0 = await tournament.bracketMatches(await tournament.bracketMatchId(tournamentId, 1, 0));
+      expect(semi0.p1).to.equal(quarters[0].winner);
+      expect(semi0.p2).to.equal(quarters[1].winner);
+
+      const semis = [await play(1, 0), await play(1, 1, match => match.p2)];
+      const finalId = await tournament.bracketMatchId(tournamentId, 2, 0);
+      const finalMatch = await tournament.bracketMatches(finalId);
+      expect([finalMatch.p1, finalMatch.p2]).to.deep.equal([semis[0].winner, semis[1].winner]);
+
+      const balances = {};
+      for (const player of players) {
+        balances[player.address] = await gameToken.balanceOf(player.address);
+      }
+
+      // Pool 80 GT, 5% rake: 76 GT split 50/30/10/10
+      const final = await play(2, 0, match => match.p2);
+      const prizes = 76n * 10n ** 18n;
+      expect(await gameToken.balanceOf(final.winner)).to.equal(balances[final.winner] + (prizes * 5000n) / 10000n);
+      expect(await gameToken.balanceOf(final.loser)).to.equal(balances[final.loser] + (prizes * 3000n) / 10000n);
+      for (const semi of semis) {
+        expect(await gameToken.balanceOf(semi.loser)).to.equal(balances[semi.loser] + (prizes * 1000n) / 10000n);
+      }
+      for (const quarter of quarters) {
+        expect(await gameToken.balanceOf(quarter.loser)).to.equal(balances[quarter.loser]);
+      }
+      expect(await gameToken.balanceOf(treasury.address)).to.equal(ethers.parseUnits("4", 18));
+      expect(await gameToken.balanceOf(await tournament.getAddress())).to.equal(0);
+
+      const info = await tournament.getTournament(tournamentId);
+      expect(info.status).to.equal(3); // FINISHED
+      expect(info.champion).to.equal(final.winner);
+    });
+
+    it("Should only advance with valid, signed results in bracket order", async function () {
+      await tournament.createTournament(tournamentId, 4, entryFee, deadline, payoutBps);
+      players = players.slice(0, 4);
+      await fillBracket();
+
+      await expect(tournament.connect(players[0]).join(tournamentId)).to.be.revertedWith("Registration closed");
+
+      const matchId = await tournament.bracketMatchId(tournamentId, 0, 0);
+      const otherId = await tournament.bracketMatchId(tournamentId, 0, 1);
+      const finalId = await tournament.bracketMatchId(tournamentId, 1, 0);
+      const signatures = await signResult(playGame, [backendOperator], matchId, players[0].address);
+
+      await expect(playGame.connect(deployer).commitResult(matchId, players[0].address, signatures))
+        .to.be.revertedWith("Only backend can commit result");
+      await expect(playGame.connect(backendOperator).commitResult(matchId, players[2].address, signatures))
+        .to.be.revertedWith("Invalid winner");
+
+      // A knockout match needs a winner
+      const drawSignatures = await signResult(playGame, [backendOperator], matchId, ethers.ZeroAddress);
+      await expect(playGame.connect(backendOperator).commitDraw(matchId, drawSignatures))
+        .to.be.revertedWith("Hosted match cannot draw");
+
+      // Only PlayGame reports results, and only hosts open matches there
+      await expect(tournament.onMatchSettled(matchId, players[0].address)).to.be.revertedWith("Only PlayGame");
+      await expect(playGame.createHostedMatch(finalId, players[0].address, players[2].address))
+        .to.be.revertedWith("Not a match host");
+
+      // Results still come in while PlayGame is paused
+      await playGame.pause();
+      await playGame.connect(backendOperator).commitResult(matchId, players[0].address, signatures);
+      await expect(playGame.connect(backendOperator).commitResult(matchId, players[0].address, signatures))
+        .to.be.revertedWith("Match not staked");
+
+      // The final doesn't exist until the other semifinal is decided
+      const finalSignatures = await signResult(playGame, [backendOperator], finalId, players[0].address);
+      await expect(playGame.connect(backendOperator).commitResult(finalId, players[0].address, finalSignatures))
+        .to.be.revertedWith("Match does not exist");
+
+      // Batched results advance the bracket too
+      const otherSignatures = await signResult(playGame, [backendOperator], otherId, players[3].address);
+      await playGame.connect(backendOperator).commitResults([otherId], [players[3].address], [otherSignatures]);
+      const finalMatch = await playGame.matches(finalId);
+      expect([finalMatch.p1, finalMatch.p2]).to.deep.equal([players[0].address, players[3].address]);
+    });
+
+    it("Should refund entrants when registration lapses or a bracket stalls", async function () {
+      await tournament.createTournament(tournamentId, 8, entryFee, deadline, payoutBps);
+      await tournament.connect(players[0]).join(tournamentId);
+      await tournament.connect(players[1]).join(tournamentId);
+      const before = await gameToken.balanceOf(players[0].address);
+
+      await expect(tournament.connect(players[0]).join(tournamentId)).to.be.revertedWith("Already joined");
+      await expect(tournament.connect(players[0]).cancel(tournamentId)).to.be.revertedWith("Registration still open");
+
+      await time.increase(3600);
+      await expect(tournament.connect(players[2]).join(tournamentId)).to.be.revertedWith("Registration deadline passed");
+      await expect(tournament.connect(players[0]).cancel(tournamentId))
+        .to.emit(tournament, "TournamentCancelled")
+        .withArgs(tournamentId, entryFee, 2);
+      expect(await gameToken.balanceOf(players[0].address)).to.equal(before + entryFee);
+
+      // A running bracket is unwound when one of its matches times out on PlayGame
+      const stalledId = ethers.keccak256(ethers.toUtf8Bytes("cup-2"));
+      await tournament.createTournament(stalledId, 4, entryFee, (await time.latest()) + 3600, payoutBps);
+      players = players.slice(0, 4);
+      await tournament.connect(players[0]).join(stalledId);
+      await tournament.connect(players[1]).join(stalledId);
+      await tournament.connect(players[2]).join(stalledId);
+      await tournament.connect(players[3]).join(stalledId);
+      tournamentId = stalledId;
+      await play(0, 0);
+
+      await expect(tournament.cancel(stalledId)).to.be.revertedWith("Registration closed");
+      const stalledMatch = await tournament.bracketMatchId(stalledId, 0, 1);
+      await expect(playGame.refund(stalledMatch)).to.be.revertedWith("Timeout not reached");
+      await time.increase(await playGame.TIMEOUT_DURATION());
+      await expect(playGame.connect(players[3]).refund(stalledMatch))
+        .to.emit(tournament, "TournamentCancelled")
+        .withArgs(stalledId, entryFee, 4);
+      expect(await gameToken.balanceOf(await tournament.getAddress())).to.equal(0);
+      expect((await tournament.getTournament(stalledId)).status).to.equal(4); // CANCELLED
+    });
+
+    it("Should validate tournament settings", async function () {
+      await expect(tournament.createTournament(tournamentId, 6, entryFee, deadline, payoutBps))
+        .to.be.revertedWith("Invalid size");
+      await expect(tournament.createTournament(tournamentId, 8, 0, deadline, payoutBps))
+        .to.be.revertedWith("Entry fee must be greater than 0");
+      await expect(tournament.createTournament(tournamentId, 8, entryFee, deadline, [5000, 3000, 1500]))
+        .to.be.revertedWith("Payouts must total 10000 bps");
+      await expect(tournament.createTournament(tournamentId, 8, entryFee, deadline, [2000, 3000, 2500]))
+        .to.be.revertedWith("Payouts must not increase by place");
+      await expect(tournament.connect(player1).createTournament(tournamentId, 8, entryFee, deadline, payoutBps))
+        .to.be.revertedWithCustomError(tournament, "OwnableUnauthorizedAccount");
+
+      await tournament.createTournament(tournamentId, 8, entryFee, deadline, payoutBps);
+      await expect(tournament.createTournament(tournamentId, 8, entryFee, deadline, payoutBps))
+        .to.be.revertedWith("Tournament already exists");
+      expect(await tournament.tournamentCount()).to.equal(1);
+    });
+
+    it("Should stop creation and entry while PlayGame is paused", async function () {
+      await tournament.createTournament(tournamentId, 4, entryFee, deadline, payoutBps);
+      await playGame.pause();
+
+      const otherId = ethers.keccak256(ethers.toUtf8Bytes("cup-2"));
+      await expect(tournament.createTournament(otherId, 4, entryFee, deadline, payoutBps))
+        .to.be.revertedWithCustomError(tournament, "EnforcedPause");
+      await expect(tournament.connect(players[0]).join(tournamentId))
+        .to.be.revertedWithCustomError(tournament, "EnforcedPause");
+
+      // Cancelling still refunds whoever got in
+      await tournament.cancel(tournamentId);
+
+      await playGame.unpause();
+      await tournament.createTournament(otherId, 4, entryFee, deadline, payoutBps);
+      await tournament.connect(players[0]).join(otherId);
+      expect(await tournament.getEntrants(otherId)).to.deep.equal([players[0].address]);
+    });
+  });
+
   describe("Multi-Player Integration", function () {
     it("Should handle multiple concurrent matches", async function () {
       const match1Id = ethers.keccak256(ethers.toUtf8Bytes("match-1"));
@@ -13,20 +13,24 @@
  * - Smart contracts deployed
  * - Backend API running on port 3001
  * - Leaderboard service running on port 3002
+ * - OPERATOR_KEY_ID / OPERATOR_KEY_SECRET set to an API key with the
+ *   create-match and commit-result scopes (see api/api-keys.example.json)
+ * - RESULT_SIGNER_KEYS set to comma-separated private keys of authorised
+ *   result signers (enough to meet PlayGame's threshold)
+ * - The API serving a deployment manifest that matches the chain
+ *   (written by contracts/scripts/deploy.js)
  */
 
 const { ethers } = require('ethers');
+const { createClient } = require('./api/client');
 
 // Configuration
 const API_BASE = 'http://localhost:3001';
 const LEADERBOARD_BASE = 'http://localhost:3002';
 
-// Demo addresses (replace with actual addresses after deployment)
-const DEMO_ADDRESSES = {
-    player1: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
-    player2: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
-    backend: '0x90F79bf6EB2c4f870365E785982E1f101E93b906'
-};
+// Player addresses, filled in from the deployment manifest (local chains
+// record the dev accounts) or DEMO_PLAYERS=0xPlayer1,0xPlayer2
+let DEMO_ADDRESSES = null;
 
 // Demo match data
 const DEMO_MATCH = {
@@ -34,6 +38,15 @@ const DEMO_MATCH = {
     stake: 100 // 100 GT
 };
 
+// API client generated from the OpenAPI document (api/openapi.js)
+const api = createClient({
+    baseUrl: API_BASE,
+    operatorKey: {
+        id: process.env.OPERATOR_KEY_ID || '',
+        secret: process.env.OPERATOR_KEY_SECRET || ''
+    }
+});
+
 // Utility functions
 async function makeRequest(url, options = {}) {
     try {
@@ -45,10 +58,30 @@ async function makeRequest(url, options = {}) {
     }
 }
 
+// Settle an API client call into the same { success, data, error } shape
+async function callApi(request) {
+    try {
+        return { success: true, data: await request };
+    } catch (error) {
+        return { success: false, error: error.message, code: error.code };
+    }
+}
+
 async function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Poll a queued operator transaction until it is mined or fails
+async function waitForJob(jobId) {
+    while (true) {
+        const result = await callApi(api.getTxJob(jobId));
+        if (!result.success || result.data.status === 'mined' || result.data.status === 'failed') {
+            return result;
+        }
+        await sleep(1000);
+    }
+}
+
 function log(message, type = 'info') {
     const timestamp = new Date().toISOString();
     const emoji = {
@@ -66,7 +99,7 @@ async function checkSystemHealth() {
     log('Checking system health...', 'step');
     
     // Check backend API
-    const backendHealth = await makeRequest(`${API_BASE}/health`);
+    const backendHealth = await callApi(api.getHealth());
     if (!backendHealth.success) {
         log('Backend API is not running', 'error');
         return false;
@@ -84,14 +117,58 @@ async function checkSystemHealth() {
     return true;
 }
 
+// Load the deployment manifest from the API; refuse to run if the chain
+// no longer matches it
+async function loadDeployment() {
+    log('Loading deployment manifest...', 'step');
+    
+    const deployment = await callApi(api.getDeployment());
+    if (!deployment.success) {
+        log(`Could not load the deployment manifest: ${deployment.error}`, 'error');
+        return false;
+    }
+    
+    const { chainId, contracts, accounts, verification } = deployment.data;
+    if (!verification.ok) {
+        log(`Deployment on chain ${chainId} does not match its manifest:`, 'error');
+        verification.problems.forEach(problem => console.log(`  - ${problem}`));
+        return false;
+    }
+    
+    const players = process.env.DEMO_PLAYERS
+        ? process.env.DEMO_PLAYERS.split(',').map(address => address.trim())
+        : (accounts && accounts.players) || [];
+    if (players.length < 2) {
+        log('No demo players in the manifest; set DEMO_PLAYERS=0xPlayer1,0xPlayer2', 'error');
+        return false;
+    }
+    
+    DEMO_ADDRESSES = { player1: players[0], player2: players[1] };
+    log(`Deployment verified on chain ${chainId} (PlayGame ${contracts.playGame.address})`, 'success');
+    
+    return true;
+}
+
 async function demonstrateTokenPurchase() {
     log('Demonstrating token purchase (USDT → GT)...', 'step');
     
-    const purchaseResult = await makeRequest(`${API_BASE}/purchase?amount=50`);
+    const purchaseResult = await callApi(api.getPurchaseQuote({ amount: 50 }));
     if (purchaseResult.success) {
         log(`Token purchase simulation: ${purchaseResult.data.message}`, 'success');
     } else {
-        log(`Token purchase failed: ${purchaseResult.data.error}`, 'error');
+        log(`Token purchase failed: ${purchaseResult.error}`, 'error');
+    }
+    
+    const storeResult = await callApi(api.getStore());
+    if (storeResult.success) {
+        log(`Store reserve: ${storeResult.data.reserve} USDT (buy ${storeResult.data.buyRate.gtPerUsdt} / redeem ${storeResult.data.redeemRate.gtPerUsdt} GT per USDT)`, 'info');
+    }
+    
+    const redeemResult = await callApi(api.getRedeemQuote({ amount: 10 }));
+    if (redeemResult.success) {
+        log(`Token redemption quote: ${redeemResult.data.message}`, 'success');
+    } else {
+        log(`Token redemption quote failed: ${redeemResult.error}`, 'error');
     }
     
     await sleep(1000);
@@ -107,17 +184,19 @@ async function demonstrateMatchCreation() {
         stake: DEMO_MATCH.stake
     };
     
-    const createResult = await makeRequest(`${API_BASE}/match/start`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(matchData)
-    });
+    const createResult = await callApi(api.startMatch(matchData));
     
     if (createResult.success) {
-        log(`Match created successfully: ${createResult.data.message}`, 'success');
-        log(`Transaction hash: ${createResult.data.transactionHash}`, 'info');
+        log(`${createResult.data.message} (job ${createResult.data.jobId})`, 'info');
+        const job = await waitForJob(createResult.data.jobId);
+        if (job.success && job.data.status === 'mined') {
+            log('Match created successfully', 'success');
+            log(`Transaction hash: ${job.data.transactionHash}`, 'info');
+        } else {
+            log(`Match creation failed: ${job.success ? job.data.revertReason || job.data.error : job.error}`, 'error');
+        }
     } else {
-        log(`Match creation failed: ${createResult.data.error}`, 'error');
+        log(`Match creation failed: ${createResult.error}`, 'error');
     }
     
     await sleep(1000);
@@ -126,22 +205,39 @@ async function demonstrateMatchCreation() {
 async function demonstrateResultSubmission() {
     log('Demonstrating result submission...', 'step');
     
+    // Game servers sign the EIP-712 result payload off-chain
+    const payload = await callApi(api.getResultPayload(DEMO_MATCH.id, { winner: DEMO_ADDRESSES.player1 }));
+    if (!payload.success) {
+        log(`Failed to get result payload: ${payload.error}`, 'error');
+        return;
+    }
+
+    const { domain, types, message } = payload.data.typedData;
+    const signerKeys = (process.env.RESULT_SIGNER_KEYS || '').split(',').filter(Boolean);
+    const signatures = await Promise.all(
+        signerKeys.map(key => new ethers.Wallet(key.trim()).signTypedData(domain, types, message))
+    );
+    log(`Collected ${signatures.length} of ${payload.data.threshold} required result signature(s)`, 'info');
+
     const resultData = {
         matchId: DEMO_MATCH.id,
-        winner: DEMO_ADDRESSES.player1
+        winner: DEMO_ADDRESSES.player1,
+        signatures: signatures
     };
     
-    const resultResult = await makeRequest(`${API_BASE}/match/result`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(resultData)
-    });
+    const resultResult = await callApi(api.commitResult(resultData));
     
     if (resultResult.success) {
-        log(`Result submitted successfully: ${resultResult.data.message}`, 'success');
-        log(`Transaction hash: ${resultResult.data.transactionHash}`, 'info');
+        log(`${resultResult.data.message} (job ${resultResult.data.jobId})`, 'info');
+        const job = await waitForJob(resultResult.data.jobId);
+        if (job.success && job.data.status === 'mined') {
+            log('Result submitted successfully', 'success');
+            log(`Transaction hash: ${job.data.transactionHash}`, 'info');
+        } else {
+            log(`Result submission failed: ${job.success ? job.data.revertReason || job.data.error : job.error}`, 'error');
+        }
     } else {
-        log(`Result submission failed: ${resultResult.data.error}`, 'error');
+        log(`Result submission failed: ${resultResult.error}`, 'error');
     }
     
     await sleep(1000);
@@ -150,7 +246,7 @@ async function demonstrateResultSubmission() {
 async function demonstrateMatchInfo() {
     log('Demonstrating match information retrieval...', 'step');
     
-    const matchInfo = await makeRequest(`${API_BASE}/match/${DEMO_MATCH.id}`);
+    const matchInfo = await callApi(api.getMatch(DEMO_MATCH.id));
     if (matchInfo.success) {
         log('Match information retrieved:', 'success');
         console.log(`  Match ID: ${matchInfo.data.matchId}`);
@@ -159,7 +255,7 @@ async function demonstrateMatchInfo() {
         console.log(`  Stake: ${matchInfo.data.stake} GT`);
         console.log(`  Status: ${matchInfo.data.status}`);
     } else {
-        log(`Failed to get match info: ${matchInfo.data.error}`, 'error');
+        log(`Failed to get match info: ${matchInfo.error}`, 'error');
     }
     
     await sleep(1000);
@@ -168,8 +264,8 @@ async function demonstrateMatchInfo() {
 async function demonstrateBalanceCheck() {
     log('Demonstrating balance checking...', 'step');
     
-    const balance1 = await makeRequest(`${API_BASE}/balance/${DEMO_ADDRESSES.player1}`);
-    const balance2 = await makeRequest(`${API_BASE}/balance/${DEMO_ADDRESSES.player2}`);
+    const balance1 = await callApi(api.getBalance(DEMO_ADDRESSES.player1));
+    const balance2 = await callApi(api.getBalance(DEMO_ADDRESSES.player2));
     
     if (balance1.success && balance2.success) {
         log('Player balances:', 'success');
@@ -213,6 +309,7 @@ async function demonstrateStatistics() {
         log('Game statistics:', 'success');
         console.log(`  Total players: ${stats.data.totalPlayers}`);
         console.log(`  Total wins: ${stats.data.totalWins}`);
+        console.log(`  Drawn matches: ${stats.data.drawnMatches}`);
         console.log(`  Total GT won: ${stats.data.totalGTWon}`);
         console.log(`  Total matches: ${stats.data.totalMatches}`);
         console.log(`  Average GT per player: ${stats.data.averageGTPerPlayer}`);
@@ -237,6 +334,11 @@ async function runDemo() {
         return;
     }
     
+    if (!(await loadDeployment())) {
+        log('Redeploy with contracts/scripts/deploy.js and restart the API.', 'warning');
+        return;
+    }
+    
     log('All systems are healthy. Starting demo...', 'success');
     await sleep(2000);
     
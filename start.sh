@@ -43,7 +43,9 @@ echo "   cd contracts"
 echo "   npx hardhat node  # In a new terminal"
 echo "   npx hardhat run scripts/deploy.js --network localhost"
 echo ""
-echo "2. Update .env files with contract addresses"
+echo "2. Set RPC_URL, CHAIN_ID and BACKEND_PRIVATE_KEY in api/.env"
+echo "   and RPC_URL and CHAIN_ID in tools/.env"
+echo "   (addresses and ABIs are read from contracts/deployments/<chainId>.json)"
 echo "3. Start backend: cd api && npm start"
 echo "4. Start leaderboard: cd tools && npm start"
 echo "5. Open frontend: open web/index.html"
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const PORT = process.env.PORT || 3002;
+const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS || '2000');
+const MAX_BLOCK_RANGE = 5000;
+
+// Manifest written by contracts/scripts/deploy.js, as used by the API
+const DEPLOYMENT_FILE = process.env.DEPLOYMENT_FILE ||
+  path.join(__dirname, '..', 'contracts', 'deployments', `${process.env.CHAIN_ID || '1337'}.json`);
+
+function emptyStats() {
+  return { wins: 0, losses: 0, draws: 0, totalGTWon: 0n, matchesPlayed: 0, refunds: 0 };
+}
+
+/**
+ * Leaderboard over a PlayGame contract: folds its Staked, Settled, Drawn,
+ * Refunded and Cancelled events into per-player stats held in memory, and
+ * serves them over HTTP. `sync()` pulls every event from `startBlock` (or
+ * the last synced block) to the chain head; `start(port)` syncs, keeps
+ * polling and listens; `stop()` undoes that.
+ */
+function createLeaderboard({ provider, playGame, startBlock = 0, pollIntervalMs = POLL_INTERVAL_MS }) {
+  const app = express();
+
+  // Middleware
+  app.use(cors());
+  app.use(express.json());
+
+  // In-memory leaderboard state, rebuilt from chain history on startup
+  const players = new Map();      // address => { wins, losses, draws, totalGTWon, matchesPlayed, refunds }
+  const matches = new Map();      // matchId => { players: Set<address>, status }
+  let lastSyncedBlock = startBlock - 1;
+  let syncing = false;
+  let timer = null;
+  let server = null;
+
+  function getPlayer(address) {
+    const key = ethers.getAddress(address);
+    if (!players.has(key)) {
+      players.set(key, emptyStats());
+    }
+    return players.get(key);
+  }
+
+  function getMatch(matchId) {
+    if (!matches.has(matchId)) {
+      matches.set(matchId, { players: new Set(), status: 'PENDING' });
+    }
+    return matches.get(matchId);
+  }
+
+  // Event handlers. A match only counts as played once it is settled or
+  // drawn; stakes in matches later cancelled or refunded do not.
+  function handleStaked(matchId, player) {
+    getMatch(matchId).players.add(ethers.getAddress(player));
+  }
+
+  function handleSettled(matchId, winner, amount) {
+    const match = getMatch(matchId);
+    match.status = 'SETTLED';
+
+    const stats = getPlayer(winner);
+    stats.wins += 1;
+    stats.totalGTWon += amount;
+
+    for (const address of match.players) {
+      getPlayer(address).matchesPlayed += 1;
+      if (address !== ethers.getAddress(winner)) {
+        getPlayer(address).losses += 1;
+      }
+    }
+  }
+
+  function handleDrawn(matchId, p1, p2) {
+    const match = getMatch(matchId);
+    match.status = 'DRAWN';
+
+    for (const address of [p1, p2]) {
+      const stats = getPlayer(address);
+      stats.draws += 1;
+      stats.matchesPlayed += 1;
+    }
+  }
+
+  function handleRefunded(matchId, p1, p2) {
+    const match = getMatch(matchId);
+    match.status = 'REFUNDED';
+
+    for (const address of [p1, p2]) {
+      if (match.players.has(ethers.getAddress(address))) {
+        getPlayer(address).refunds += 1;
+      }
+    }
+  }
+
+  function handleCancelled(matchId) {
+    getMatch(matchId).status = 'CANCELLED';
+  }
+
+  function applyEvent(event) {
+    const [matchId, ...args] = event.args;
+    switch (event.fragment.name) {
+      case 'Staked':
+        handleStaked(matchId, args[0]);
+        break;
+      case 'Settled':
+        handleSettled(matchId, args[0], args[1]);
+        break;
+      case 'Refunded':
+        handleRefunded(matchId, args[0], args[1]);
+        break;
+      case 'Cancelled':
+        handleCancelled(matchId);
+        break;
+      case 'Drawn':
+        handleDrawn(matchId, args[0], args[1]);
+        break;
+    }
+  }
+
+  // Pull every event between the last synced block and the chain head, in order
+  async function sync() {
+    if (syncing) {
+      return;
+    }
+    syncing = true;
+
+    try {
+      const latestBlock = await provider.getBlockNumber();
+
+      while (lastSyncedBlock < latestBlock) {
+        const fromBlock = lastSyncedBlock + 1;
+        const toBlock = Math.min(fromBlock + MAX_BLOCK_RANGE - 1, latestBlock);
+
+        const events = await playGame.queryFilter('*', fromBlock, toBlock);
+        events
+          .filter(event => event.fragment)
+          .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+          .forEach(applyEvent);
+
+        lastSyncedBlock = toBlock;
+      }
+    } catch (error) {
+      console.error('Event sync error:', error.message);
+    } finally {
+      syncing = false;
+    }
+  }
+
+  function formatPlayer(address, stats) {
+    return {
+      address: address,
+      wins: stats.wins,
+      losses: stats.losses,
+      draws: stats.draws,
+      totalGTWon: ethers.formatUnits(stats.totalGTWon, 18),
+      totalGTWonWei: stats.totalGTWon.toString(),
+      matchesPlayed: stats.matchesPlayed,
+      refunds: stats.refunds
+    };
+  }
+
+  function rankedPlayers() {
+    return [...players.entries()]
+      .sort(([, a], [, b]) => {
+        if (a.totalGTWon !== b.totalGTWon) {
+          return a.totalGTWon > b.totalGTWon ? -1 : 1;
+        }
+        return b.wins - a.wins || b.matchesPlayed - a.matchesPlayed;
+      });
+  }
+
+  // Routes
+
+  // GET /leaderboard?limit=N
+  app.get('/leaderboard', (req, res) => {
+    const limit = parseInt(req.query.limit || '10');
+
+    if (isNaN(limit) || limit <= 0) {
+      return res.status(400).json({ error: 'Invalid limit' });
+    }
+
+    const leaderboard = rankedPlayers()
+      .slice(0, limit)
+      .map(([address, stats]) => formatPlayer(address, stats));
+
+    res.json({
+      leaderboard: leaderboard,
+      totalPlayers: players.size,
+      lastSyncedBlock: lastSyncedBlock
+    });
+  });
+
+  // GET /player/:address
+  app.get('/player/:address', (req, res) => {
+    const { address } = req.params;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+
+    const key = ethers.getAddress(address);
+    const stats = players.get(key) || emptyStats();
+    const rank = rankedPlayers().findIndex(([player]) => player === key);
+
+    res.json({
+      ...formatPlayer(key, stats),
+      rank: rank === -1 ? null : rank + 1
+    });
+  });
+
+  // GET /stats
+  app.get('/stats', (req, res) => {
+    let totalWins = 0;
+    let totalLosses = 0;
+    let totalGTWon = 0n;
+
+    for (const stats of players.values()) {
+      totalWins += stats.wins;
+      totalLosses += stats.losses;
+      totalGTWon += stats.totalGTWon;
+    }
+
+    const matchList = [...matches.values()];
+    const averageGTPerPlayer = players.size > 0 ? totalGTWon / BigInt(players.size) : 0n;
+
+    res.json({
+      totalPlayers: players.size,
+      totalWins: totalWins,
+      totalLosses: totalLosses,
+      totalGTWon: ethers.formatUnits(totalGTWon, 18),
+      totalMatches: matchList.length,
+      settledMatches: matchList.filter(match => match.status === 'SETTLED').length,
+      refundedMatches: matchList.filter(match => match.status === 'REFUNDED').length,
+      cancelledMatches: matchList.filter(match => match.status === 'CANCELLED').length,
+      drawnMatches: matchList.filter(match => match.status === 'DRAWN').length,
+      averageGTPerPlayer: ethers.formatUnits(averageGTPerPlayer, 18),
+      lastSyncedBlock: lastSyncedBlock
+    });
+  });
+
+  // Health check
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      lastSyncedBlock: lastSyncedBlock
+    });
+  });
+
+  async function start(port = PORT) {
+    await sync();
+    timer = setInterval(sync, pollIntervalMs);
+
+    return new Promise((resolve, reject) => {
+      server = app.listen(port, () => {
+        const address = server.address();
+        console.log(`🏅 Wesee Leaderboard running on port ${address.port}`);
+        console.log(`🎯 Play Game: ${playGame.target}`);
+        console.log(`📦 Synced events up to block ${lastSyncedBlock}`);
+        resolve(address);
+      });
+      server.on('error', reject);
+    });
+  }
+
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+  }
+
+  return { app, sync, start, stop };
+}
+
+// `node leaderboard.js`: PlayGame's address, ABI and deploy block come from
+// the deployment manifest
+async function main() {
+  let deployment;
+  try {
+    deployment = JSON.parse(fs.readFileSync(DEPLOYMENT_FILE, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read the deployment manifest ${DEPLOYMENT_FILE}: ${error.message}`);
+    process.exit(1);
+  }
+  if (!deployment.contracts || !deployment.contracts.playGame) {
+    console.error(`❌ Deployment manifest ${DEPLOYMENT_FILE} has no playGame contract`);
+    process.exit(1);
+  }
+
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+  const { address, abi } = deployment.contracts.playGame;
+  const playGame = new ethers.Contract(address, abi, provider);
+  const startBlock = parseInt(process.env.START_BLOCK || String(deployment.deployBlock || 0));
+
+  console.log(`📡 Connected to blockchain at ${process.env.RPC_URL}`);
+  console.log(`📒 Deployment: ${DEPLOYMENT_FILE}`);
+  await createLeaderboard({ provider, playGame, startBlock }).start(PORT);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Could not start the leaderboard:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createLeaderboard };
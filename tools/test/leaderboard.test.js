@@ -0,0 +1,110 @@
+// Leaderboard folding of PlayGame events, fed from a scripted contract,
+// and the /leaderboard and /player/:address routes over HTTP.
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { createLeaderboard } = require('../leaderboard');
+
+const ALICE = ethers.getAddress(`0x${'a1'.repeat(20)}`);
+const BOB = ethers.getAddress(`0x${'b2'.repeat(20)}`);
+const CAROL = ethers.getAddress(`0x${'c3'.repeat(20)}`);
+const GT = amount => ethers.parseUnits(amount, 18);
+const matchId = n => ethers.zeroPadValue(ethers.toBeHex(n), 32);
+
+// Events in the shape queryFilter returns, all in block 1, in this order
+function chain(events) {
+  const logs = events.map(([name, ...args], index) => ({ fragment: { name }, args, blockNumber: 1, index }));
+  return {
+    provider: { getBlockNumber: async () => 1 },
+    playGame: { target: `0x${'99'.repeat(20)}`, queryFilter: async () => logs }
+  };
+}
+
+describe('leaderboard', () => {
+  let leaderboard;
+  let url;
+
+  before(async () => {
+    const { provider, playGame } = chain([
+      // Alice beats Bob
+      ['Staked', matchId(1), ALICE],
+      ['Staked', matchId(1), BOB],
+      ['Settled', matchId(1), ALICE, GT('19'), GT('1')],
+      // Alice and Carol draw
+      ['Staked', matchId(2), ALICE],
+      ['Staked', matchId(2), CAROL],
+      ['Drawn', matchId(2), ALICE, CAROL, GT('10')],
+      // Bob and Carol time out and are refunded
+      ['Staked', matchId(3), BOB],
+      ['Staked', matchId(3), CAROL],
+      ['Refunded', matchId(3), BOB, CAROL, GT('10')],
+      // Only Bob staked before the match was cancelled
+      ['Staked', matchId(4), BOB],
+      ['Cancelled', matchId(4), true, false, GT('10')]
+    ]);
+    leaderboard = createLeaderboard({ provider, playGame, pollIntervalMs: 60000 });
+    const { port } = await leaderboard.start(0);
+    url = `http://127.0.0.1:${port}`;
+  });
+
+  after(async () => {
+    await leaderboard.stop();
+  });
+
+  async function get(path) {
+    const response = await fetch(`${url}${path}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('counts only settled and drawn matches as played', async () => {
+    const { body: alice } = await get(`/player/${ALICE}`);
+    assert.deepStrictEqual(
+      { wins: alice.wins, losses: alice.losses, draws: alice.draws, matchesPlayed: alice.matchesPlayed, refunds: alice.refunds },
+      { wins: 1, losses: 0, draws: 1, matchesPlayed: 2, refunds: 0 }
+    );
+    assert.strictEqual(alice.totalGTWon, '19.0');
+
+    const { body: bob } = await get(`/player/${BOB}`);
+    assert.deepStrictEqual(
+      { wins: bob.wins, losses: bob.losses, draws: bob.draws, matchesPlayed: bob.matchesPlayed, refunds: bob.refunds },
+      { wins: 0, losses: 1, draws: 0, matchesPlayed: 1, refunds: 1 }
+    );
+
+    const { body: carol } = await get(`/player/${CAROL}`);
+    assert.deepStrictEqual(
+      { wins: carol.wins, losses: carol.losses, draws: carol.draws, matchesPlayed: carol.matchesPlayed, refunds: carol.refunds },
+      { wins: 0, losses: 0, draws: 1, matchesPlayed: 1, refunds: 1 }
+    );
+  });
+
+  test('ranks players by GT won and honours limit', async () => {
+    const { status, body } = await get('/leaderboard?limit=2');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.leaderboard.length, 2);
+    assert.strictEqual(body.leaderboard[0].address, ALICE);
+    assert.strictEqual((await get(`/player/${ALICE}`)).body.rank, 1);
+    assert.strictEqual(body.totalPlayers, 3);
+    assert.strictEqual(body.lastSyncedBlock, 1);
+  });
+
+  test('reports the status of every match', async () => {
+    const { body } = await get('/stats');
+    assert.strictEqual(body.totalMatches, 4);
+    assert.deepStrictEqual(
+      [body.settledMatches, body.drawnMatches, body.refundedMatches, body.cancelledMatches],
+      [1, 1, 1, 1]
+    );
+  });
+
+  test('rejects a bad limit or address', async () => {
+    assert.strictEqual((await get('/leaderboard?limit=0')).status, 400);
+    assert.strictEqual((await get('/player/not-an-address')).status, 400);
+  });
+
+  test('returns empty stats and no rank for an unknown player', async () => {
+    const { body } = await get(`/player/${ethers.ZeroAddress}`);
+    assert.strictEqual(body.matchesPlayed, 0);
+    assert.strictEqual(body.rank, null);
+  });
+});